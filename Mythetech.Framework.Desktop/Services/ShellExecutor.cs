@@ -75,7 +75,7 @@ public partial class ShellExecutor : IShellExecutor
         Action<string>? onStdErr = null,
         CancellationToken cancellationToken = default)
     {
-        var startInfo = CreateProcessStartInfo(command);
+        var startInfo = CreateProcessStartInfo(command, redirectInput: command.StandardInput is not null);
         using var process = new Process { StartInfo = startInfo };
 
         var startTime = DateTimeOffset.Now;
@@ -113,6 +113,19 @@ public partial class ShellExecutor : IShellExecutor
             process.BeginOutputReadLine();
             process.BeginErrorReadLine();
 
+            if (command.StandardInput is not null)
+            {
+                try
+                {
+                    await process.StandardInput.WriteAsync(command.StandardInput.AsMemory(), effectiveCt);
+                    process.StandardInput.Close();
+                }
+                catch (IOException)
+                {
+                    // Process exited without reading all of its input
+                }
+            }
+
             await process.WaitForExitAsync(effectiveCt);
 
             var exitTime = DateTimeOffset.Now;
@@ -12,5 +12,14 @@ public class AlwaysReadyJsGuardService : IJsGuardService
 
     public Task<bool> WaitForReadyAsync(IJSRuntime js, string name, TimeSpan? timeout = null) => Task.FromResult(true);
 
+    public Task<bool> LoadDependencyAsync(IJSRuntime js, string name, JsDependency dependency, TimeSpan? timeout = null) =>
+        Task.FromResult(true);
+
     public Task ResetAsync(IJSRuntime js, string name) => Task.CompletedTask;
+
+    public Task<JsGuardStatus?> GetStatusAsync(IJSRuntime js, string name) =>
+        Task.FromResult<JsGuardStatus?>(new JsGuardStatus { Name = name, State = JsGuardState.Ready });
+
+    public Task<IReadOnlyList<JsGuardStatus>> GetStatusesAsync(IJSRuntime js) =>
+        Task.FromResult<IReadOnlyList<JsGuardStatus>>([]);
 }
@@ -0,0 +1,94 @@
+using Bunit;
+using Microsoft.Extensions.DependencyInjection;
+using MudBlazor.Services;
+using Mythetech.Framework.Infrastructure.MessageBus;
+using Mythetech.Framework.Infrastructure.Plugins;
+using NSubstitute;
+using Shouldly;
+using AppContextDrawerComponent = Mythetech.Framework.Components.AppContextDrawer.AppContextDrawer;
+
+namespace Mythetech.Framework.Test.Components.AppContextDrawerTests;
+
+public class AppContextDrawerTests : TestContext
+{
+    private readonly BunitJSModuleInterop _module;
+
+    public AppContextDrawerTests()
+    {
+        Services.AddMudServices();
+        Services.AddSingleton(new PluginState());
+        Services.AddSingleton(Substitute.For<IMessageBus>());
+        JSInterop.Mode = JSRuntimeMode.Loose;
+        _module = JSInterop.SetupModule("./_content/Mythetech.Framework/mythetech.js");
+    }
+
+    [Fact(DisplayName = "AppContextDrawer initializes the drawer resizer with its options")]
+    public void AppContextDrawer_InitializesResizerWithOptions()
+    {
+        // Arrange & Act
+        RenderComponent<AppContextDrawerComponent>(parameters => parameters
+            .Add(p => p.MinWidth, 240)
+            .Add(p => p.MaxWidth, 720)
+            .Add(p => p.DefaultWidth, 320)
+            .Add(p => p.KeyboardStep, 5)
+            .Add(p => p.KeyboardLargeStep, 40)
+            .Add(p => p.WidthStorageKey, "main-layout"));
+
+        // Assert
+        var invocation = _module.Invocations["initializeDrawerResizer"].ShouldHaveSingleItem();
+        invocation.Arguments[0].ShouldBe(".app-context-resizer");
+        invocation.Arguments[2].ShouldBe(240);
+        invocation.Arguments[3].ShouldBe(720);
+
+        var options = invocation.Arguments[4]!;
+        var type = options.GetType();
+        type.GetProperty("step")!.GetValue(options).ShouldBe(5);
+        type.GetProperty("largeStep")!.GetValue(options).ShouldBe(40);
+        type.GetProperty("defaultWidth")!.GetValue(options).ShouldBe(320);
+        type.GetProperty("storageKey")!.GetValue(options).ShouldBe("main-layout");
+        type.GetProperty("dotNetRef")!.GetValue(options).ShouldNotBeNull();
+    }
+
+    [Fact(DisplayName = "AppContextDrawer passes default resizer options")]
+    public void AppContextDrawer_DefaultResizerOptions()
+    {
+        // Arrange & Act
+        RenderComponent<AppContextDrawerComponent>();
+
+        // Assert
+        var invocation = _module.Invocations["initializeDrawerResizer"].ShouldHaveSingleItem();
+        var options = invocation.Arguments[4]!;
+        var type = options.GetType();
+        type.GetProperty("step")!.GetValue(options).ShouldBe(10);
+        type.GetProperty("largeStep")!.GetValue(options).ShouldBe(50);
+        type.GetProperty("defaultWidth")!.GetValue(options).ShouldBeNull();
+        type.GetProperty("storageKey")!.GetValue(options).ShouldBeNull();
+    }
+
+    [Fact(DisplayName = "AppContextDrawer does not initialize the resizer when it is disabled")]
+    public void AppContextDrawer_EnableResizerFalse_DoesNotInitializeResizer()
+    {
+        // Arrange & Act
+        var cut = RenderComponent<AppContextDrawerComponent>(parameters => parameters
+            .Add(p => p.EnableResizer, false));
+
+        // Assert
+        cut.FindAll(".app-context-resizer").ShouldBeEmpty();
+        _module.Invocations["initializeDrawerResizer"].ShouldBeEmpty();
+    }
+
+    [Fact(DisplayName = "AppContextDrawer raises OnResized when a resize ends")]
+    public async Task AppContextDrawer_OnDrawerResized_RaisesOnResized()
+    {
+        // Arrange
+        int? received = null;
+        var cut = RenderComponent<AppContextDrawerComponent>(parameters => parameters
+            .Add(p => p.OnResized, (int width) => received = width));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.OnDrawerResized(360));
+
+        // Assert
+        received.ShouldBe(360);
+    }
+}
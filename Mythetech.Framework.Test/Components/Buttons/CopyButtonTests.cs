@@ -3,6 +3,7 @@ using Microsoft.Extensions.DependencyInjection;
 using MudBlazor.Services;
 using Mythetech.Framework.Components.Buttons;
 using Mythetech.Framework.Enums;
+using Mythetech.Framework.Infrastructure.Clipboard;
 using Shouldly;
 
 namespace Mythetech.Framework.Test.Components.Buttons;
@@ -69,6 +70,20 @@ public class CopyButtonTests : TestContext
         secondArgs[1].ShouldBe("second");
     }
 
+    [Fact(DisplayName = "CopyButton registers rich Content instead of Text")]
+    public void CopyButton_RegistersContent_InsteadOfText()
+    {
+        var module = JSInterop.SetupModule(JsModulePath);
+        var registerInvocation = module.SetupVoid("registerClipboard", _ => true);
+        var content = new ClipboardContent { Text = "plain", Html = "<b>rich</b>" };
+
+        var cut = RenderComponent<MtCopyButton>(p => p
+            .Add(x => x.Text, "ignored")
+            .Add(x => x.Content, content));
+
+        registerInvocation.Invocations["registerClipboard"][0].Arguments[1].ShouldBe(content);
+    }
+
     [Fact(DisplayName = "CopyButton does not re-register when Text is unchanged")]
     public void CopyButton_DoesNotReRegister_WhenTextUnchanged()
     {
@@ -167,6 +167,68 @@ public class JsGuardTests : TestContext
         cut.Markup.ShouldNotContain("Editor loaded");
     }
 
+    [Fact(DisplayName = "Renders guard failure reason in default error UI")]
+    public void RendersFailureReason_InDefaultErrorUI()
+    {
+        _guardService.IsReady("monaco").Returns(false);
+        _guardService.WaitForReadyAsync(Arg.Any<IJSRuntime>(), "monaco")
+            .Returns(Task.FromResult(false));
+        _guardService.GetStatusAsync(Arg.Any<IJSRuntime>(), "monaco")
+            .Returns(Task.FromResult<JsGuardStatus?>(new JsGuardStatus
+            {
+                Name = "monaco",
+                State = JsGuardState.Failed,
+                Reason = "script 404"
+            }));
+
+        var cut = RenderComponent<JsGuard>(parameters => parameters
+            .Add(p => p.Name, "monaco")
+            .AddChildContent("<p>Editor loaded</p>"));
+
+        cut.Markup.ShouldContain("Error loading component");
+        cut.Find(".js-guard-error-reason").TextContent.ShouldContain("script 404");
+    }
+
+    [Fact(DisplayName = "Custom error content receives the failure reason for failed guards")]
+    public void CustomErrorContent_ReceivesFailureReason_ForFailedGuards()
+    {
+        _guardService.IsReady("monaco").Returns(false);
+        _guardService.WaitForReadyAsync(Arg.Any<IJSRuntime>(), "monaco")
+            .Returns(Task.FromResult(false));
+        _guardService.GetStatusAsync(Arg.Any<IJSRuntime>(), "monaco")
+            .Returns(Task.FromResult<JsGuardStatus?>(new JsGuardStatus
+            {
+                Name = "monaco",
+                State = JsGuardState.Failed,
+                Reason = "script 404"
+            }));
+
+        var cut = RenderComponent<JsGuard>(parameters => parameters
+            .Add(p => p.Name, "monaco")
+            .AddChildContent("<p>Editor loaded</p>")
+            .Add(p => p.ErrorContent, ex => $"<p>{ex.GetType().Name}: {ex.Message}</p>"));
+
+        cut.Markup.ShouldContain("InvalidOperationException");
+        cut.Markup.ShouldContain("script 404");
+    }
+
+    [Fact(DisplayName = "Loads the dependency on first render when one is given")]
+    public void LoadsDependency_OnFirstRender_WhenGiven()
+    {
+        var dependency = JsDependency.Script("/monaco/loader.js", "monaco.editor");
+        _guardService.IsReady("monaco").Returns(false);
+        _guardService.LoadDependencyAsync(Arg.Any<IJSRuntime>(), "monaco", dependency, Arg.Any<TimeSpan?>())
+            .Returns(Task.FromResult(true));
+
+        RenderComponent<JsGuard>(parameters => parameters
+            .Add(p => p.Name, "monaco")
+            .Add(p => p.Dependency, dependency)
+            .AddChildContent("<p>Editor loaded</p>"));
+
+        _guardService.Received(1).LoadDependencyAsync(Arg.Any<IJSRuntime>(), "monaco", dependency, null);
+        _guardService.DidNotReceiveWithAnyArgs().WaitForReadyAsync(default!, default!, default);
+    }
+
     [Fact(DisplayName = "Timeout parameter is propagated to WaitForReadyAsync")]
     public void TimeoutParameter_IsPropagatedToWaitForReadyAsync()
     {
@@ -0,0 +1,69 @@
+using Bunit;
+using MudBlazor.Services;
+using Mythetech.Framework.Components.Resizer;
+using Shouldly;
+
+namespace Mythetech.Framework.Test.Components.Resizer;
+
+public class MtResizeHandleTests : TestContext
+{
+    private readonly BunitJSModuleInterop _module;
+
+    public MtResizeHandleTests()
+    {
+        Services.AddMudServices();
+        JSInterop.Mode = JSRuntimeMode.Loose;
+        _module = JSInterop.SetupModule("./_content/Mythetech.Framework/mythetech.js");
+    }
+
+    [Fact(DisplayName = "MtResizeHandle renders the edge class")]
+    public void MtResizeHandle_RendersEdgeClass()
+    {
+        // Arrange & Act
+        var cut = RenderComponent<MtResizeHandle>(parameters => parameters
+            .Add(p => p.Edge, ResizeEdge.Top)
+            .Add(p => p.Class, "custom-handle"));
+
+        // Assert
+        var handle = cut.Find(".mt-resize-handle");
+        handle.ClassList.ShouldContain("mt-resize-handle--top");
+        handle.ClassList.ShouldContain("custom-handle");
+    }
+
+    [Fact(DisplayName = "MtResizeHandle creates a resizer with its options")]
+    public void MtResizeHandle_CreatesResizer()
+    {
+        // Arrange & Act
+        RenderComponent<MtResizeHandle>(parameters => parameters
+            .Add(p => p.Edge, ResizeEdge.Left)
+            .Add(p => p.CssVariable, "--mud-drawer-width-right")
+            .Add(p => p.Min, 200)
+            .Add(p => p.CollapseThreshold, 120)
+            .Add(p => p.StorageKey, "main-layout"));
+
+        // Assert
+        var invocation = _module.Invocations["createResizer"].ShouldHaveSingleItem();
+        var options = invocation.Arguments[1]!;
+        var type = options.GetType();
+        type.GetProperty("edge")!.GetValue(options).ShouldBe("left");
+        type.GetProperty("cssVariable")!.GetValue(options).ShouldBe("--mud-drawer-width-right");
+        type.GetProperty("collapseThreshold")!.GetValue(options).ShouldBe(120d);
+        type.GetProperty("storageKey")!.GetValue(options).ShouldBe("main-layout");
+    }
+
+    [Fact(DisplayName = "MtResizeHandle raises OnResized when a resize ends")]
+    public async Task MtResizeHandle_OnPanelResized_RaisesOnResized()
+    {
+        // Arrange
+        PanelResizedEventArgs? received = null;
+        var cut = RenderComponent<MtResizeHandle>(parameters => parameters
+            .Add(p => p.Target, "#panel")
+            .Add(p => p.OnResized, (PanelResizedEventArgs args) => received = args));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.OnPanelResized(0, true));
+
+        // Assert
+        received.ShouldBe(new PanelResizedEventArgs(0, true));
+    }
+}
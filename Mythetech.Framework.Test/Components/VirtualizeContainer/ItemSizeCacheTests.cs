@@ -0,0 +1,131 @@
+using Mythetech.Framework.Components.VirtualizeContainer;
+using Shouldly;
+
+namespace Mythetech.Framework.Test.Components.VirtualizeContainer;
+
+public class ItemSizeCacheTests
+{
+    [Fact(DisplayName = "GetOffset uses the estimate for unmeasured items")]
+    public void GetOffset_UnmeasuredItems_UsesEstimate()
+    {
+        // Arrange
+        var cache = new ItemSizeCache(20);
+
+        // Act & Assert
+        cache.GetOffset(0).ShouldBe(0);
+        cache.GetOffset(5).ShouldBe(100);
+    }
+
+    [Fact(DisplayName = "GetOffset includes measured sizes of earlier items")]
+    public void GetOffset_MeasuredItems_IncludesMeasuredSizes()
+    {
+        // Arrange
+        var cache = new ItemSizeCache(20);
+        cache.SetSize(1, 50);
+        cache.SetSize(3, 10);
+
+        // Act & Assert
+        cache.GetOffset(1).ShouldBe(20);
+        cache.GetOffset(2).ShouldBe(70);
+        cache.GetOffset(4).ShouldBe(100);
+        cache.GetOffset(5).ShouldBe(120);
+    }
+
+    [Fact(DisplayName = "GetIndexAtOffset finds the item covering the offset")]
+    public void GetIndexAtOffset_ReturnsCoveringItem()
+    {
+        // Arrange
+        var cache = new ItemSizeCache(20);
+        cache.SetSize(1, 50);
+
+        // Act & Assert
+        cache.GetIndexAtOffset(0, 10).ShouldBe(0);
+        cache.GetIndexAtOffset(19, 10).ShouldBe(0);
+        cache.GetIndexAtOffset(20, 10).ShouldBe(1);
+        cache.GetIndexAtOffset(69, 10).ShouldBe(1);
+        cache.GetIndexAtOffset(70, 10).ShouldBe(2);
+        cache.GetIndexAtOffset(10_000, 10).ShouldBe(9);
+        cache.GetIndexAtOffset(50, 0).ShouldBe(0);
+    }
+
+    [Fact(DisplayName = "GetIndexAtOffset continues past the measured items with the estimate")]
+    public void GetIndexAtOffset_PastMeasuredItems_UsesEstimate()
+    {
+        // Arrange
+        var cache = new ItemSizeCache(20);
+        cache.SetSize(2, 60);
+
+        // Act & Assert
+        cache.GetOffset(1_000).ShouldBe(20_040);
+        cache.GetIndexAtOffset(20_039, 100_000).ShouldBe(999);
+        cache.GetIndexAtOffset(20_040, 100_000).ShouldBe(1_000);
+        cache.GetIndexAtOffset(-5, 100_000).ShouldBe(0);
+    }
+
+    [Fact(DisplayName = "Offsets stay consistent when measurements are updated and the estimate changes")]
+    public void GetOffset_UpdatedMeasurementsAndEstimate_StaysConsistent()
+    {
+        // Arrange
+        var cache = new ItemSizeCache(20);
+        cache.SetSize(10, 50);
+        cache.SetSize(500, 10);
+        cache.SetSize(10, 30);
+
+        // Act
+        cache.EstimatedSize = 40;
+
+        // Assert
+        cache.GetOffset(11).ShouldBe(430);
+        cache.GetOffset(501).ShouldBe(20_000);
+        cache.GetIndexAtOffset(19_999, 1_000).ShouldBe(500);
+        cache.GetIndexAtOffset(20_000, 1_000).ShouldBe(501);
+    }
+
+    [Fact(DisplayName = "SetSize ignores hidden items and sub-pixel changes")]
+    public void SetSize_IgnoresHiddenAndTinyChanges()
+    {
+        // Arrange
+        var cache = new ItemSizeCache(20);
+
+        // Act & Assert
+        cache.SetSize(0, 0).ShouldBeFalse();
+        cache.SetSize(0, 20.2).ShouldBeFalse();
+        cache.SetSize(0, 30).ShouldBeTrue();
+        cache.SetSize(0, 30.3).ShouldBeFalse();
+        cache.MeasuredCount.ShouldBe(1);
+        cache.GetSize(0).ShouldBe(30);
+    }
+
+    [Fact(DisplayName = "Shift moves measurements to later indices")]
+    public void Shift_MovesMeasurements()
+    {
+        // Arrange
+        var cache = new ItemSizeCache(20);
+        cache.SetSize(0, 30);
+        cache.SetSize(2, 40);
+
+        // Act
+        cache.Shift(3);
+
+        // Assert
+        cache.GetSize(0).ShouldBe(20);
+        cache.GetSize(3).ShouldBe(30);
+        cache.GetSize(5).ShouldBe(40);
+        cache.GetOffset(6).ShouldBe(150);
+    }
+
+    [Fact(DisplayName = "Clear forgets all measurements")]
+    public void Clear_ForgetsMeasurements()
+    {
+        // Arrange
+        var cache = new ItemSizeCache(20);
+        cache.SetSize(0, 30);
+
+        // Act
+        cache.Clear();
+
+        // Assert
+        cache.MeasuredCount.ShouldBe(0);
+        cache.GetOffset(1).ShouldBe(20);
+    }
+}
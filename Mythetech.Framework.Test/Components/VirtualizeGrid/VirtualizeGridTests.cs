@@ -1,6 +1,8 @@
 using Bunit;
 using Microsoft.AspNetCore.Components;
+using Microsoft.JSInterop;
 using MudBlazor.Services;
+using Mythetech.Framework.Components.VirtualizeContainer;
 using Mythetech.Framework.Components.VirtualizeGrid;
 using Shouldly;
 
@@ -8,13 +10,15 @@ namespace Mythetech.Framework.Test.Components.VirtualizeGrid;
 
 public class VirtualizeGridTests : TestContext
 {
+    private readonly BunitJSModuleInterop _module;
+
     public VirtualizeGridTests()
     {
         Services.AddMudServices();
         JSInterop.Mode = JSRuntimeMode.Loose;
 
         // Setup JS module import
-        JSInterop.SetupModule("./_content/Mythetech.Framework/mythetech.js");
+        _module = JSInterop.SetupModule("./_content/Mythetech.Framework/mythetech.js");
     }
 
     [Fact(DisplayName = "VirtualizeGrid renders container with correct class")]
@@ -175,5 +179,186 @@ public class VirtualizeGridTests : TestContext
         container.ShouldNotBeNull();
     }
 
+    [Fact(DisplayName = "VirtualizeGrid positions rows by measured height when MeasureRows is set")]
+    public async Task VirtualizeGrid_MeasureRows_PositionsRowsByMeasuredHeight()
+    {
+        // Arrange
+        var cut = RenderComponent<VirtualizeGrid<string>>(parameters => parameters
+            .Add(p => p.Items, new List<string> { "Item 1", "Item 2", "Item 3" })
+            .Add(p => p.ColumnCount, 1)
+            .Add(p => p.RowHeight, 32)
+            .Add(p => p.MeasureRows, true)
+            .Add(p => p.ChildContent, (RenderFragment<string>)(item => builder =>
+            {
+                builder.AddContent(0, item);
+            })));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.OnViewportResized(200, 400));
+        await cut.InvokeAsync(() => cut.Instance.OnItemsMeasured([new ItemMeasurement(0, 200, 80)]));
+
+        // Assert
+        var secondRow = cut.Find("[data-mt-index='1']");
+        secondRow.GetAttribute("style")!.ShouldContain("top: 80px");
+    }
+
+    [Fact(DisplayName = "VirtualizeGrid keeps the visible rows in place when items are prepended")]
+    public async Task VirtualizeGrid_PrependedItems_AdjustsScrollPosition()
+    {
+        // Arrange
+        var items = Enumerable.Range(0, 20).Select(i => $"Item {i}").ToList();
+        var cut = RenderComponent<VirtualizeGrid<string>>(parameters => parameters
+            .Add(p => p.Items, items)
+            .Add(p => p.ColumnCount, 1)
+            .Add(p => p.RowHeight, 32)
+            .Add(p => p.ChildContent, (RenderFragment<string>)(item => builder =>
+            {
+                builder.AddContent(0, item);
+            })));
+        await cut.InvokeAsync(() => cut.Instance.OnViewportResized(200, 100));
+        await cut.InvokeAsync(() => cut.Instance.OnScrollPositionChanged2D(0, 160));
+
+        // Act
+        var prepended = new List<string> { "New 0", "New 1" }.Concat(items).ToList();
+        cut.SetParametersAndRender(parameters => parameters.Add(p => p.Items, prepended));
+
+        // Assert
+        var adjustment = _module.Invocations["adjustScrollPosition"].ShouldHaveSingleItem();
+        adjustment.Arguments[2].ShouldBe(64d);
+    }
+
+    [Fact(DisplayName = "VirtualizeGrid has rows measured again when items are prepended")]
+    public async Task VirtualizeGrid_MeasureRows_PrependedItems_RemeasuresRows()
+    {
+        // Arrange
+        var items = Enumerable.Range(0, 20).Select(i => $"Item {i}").ToList();
+        var cut = RenderComponent<VirtualizeGrid<string>>(parameters => parameters
+            .Add(p => p.Items, items)
+            .Add(p => p.ColumnCount, 1)
+            .Add(p => p.RowHeight, 32)
+            .Add(p => p.MeasureRows, true)
+            .Add(p => p.ChildContent, (RenderFragment<string>)(item => builder =>
+            {
+                builder.AddContent(0, item);
+            })));
+        await cut.InvokeAsync(() => cut.Instance.OnViewportResized(200, 100));
+        _module.Invocations["remeasureSizes"].ShouldBeEmpty();
+
+        // Act
+        var prepended = new List<string> { "New 0" }.Concat(items).ToList();
+        cut.SetParametersAndRender(parameters => parameters.Add(p => p.Items, prepended));
+
+        // Assert
+        _module.Invocations["remeasureSizes"].ShouldHaveSingleItem();
+    }
+
+    [Fact(DisplayName = "VirtualizeGrid keeps the row from ScrollToIndexAsync aligned as rows around it are measured")]
+    public async Task VirtualizeGrid_ScrollToIndex_RealignsAfterMeasurement()
+    {
+        // Arrange
+        var items = Enumerable.Range(0, 100).Select(i => $"Item {i}").ToList();
+        var cut = RenderComponent<VirtualizeGrid<string>>(parameters => parameters
+            .Add(p => p.Items, items)
+            .Add(p => p.ColumnCount, 1)
+            .Add(p => p.RowHeight, 32)
+            .Add(p => p.MeasureRows, true)
+            .Add(p => p.ChildContent, (RenderFragment<string>)(item => builder =>
+            {
+                builder.AddContent(0, item);
+            })));
+        await cut.InvokeAsync(() => cut.Instance.OnViewportResized(200, 100));
+
+        // Row 10 centered: 320 - (100 - 32) / 2
+        _module.Setup<double>("scrollToOffset", _ => true).SetResult(286);
+        await cut.InvokeAsync(() => cut.Instance.ScrollToIndexAsync(10, ScrollAlignment.Center));
+
+        // Act
+        await cut.InvokeAsync(() => cut.Instance.OnItemsMeasured(
+            [new ItemMeasurement(8, 200, 64), new ItemMeasurement(9, 200, 64)]));
+
+        // Assert
+        var adjustment = _module.Invocations["adjustScrollPosition"].ShouldHaveSingleItem();
+        adjustment.Arguments[2].ShouldBe(64d);
+    }
+
+    [Fact(DisplayName = "VirtualizeGrid raises OnLoadMore for the requested edge")]
+    public async Task VirtualizeGrid_LoadMore_RaisesOnLoadMore()
+    {
+        // Arrange
+        LoadMoreEventArgs? received = null;
+        var cut = RenderComponent<VirtualizeGrid<string>>(parameters => parameters
+            .Add(p => p.Items, new List<string> { "Item 1" })
+            .Add(p => p.OnLoadMore, (LoadMoreEventArgs args) =>
+            {
+                received = args;
+                args.HasMore = false;
+            })
+            .Add(p => p.ChildContent, (RenderFragment<string>)(item => builder =>
+            {
+                builder.AddContent(0, item);
+            })));
+
+        // Act
+        var hasMore = await cut.InvokeAsync(() => cut.Instance.LoadMoreAsync("start"));
+
+        // Assert
+        hasMore.ShouldBeFalse();
+        received.ShouldNotBeNull();
+        received.Edge.ShouldBe(VirtualizeEdge.Start);
+        _module.Invocations["observeEdges"].ShouldHaveSingleItem();
+    }
+
+    [Fact(DisplayName = "VirtualizeGrid restores the scroll position saved under ScrollRestorationKey")]
+    public void VirtualizeGrid_ScrollRestorationKey_CreatesScrollRestoration()
+    {
+        // Arrange & Act
+        RenderComponent<VirtualizeGrid<string>>(parameters => parameters
+            .Add(p => p.Items, new List<string> { "Item 1" })
+            .Add(p => p.ScrollRestorationKey, "log-viewer")
+            .Add(p => p.ChildContent, (RenderFragment<string>)(item => builder =>
+            {
+                builder.AddContent(0, item);
+            })));
+
+        // Assert
+        var invocation = _module.Invocations["createScrollRestoration"].ShouldHaveSingleItem();
+        invocation.Arguments[1].ShouldBe("log-viewer");
+    }
+
+    [Fact(DisplayName = "VirtualizeGrid still renders when scroll restoration cannot be set up")]
+    public void VirtualizeGrid_ScrollRestorationFails_StillRenders()
+    {
+        // Arrange
+        _module.Setup<IJSObjectReference?>("createScrollRestoration", _ => true)
+            .SetException(new JSException("Storage is unavailable"));
+
+        // Act
+        var cut = RenderComponent<VirtualizeGrid<string>>(parameters => parameters
+            .Add(p => p.Items, new List<string> { "Item 1" })
+            .Add(p => p.ScrollRestorationKey, "log-viewer")
+            .Add(p => p.ChildContent, (RenderFragment<string>)(item => builder =>
+            {
+                builder.AddContent(0, item);
+            })));
+
+        // Assert
+        cut.Find(".mf-virtualize-grid__spacer").ShouldNotBeNull();
+    }
+
+    [Fact(DisplayName = "VirtualizeGrid does not track scroll position without ScrollRestorationKey")]
+    public void VirtualizeGrid_NoScrollRestorationKey_DoesNotCreateScrollRestoration()
+    {
+        // Arrange & Act
+        RenderComponent<VirtualizeGrid<string>>(parameters => parameters
+            .Add(p => p.Items, new List<string> { "Item 1" })
+            .Add(p => p.ChildContent, (RenderFragment<string>)(item => builder =>
+            {
+                builder.AddContent(0, item);
+            })));
+
+        // Assert
+        _module.Invocations["createScrollRestoration"].ShouldBeEmpty();
+    }
+
     private record TestItem(string Name, int Value);
 }
@@ -0,0 +1,110 @@
+using Microsoft.JSInterop;
+using Mythetech.Framework.Infrastructure.Clipboard;
+using NSubstitute;
+using Shouldly;
+using JsClipboardResult = Mythetech.Framework.Infrastructure.Clipboard.JsClipboardService.JsClipboardResult;
+
+namespace Mythetech.Framework.Test.Infrastructure.Clipboard;
+
+public class JsClipboardServiceTests
+{
+    private readonly IJSRuntime _jsRuntime;
+    private readonly IJSObjectReference _module;
+    private readonly JsClipboardService _service;
+
+    public JsClipboardServiceTests()
+    {
+        _jsRuntime = Substitute.For<IJSRuntime>();
+        _module = Substitute.For<IJSObjectReference>();
+        _jsRuntime
+            .InvokeAsync<IJSObjectReference>("import", Arg.Any<object[]>())
+            .Returns(ValueTask.FromResult(_module));
+        _service = new JsClipboardService(_jsRuntime);
+    }
+
+    [Fact(DisplayName = "CopyAsync returns success when JS copies")]
+    public async Task CopyAsync_ReturnsSuccess_WhenJsCopies()
+    {
+        _module
+            .InvokeAsync<JsClipboardResult>("copyToClipboard", Arg.Any<object[]>())
+            .Returns(ValueTask.FromResult(new JsClipboardResult { Success = true }));
+
+        var result = await _service.CopyAsync(new ClipboardContent { Text = "a", Html = "<b>a</b>" });
+
+        result.Success.ShouldBeTrue();
+        result.ErrorKind.ShouldBeNull();
+    }
+
+    [Fact(DisplayName = "CopyAsync reports unsupported copies")]
+    public async Task CopyAsync_ReportsNotSupported()
+    {
+        _module
+            .InvokeAsync<JsClipboardResult>("copyToClipboard", Arg.Any<object[]>())
+            .Returns(ValueTask.FromResult(new JsClipboardResult
+            {
+                ErrorKind = "NotSupported",
+                ErrorMessage = "Copying images requires the async Clipboard API"
+            }));
+
+        var result = await _service.CopyAsync(new ClipboardContent { ImageDataUrl = "data:image/png;base64,AAAA" });
+
+        result.Success.ShouldBeFalse();
+        result.ErrorKind.ShouldBe(ClipboardErrorKind.NotSupported);
+        result.ErrorMessage.ShouldBe("Copying images requires the async Clipboard API");
+    }
+
+    [Fact(DisplayName = "ReadAsync returns the formats read")]
+    public async Task ReadAsync_ReturnsFormats()
+    {
+        _module
+            .InvokeAsync<JsClipboardResult>("readClipboard", Arg.Any<object[]>())
+            .Returns(ValueTask.FromResult(new JsClipboardResult
+            {
+                Success = true,
+                Text = "hello",
+                Html = "<p>hello</p>",
+                Types = ["text/plain", "text/html"]
+            }));
+
+        var result = await _service.ReadAsync();
+
+        result.Success.ShouldBeTrue();
+        result.Content.ShouldNotBeNull();
+        result.Content.Text.ShouldBe("hello");
+        result.Content.Html.ShouldBe("<p>hello</p>");
+        result.Content.ImageDataUrl.ShouldBeNull();
+        result.Types.ShouldBe(["text/plain", "text/html"]);
+    }
+
+    [Fact(DisplayName = "ReadAsync reports a denied permission")]
+    public async Task ReadAsync_ReportsPermissionDenied()
+    {
+        _module
+            .InvokeAsync<JsClipboardResult>("readClipboard", Arg.Any<object[]>())
+            .Returns(ValueTask.FromResult(new JsClipboardResult
+            {
+                ErrorKind = "PermissionDenied",
+                ErrorMessage = "Clipboard read was denied by the browser."
+            }));
+
+        var result = await _service.ReadAsync();
+
+        result.Success.ShouldBeFalse();
+        result.Content.ShouldBeNull();
+        result.ErrorKind.ShouldBe(ClipboardErrorKind.PermissionDenied);
+        result.ErrorMessage.ShouldBe("Clipboard read was denied by the browser.");
+    }
+
+    [Fact(DisplayName = "ReadAsync maps unknown error kinds to Failed")]
+    public async Task ReadAsync_MapsUnknownErrorKind_ToFailed()
+    {
+        _module
+            .InvokeAsync<JsClipboardResult>("readClipboard", Arg.Any<object[]>())
+            .Returns(ValueTask.FromResult(new JsClipboardResult { ErrorKind = "Weird" }));
+
+        var result = await _service.ReadAsync();
+
+        result.ErrorKind.ShouldBe(ClipboardErrorKind.Failed);
+        result.ErrorMessage.ShouldNotBeNullOrEmpty();
+    }
+}
@@ -3,6 +3,7 @@ using Microsoft.JSInterop;
 using Mythetech.Framework.Infrastructure.Guards;
 using NSubstitute;
 using Shouldly;
+using JsGuardStatusResult = Mythetech.Framework.Infrastructure.Guards.JsGuardService.JsGuardStatusResult;
 
 namespace Mythetech.Framework.Test.Infrastructure.Guards;
 
@@ -141,4 +142,188 @@ public class JsGuardServiceTests
         _service.IsReady("monaco").ShouldBeTrue();
         _service.IsReady("easymde").ShouldBeFalse();
     }
+
+    [Fact(DisplayName = "WaitForReadyAsync reads guard status when JS resolves false")]
+    public async Task WaitForReadyAsync_ReadsStatus_WhenJsResolvesFalse()
+    {
+        _jsRuntime
+            .InvokeAsync<bool>("waitForJsGuard", Arg.Any<object[]>())
+            .ReturnsForAnyArgs(ValueTask.FromResult(false));
+        _jsRuntime
+            .InvokeAsync<JsGuardStatusResult?>("getJsGuardStatus", Arg.Any<object[]>())
+            .Returns(ValueTask.FromResult<JsGuardStatusResult?>(new JsGuardStatusResult
+            {
+                Name = "monaco",
+                State = "failed",
+                Reason = "script 404"
+            }));
+
+        var result = await _service.WaitForReadyAsync(_jsRuntime, "monaco");
+
+        result.ShouldBeFalse();
+        _ = _jsRuntime.Received(1).InvokeAsync<JsGuardStatusResult?>(
+            "getJsGuardStatus",
+            Arg.Is<object[]>(a => a.Length == 1 && (string)a[0] == "monaco"));
+        _logger.ReceivedWithAnyArgs(1).LogWarning(default(string));
+    }
+
+    [Fact(DisplayName = "GetStatusAsync maps the JS status")]
+    public async Task GetStatusAsync_MapsJsStatus()
+    {
+        _jsRuntime
+            .InvokeAsync<JsGuardStatusResult?>("getJsGuardStatus", Arg.Any<object[]>())
+            .Returns(ValueTask.FromResult<JsGuardStatusResult?>(new JsGuardStatusResult
+            {
+                Name = "editor",
+                State = "timedout",
+                ElapsedMs = 10000,
+                Reason = "Timed out after 10000ms waiting for dependencies: monaco",
+                DependsOn = ["monaco"],
+                WaitingFor = ["monaco"],
+                Checks = 0
+            }));
+
+        var status = await _service.GetStatusAsync(_jsRuntime, "editor");
+
+        status.ShouldNotBeNull();
+        status.Name.ShouldBe("editor");
+        status.State.ShouldBe(JsGuardState.TimedOut);
+        status.Elapsed.ShouldBe(TimeSpan.FromSeconds(10));
+        status.DependsOn.ShouldBe(["monaco"]);
+        status.WaitingFor.ShouldBe(["monaco"]);
+        status.IsSettled.ShouldBeTrue();
+        status.Describe().ShouldBe("Timed out after 10000ms waiting for dependencies: monaco");
+    }
+
+    [Fact(DisplayName = "GetStatusAsync returns null when the JS call fails")]
+    public async Task GetStatusAsync_ReturnsNull_WhenJsThrows()
+    {
+        _jsRuntime
+            .InvokeAsync<JsGuardStatusResult?>("getJsGuardStatus", Arg.Any<object[]>())
+            .Returns<ValueTask<JsGuardStatusResult?>>(_ => throw new JSException("getJsGuardStatus is not a function"));
+
+        var status = await _service.GetStatusAsync(_jsRuntime, "monaco");
+
+        status.ShouldBeNull();
+    }
+
+    [Fact(DisplayName = "GetStatusesAsync maps every reported guard")]
+    public async Task GetStatusesAsync_MapsEveryGuard()
+    {
+        _jsRuntime
+            .InvokeAsync<JsGuardStatusResult[]?>("getJsGuardStatus", Arg.Any<object[]>())
+            .Returns(ValueTask.FromResult<JsGuardStatusResult[]?>(
+            [
+                new JsGuardStatusResult { Name = "monaco", State = "ready" },
+                new JsGuardStatusResult { Name = "easymde", State = "unregistered" }
+            ]));
+
+        var statuses = await _service.GetStatusesAsync(_jsRuntime);
+
+        statuses.Select(s => s.State).ShouldBe([JsGuardState.Ready, JsGuardState.Unregistered]);
+    }
+
+    [Fact(DisplayName = "LoadDependencyAsync loads through JS and caches readiness")]
+    public async Task LoadDependencyAsync_LoadsThroughJs_AndCachesReadiness()
+    {
+        _jsRuntime
+            .InvokeAsync<bool>("waitForJsGuard", Arg.Any<object[]>())
+            .ReturnsForAnyArgs(ValueTask.FromResult(true));
+
+        var dependency = new JsDependency
+        {
+            Scripts = ["https://cdn.example.com/monaco/loader.js"],
+            Styles = ["https://cdn.example.com/monaco/editor.css"],
+            Type = JsDependencyType.Module,
+            ReadyCheck = "monaco.editor",
+            Timeout = TimeSpan.FromSeconds(20)
+        };
+
+        var result = await _service.LoadDependencyAsync(_jsRuntime, "monaco", dependency);
+
+        result.ShouldBeTrue();
+        _service.IsReady("monaco").ShouldBeTrue();
+        _ = _jsRuntime.Received(1).InvokeAsync<bool>(
+            "loadJsDependency",
+            Arg.Is<object[]>(a => a.Length == 1
+                && (string)Option(a[0], "name")! == "monaco"
+                && (string)Option(a[0], "type")! == "module"
+                && (string)Option(a[0], "check")! == "monaco.editor"
+                && (int?)Option(a[0], "timeout") == 20000));
+    }
+
+    [Fact(DisplayName = "LoadDependencyAsync skips loading if already ready")]
+    public async Task LoadDependencyAsync_SkipsLoading_IfAlreadyReady()
+    {
+        _jsRuntime
+            .InvokeAsync<bool>("waitForJsGuard", Arg.Any<object[]>())
+            .ReturnsForAnyArgs(ValueTask.FromResult(true));
+
+        await _service.WaitForReadyAsync(_jsRuntime, "monaco");
+        var result = await _service.LoadDependencyAsync(_jsRuntime, "monaco", JsDependency.Script("/monaco.js"));
+
+        result.ShouldBeTrue();
+        _ = _jsRuntime.DidNotReceive().InvokeAsync<bool>("loadJsDependency", Arg.Any<object[]>());
+    }
+
+    [Fact(DisplayName = "LoadDependencyAsync falls back to the wait timeout for the guard")]
+    public async Task LoadDependencyAsync_UsesWaitTimeout_WhenDependencyHasNone()
+    {
+        await _service.LoadDependencyAsync(_jsRuntime, "chart", JsDependency.Script("/chart.js"), TimeSpan.FromSeconds(30));
+
+        _ = _jsRuntime.Received(1).InvokeAsync<bool>(
+            "loadJsDependency",
+            Arg.Is<object[]>(a => (int?)Option(a[0], "timeout") == 30000 && (string)Option(a[0], "type")! == "classic"));
+    }
+
+    [Fact(DisplayName = "Implementations without status members fall back to querying JS directly")]
+    public async Task DefaultStatusMembers_QueryJsDirectly()
+    {
+        IJsGuardService service = new MinimalJsGuardService();
+        _jsRuntime
+            .InvokeAsync<JsGuardStatusResult?>("getJsGuardStatus", Arg.Any<object[]>())
+            .Returns(ValueTask.FromResult<JsGuardStatusResult?>(new JsGuardStatusResult { Name = "monaco", State = "checking" }));
+        _jsRuntime
+            .InvokeAsync<JsGuardStatusResult[]?>("getJsGuardStatus", Arg.Any<object[]>())
+            .Returns<ValueTask<JsGuardStatusResult[]?>>(_ => throw new JSException("getJsGuardStatus is not a function"));
+
+        var status = await service.GetStatusAsync(_jsRuntime, "monaco");
+        var statuses = await service.GetStatusesAsync(_jsRuntime);
+
+        status.ShouldNotBeNull();
+        status.State.ShouldBe(JsGuardState.Checking);
+        statuses.ShouldBeEmpty();
+    }
+
+    [Fact(DisplayName = "Implementations without LoadDependencyAsync load through JS and then wait")]
+    public async Task DefaultLoadDependencyAsync_LoadsThroughJs_ThenWaits()
+    {
+        // Arrange
+        IJsGuardService service = new MinimalJsGuardService();
+
+        // Act
+        var result = await service.LoadDependencyAsync(_jsRuntime, "chart", JsDependency.Script("/chart.js", "Chart"));
+
+        // Assert
+        result.ShouldBeTrue();
+        _ = _jsRuntime.Received(1).InvokeAsync<bool>(
+            "loadJsDependency",
+            Arg.Is<object[]>(a => (string)Option(a[0], "name")! == "chart" && (string)Option(a[0], "check")! == "Chart"));
+    }
+
+    private static object? Option(object options, string name) =>
+        options.GetType().GetProperty(name)?.GetValue(options);
+
+    /// <summary>
+    /// Implements only the members every implementation has to provide.
+    /// </summary>
+    private sealed class MinimalJsGuardService : IJsGuardService
+    {
+        public bool IsReady(string name) => false;
+
+        public Task<bool> WaitForReadyAsync(IJSRuntime js, string name, TimeSpan? timeout = null) =>
+            Task.FromResult(true);
+
+        public Task ResetAsync(IJSRuntime js, string name) => Task.CompletedTask;
+    }
 }
@@ -0,0 +1,84 @@
+using System.Text.Json;
+using Mythetech.Framework.Infrastructure.Shell;
+using Shouldly;
+
+namespace Mythetech.Framework.Test.Infrastructure.Shell;
+
+public class ShellStructuredOutputTests
+{
+    private sealed record Person(string Name, int Age);
+
+    private static JsonElement Json(string json) => JsonDocument.Parse(json).RootElement.Clone();
+
+    #region Deserialize Tests
+
+    [Fact(DisplayName = "Deserialize_CamelCaseRecords_MapsToTypedList")]
+    public void Deserialize_CamelCaseRecords_MapsToTypedList()
+    {
+        // Arrange
+        var output = new ShellStructuredOutput
+        {
+            Records = [Json("""{"name":"ann","age":31}"""), Json("""{"name":"bob","age":5}""")]
+        };
+
+        // Act
+        var result = output.Deserialize<Person>();
+
+        // Assert
+        result.ShouldBe([new Person("ann", 31), new Person("bob", 5)]);
+    }
+
+    [Fact(DisplayName = "Deserialize_NullRecords_AreSkipped")]
+    public void Deserialize_NullRecords_AreSkipped()
+    {
+        // Arrange
+        var output = new ShellStructuredOutput
+        {
+            Records = [Json("null"), Json("""{"name":"ann","age":31}""")]
+        };
+
+        // Act
+        var result = output.Deserialize<Person>();
+
+        // Assert
+        result.ShouldBe([new Person("ann", 31)]);
+    }
+
+    [Fact(DisplayName = "Deserialize_NoRecords_ReturnsEmpty")]
+    public void Deserialize_NoRecords_ReturnsEmpty()
+    {
+        // Act
+        var result = new ShellStructuredOutput().Deserialize<Person>();
+
+        // Assert
+        result.ShouldBeEmpty();
+    }
+
+    #endregion
+
+    #region Interop Tests
+
+    [Fact(DisplayName = "ShellStructuredOutput_DeserializesFromShellPayload")]
+    public void ShellStructuredOutput_DeserializesFromShellPayload()
+    {
+        // Arrange
+        var json = """
+            {
+                "columns": [{ "name": "id", "title": "ID", "type": "number" }, { "name": "state" }],
+                "records": [{ "id": 1, "state": "running" }]
+            }
+            """;
+
+        // Act
+        var output = JsonSerializer.Deserialize<ShellStructuredOutput>(json, new JsonSerializerOptions(JsonSerializerDefaults.Web));
+
+        // Assert
+        output.ShouldNotBeNull();
+        output.Columns.Select(c => c.Name).ShouldBe(["id", "state"]);
+        output.Columns[0].Title.ShouldBe("ID");
+        output.Columns[1].Type.ShouldBeNull();
+        output.Records.Single().GetProperty("state").GetString().ShouldBe("running");
+    }
+
+    #endregion
+}
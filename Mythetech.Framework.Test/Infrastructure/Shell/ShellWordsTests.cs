@@ -0,0 +1,254 @@
+using Mythetech.Framework.Infrastructure.Shell;
+using Shouldly;
+
+namespace Mythetech.Framework.Test.Infrastructure.Shell;
+
+public class ShellWordsTests
+{
+    private static readonly Dictionary<string, string> Env = new()
+    {
+        ["HOME"] = "/home/me",
+        ["NAME"] = "World",
+        ["EMPTY"] = "",
+        ["STAR"] = "*"
+    };
+
+    #region Splitting Tests
+
+    [Fact(DisplayName = "Split_EmptyString_ReturnsNoWords")]
+    public void Split_EmptyString_ReturnsNoWords()
+    {
+        // Act
+        var result = ShellWords.Split("   ");
+
+        // Assert
+        result.ShouldBeEmpty();
+    }
+
+    [Fact(DisplayName = "Split_Whitespace_SeparatesWords")]
+    public void Split_Whitespace_SeparatesWords()
+    {
+        // Act
+        var result = ShellWords.Split("hello   world\tagain");
+
+        // Assert
+        result.ShouldBe(["hello", "world", "again"]);
+    }
+
+    [Fact(DisplayName = "Split_AdjacentQuotedParts_JoinIntoOneWord")]
+    public void Split_AdjacentQuotedParts_JoinIntoOneWord()
+    {
+        // Act
+        var result = ShellWords.Split("a\"b c\"'d'");
+
+        // Assert
+        result.ShouldBe(["ab cd"]);
+    }
+
+    [Fact(DisplayName = "Split_EmptyQuotes_ProducesEmptyWord")]
+    public void Split_EmptyQuotes_ProducesEmptyWord()
+    {
+        // Act
+        var result = ShellWords.Split("a \"\" ''");
+
+        // Assert
+        result.ShouldBe(["a", "", ""]);
+    }
+
+    [Fact(DisplayName = "Split_UnterminatedQuote_Throws")]
+    public void Split_UnterminatedQuote_Throws()
+    {
+        // Act & Assert
+        Should.Throw<FormatException>(() => ShellWords.Split("\"unterminated"));
+    }
+
+    #endregion
+
+    #region Quoting and Escaping Tests
+
+    [Fact(DisplayName = "Split_SingleQuotes_AreLiteral")]
+    public void Split_SingleQuotes_AreLiteral()
+    {
+        // Act
+        var result = ShellWords.Split("'single $NAME \\n'", Env);
+
+        // Assert
+        result.ShouldBe(["single $NAME \\n"]);
+    }
+
+    [Fact(DisplayName = "Split_NestedQuotes_ArePreserved")]
+    public void Split_NestedQuotes_ArePreserved()
+    {
+        // Act
+        var result = ShellWords.Split("\"it's\" 'say \"hi\"'");
+
+        // Assert
+        result.ShouldBe(["it's", "say \"hi\""]);
+    }
+
+    [Fact(DisplayName = "Split_UnquotedBackslash_EscapesNextCharacter")]
+    public void Split_UnquotedBackslash_EscapesNextCharacter()
+    {
+        // Act
+        var result = ShellWords.Split("a\\ b \\$NAME", Env);
+
+        // Assert
+        result.ShouldBe(["a b", "$NAME"]);
+    }
+
+    [Fact(DisplayName = "Split_DoubleQuotedBackslash_OnlyEscapesSpecialCharacters")]
+    public void Split_DoubleQuotedBackslash_OnlyEscapesSpecialCharacters()
+    {
+        // Act
+        var result = ShellWords.Split("\"a\\$b \\\"q\\\" \\\\ \\n\"");
+
+        // Assert
+        result.ShouldBe(["a$b \"q\" \\ \\n"]);
+    }
+
+    [Fact(DisplayName = "Split_RoundTripsShellQuoting")]
+    public void Split_RoundTripsShellQuoting()
+    {
+        // Arrange
+        var value = "it's $HOME \"here\"";
+
+        // Act
+        var result = ShellWords.Split("echo " + ShellQuoting.Quote(value), Env);
+
+        // Assert
+        result.ShouldBe(["echo", value]);
+    }
+
+    #endregion
+
+    #region Expansion Tests
+
+    [Fact(DisplayName = "Split_DoubleQuotes_ExpandVariables")]
+    public void Split_DoubleQuotes_ExpandVariables()
+    {
+        // Act
+        var result = ShellWords.Split("\"hello $NAME\" ${NAME}s", Env);
+
+        // Assert
+        result.ShouldBe(["hello World", "Worlds"]);
+    }
+
+    [Fact(DisplayName = "Split_UnsetUnquotedVariable_DropsWord")]
+    public void Split_UnsetUnquotedVariable_DropsWord()
+    {
+        // Act
+        var result = ShellWords.Split("x $UNSET \"$UNSET\" y", Env);
+
+        // Assert
+        result.ShouldBe(["x", "", "y"]);
+    }
+
+    [Fact(DisplayName = "Split_DefaultValue_UsedWhenUnsetOrEmpty")]
+    public void Split_DefaultValue_UsedWhenUnsetOrEmpty()
+    {
+        // Act
+        var result = ShellWords.Split("${UNSET:-fallback} \"${EMPTY:-def $NAME}\" ${UNSET:-${NAME}} ${NAME:-ignored}", Env);
+
+        // Assert
+        result.ShouldBe(["fallback", "def World", "World", "World"]);
+    }
+
+    [Fact(DisplayName = "Split_ExpandedValue_IsNotSplit")]
+    public void Split_ExpandedValue_IsNotSplit()
+    {
+        // Arrange
+        var env = new Dictionary<string, string> { ["ARGS"] = "a b" };
+
+        // Act
+        var result = ShellWords.Split("$ARGS", env);
+
+        // Assert
+        result.ShouldBe(["a b"]);
+    }
+
+    [Fact(DisplayName = "Split_DollarWithoutName_IsLiteral")]
+    public void Split_DollarWithoutName_IsLiteral()
+    {
+        // Act
+        var result = ShellWords.Split("$ cost$ $1", Env);
+
+        // Assert
+        result.ShouldBe(["$", "cost$", "$1"]);
+    }
+
+    [Fact(DisplayName = "Split_BadSubstitution_Throws")]
+    public void Split_BadSubstitution_Throws()
+    {
+        // Act & Assert
+        Should.Throw<FormatException>(() => ShellWords.Split("${1}", Env));
+        Should.Throw<FormatException>(() => ShellWords.Split("${NAME", Env));
+    }
+
+    [Fact(DisplayName = "Split_Tilde_ExpandsToHomeAtWordStart")]
+    public void Split_Tilde_ExpandsToHomeAtWordStart()
+    {
+        // Act
+        var result = ShellWords.Split("~ ~/x a~ '~'", Env);
+
+        // Assert
+        result.ShouldBe(["/home/me", "/home/me/x", "a~", "~"]);
+    }
+
+    [Fact(DisplayName = "Split_TildeWithoutHome_IsLiteral")]
+    public void Split_TildeWithoutHome_IsLiteral()
+    {
+        // Act
+        var result = ShellWords.Split("~/x");
+
+        // Assert
+        result.ShouldBe(["~/x"]);
+    }
+
+    #endregion
+
+    #region Arithmetic Tests
+
+    [Fact(DisplayName = "Split_Arithmetic_EvaluatesIntegerExpression")]
+    public void Split_Arithmetic_EvaluatesIntegerExpression()
+    {
+        // Act
+        var result = ShellWords.Split("$(( (2 + 3) * 4 % 7 )) $((10 / 3)) $((-7 / 2)) \"$((2*3))\"");
+
+        // Assert
+        result.ShouldBe(["6", "3", "-3", "6"]);
+    }
+
+    [Fact(DisplayName = "Split_Arithmetic_ReadsVariables")]
+    public void Split_Arithmetic_ReadsVariables()
+    {
+        // Arrange
+        var env = new Dictionary<string, string> { ["I"] = "4", ["TEXT"] = "abc" };
+
+        // Act
+        var result = ShellWords.Split("$((I + 1)) $(($I * 2)) $((TEXT + UNSET))", env);
+
+        // Assert
+        result.ShouldBe(["5", "8", "0"]);
+    }
+
+    [Fact(DisplayName = "Split_Arithmetic_ComparisonsAndLogic_YieldOneOrZero")]
+    public void Split_Arithmetic_ComparisonsAndLogic_YieldOneOrZero()
+    {
+        // Act
+        var result = ShellWords.Split("$((1 < 2 && 3 > 4)) $((1 <= 1 || 0)) $((!0)) $((2 != 2))");
+
+        // Assert
+        result.ShouldBe(["0", "1", "1", "0"]);
+    }
+
+    [Fact(DisplayName = "Split_Arithmetic_InvalidExpression_Throws")]
+    public void Split_Arithmetic_InvalidExpression_Throws()
+    {
+        // Act & Assert
+        Should.Throw<FormatException>(() => ShellWords.Split("$((1 +))"));
+        Should.Throw<FormatException>(() => ShellWords.Split("$((1 / 0))"));
+        Should.Throw<FormatException>(() => ShellWords.Split("$((1 + 1"));
+    }
+
+    #endregion
+}
@@ -0,0 +1,43 @@
+namespace Mythetech.Framework.WebAssembly.Shell;
+
+/// <summary>
+/// Completion candidates for a partial command line in the WebAssembly shell.
+/// </summary>
+public record WasmShellCompletion
+{
+    /// <summary>
+    /// Start index of the text in the line that a candidate replaces.
+    /// </summary>
+    public int Start { get; init; }
+
+    /// <summary>
+    /// End index (exclusive) of the text in the line that a candidate replaces.
+    /// </summary>
+    public int End { get; init; }
+
+    /// <summary>
+    /// The candidates, sorted by value.
+    /// </summary>
+    public IReadOnlyList<WasmShellCompletionCandidate> Candidates { get; init; } = [];
+}
+
+/// <summary>
+/// A single completion candidate.
+/// </summary>
+public record WasmShellCompletionCandidate
+{
+    /// <summary>
+    /// The replacement text, already escaped for the shell.
+    /// </summary>
+    public string Value { get; init; } = string.Empty;
+
+    /// <summary>
+    /// What the candidate is: command, option, variable, directory, file or argument.
+    /// </summary>
+    public string Kind { get; init; } = string.Empty;
+
+    /// <summary>
+    /// Optional description, e.g. a command or option description.
+    /// </summary>
+    public string? Description { get; init; }
+}
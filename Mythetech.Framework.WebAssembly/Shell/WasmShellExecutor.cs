@@ -1,3 +1,4 @@
+using System.Text.Json;
 using Microsoft.Extensions.Logging;
 using Microsoft.JSInterop;
 using Mythetech.Framework.Infrastructure.Shell;
@@ -28,7 +29,13 @@ public class WasmShellExecutor : IShellExecutor
     }
 
     /// <inheritdoc />
-    public async Task<ShellResult> ExecuteAsync(ShellCommand command, CancellationToken cancellationToken = default)
+    public Task<ShellResult> ExecuteAsync(ShellCommand command, CancellationToken cancellationToken = default)
+        => ExecuteCoreAsync(command, null, cancellationToken);
+
+    private async Task<ShellResult> ExecuteCoreAsync(
+        ShellCommand command,
+        DotNetObjectReference<StreamingCallbacks>? streamingRef,
+        CancellationToken cancellationToken)
     {
         var startTime = DateTimeOffset.Now;
 
@@ -38,7 +45,7 @@ public class WasmShellExecutor : IShellExecutor
             if (_commands.TryGetHandler(command.Command, out var handler))
             {
                 _logger?.LogDebug("Executing registered C# command: {Command}", command.Command);
-                var args = ParseArguments(command.Arguments);
+                var args = ShellWords.Split(command.Arguments, command.EnvironmentVariables);
                 var result = await handler!(args, cancellationToken);
                 return result with
                 {
@@ -50,20 +57,34 @@ public class WasmShellExecutor : IShellExecutor
 
             // 2. Check JavaScript command registry
             _logger?.LogDebug("Checking JS command registry for: {Command}", command.Command);
-            var jsResult = await _jsRuntime.InvokeAsync<JsShellResult?>(
-                "mythetech.shell.execute",
-                cancellationToken,
-                command.Command,
-                command.Arguments,
-                command.EnvironmentVariables);
+            var jsResult = streamingRef is null
+                ? await _jsRuntime.InvokeAsync<JsShellResult?>(
+                    "mythetech.shell.execute",
+                    cancellationToken,
+                    command.Command,
+                    command.Arguments,
+                    command.EnvironmentVariables,
+                    command.StandardInput)
+                : await _jsRuntime.InvokeAsync<JsShellResult?>(
+                    "mythetech.shell.executeStreaming",
+                    cancellationToken,
+                    command.Command,
+                    command.Arguments,
+                    command.EnvironmentVariables,
+                    streamingRef,
+                    command.StandardInput);
 
             if (jsResult is { Found: true })
             {
+                if (streamingRef is not null)
+                    streamingRef.Value.Streamed = true;
+
                 return new ShellResult
                 {
                     ExitCode = jsResult.ExitCode,
                     StandardOutput = jsResult.StandardOutput ?? string.Empty,
                     StandardError = jsResult.StandardError ?? string.Empty,
+                    StructuredOutput = jsResult.Data,
                     StartTime = startTime,
                     ExitTime = DateTimeOffset.Now,
                     Duration = DateTimeOffset.Now - startTime
@@ -123,8 +144,15 @@ public class WasmShellExecutor : IShellExecutor
         Action<string>? onStdErr = null,
         CancellationToken cancellationToken = default)
     {
-        // For WebAssembly, streaming is simulated - we execute and then invoke callbacks
-        var result = await ExecuteAsync(command, cancellationToken);
+        // JS commands push output live; C# handlers and eval are simulated by
+        // invoking the callbacks after execution completes
+        var callbacks = new StreamingCallbacks(onStdOut, onStdErr, _logger);
+        using var streamingRef = DotNetObjectReference.Create(callbacks);
+
+        var result = await ExecuteCoreAsync(command, streamingRef, cancellationToken);
+
+        if (callbacks.Streamed)
+            return result;
 
         if (!string.IsNullOrEmpty(result.StandardOutput))
         {
@@ -153,6 +181,339 @@ public class WasmShellExecutor : IShellExecutor
         return Task.FromResult<IShellProcess>(process);
     }
 
+    /// <summary>
+    /// Executes a script with the WebAssembly shell's script interpreter.
+    /// Scripts support variables, if/else on exit codes, for and while loops, functions,
+    /// return/exit and <c>source</c>. They run JavaScript commands only; commands registered
+    /// in the C# <see cref="ICommandRegistry"/> are not available to scripts.
+    /// </summary>
+    /// <param name="script">The script source.</param>
+    /// <param name="environment">Environment variables, available as script variables.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The script's exit code and combined output.</returns>
+    public async Task<ShellResult> ExecuteScriptAsync(
+        string script,
+        IReadOnlyDictionary<string, string>? environment = null,
+        CancellationToken cancellationToken = default)
+    {
+        var startTime = DateTimeOffset.Now;
+
+        try
+        {
+            var jsResult = await _jsRuntime.InvokeAsync<JsShellResult?>(
+                "mythetech.shell.executeScript",
+                cancellationToken,
+                script,
+                environment);
+
+            return new ShellResult
+            {
+                ExitCode = jsResult?.ExitCode ?? 1,
+                StandardOutput = jsResult?.StandardOutput ?? string.Empty,
+                StandardError = jsResult?.StandardError ?? string.Empty,
+                StartTime = startTime,
+                ExitTime = DateTimeOffset.Now,
+                Duration = DateTimeOffset.Now - startTime
+            };
+        }
+        catch (OperationCanceledException)
+        {
+            return new ShellResult
+            {
+                ExitCode = 130,
+                StandardOutput = string.Empty,
+                StandardError = "Script cancelled",
+                StartTime = startTime,
+                ExitTime = DateTimeOffset.Now,
+                Duration = DateTimeOffset.Now - startTime
+            };
+        }
+        catch (JSException ex)
+        {
+            _logger?.LogError(ex, "Error executing script");
+            return new ShellResult
+            {
+                ExitCode = 1,
+                StandardOutput = string.Empty,
+                StandardError = ex.Message,
+                StartTime = startTime,
+                ExitTime = DateTimeOffset.Now,
+                Duration = DateTimeOffset.Now - startTime
+            };
+        }
+    }
+
+    /// <summary>
+    /// Gets completion candidates for a partial command line.
+    /// Commands registered in the C# <see cref="ICommandRegistry"/> are offered alongside JS commands.
+    /// </summary>
+    /// <param name="line">The command line being edited.</param>
+    /// <param name="cursor">The cursor position within the line.</param>
+    /// <param name="environment">Variables offered after <c>$</c> and used for expansion.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The candidates and the range of the line they replace.</returns>
+    public async Task<WasmShellCompletion> CompleteAsync(
+        string line,
+        int cursor,
+        IReadOnlyDictionary<string, string>? environment = null,
+        CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var completion = await _jsRuntime.InvokeAsync<WasmShellCompletion?>(
+                "mythetech.shell.complete",
+                cancellationToken,
+                line,
+                cursor,
+                environment,
+                _commands.GetRegisteredCommands());
+
+            return completion ?? new WasmShellCompletion { Start = cursor, End = cursor };
+        }
+        catch (JSException ex)
+        {
+            _logger?.LogWarning(ex, "Completion failed for: {Line}", line);
+            return new WasmShellCompletion { Start = cursor, End = cursor };
+        }
+    }
+
+    /// <summary>
+    /// Gets the shell's processes, including background jobs started with <c>&amp;</c>
+    /// that have finished but not yet been collected by <c>jobs</c> or <c>fg</c>.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The tracked jobs.</returns>
+    public async Task<IReadOnlyList<WasmShellJob>> GetJobsAsync(CancellationToken cancellationToken = default)
+    {
+        var jobs = await _jsRuntime.InvokeAsync<WasmShellJob[]?>("mythetech.shell.getJobs", cancellationToken);
+        return jobs ?? [];
+    }
+
+    /// <summary>
+    /// Subscribes to job state changes, e.g. to drive a job panel.
+    /// </summary>
+    /// <param name="onChanged">Called when a job starts or finishes.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A handle that unsubscribes when disposed.</returns>
+    public async Task<IAsyncDisposable> SubscribeToJobsAsync(
+        Action<WasmShellJob> onChanged,
+        CancellationToken cancellationToken = default)
+    {
+        var subscription = new JobSubscription(_jsRuntime, onChanged, _logger);
+        await subscription.StartAsync(cancellationToken);
+        return subscription;
+    }
+
+    /// <summary>
+    /// Replaces the policy deciding which JavaScript commands may run.
+    /// </summary>
+    /// <param name="policy">The allow, deny and confirmation lists.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    public async Task ConfigurePolicyAsync(WasmShellPolicy policy, CancellationToken cancellationToken = default)
+    {
+        await _jsRuntime.InvokeVoidAsync(
+            "mythetech.shell.policy.configure",
+            cancellationToken,
+            new { allow = policy.Allow, deny = policy.Deny, confirm = policy.Confirm });
+    }
+
+    /// <summary>
+    /// Updates the resource limits applied to JavaScript commands and interactive processes.
+    /// </summary>
+    /// <param name="limits">The global limits and per-command overrides.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    public async Task ConfigureLimitsAsync(WasmShellLimits limits, CancellationToken cancellationToken = default)
+    {
+        await _jsRuntime.InvokeVoidAsync(
+            "mythetech.shell.limits.configure",
+            cancellationToken,
+            new
+            {
+                timeout = limits.Timeout?.TotalMilliseconds,
+                maxOutputBytes = limits.MaxOutputBytes,
+                maxInputBytes = limits.MaxInputBytes,
+                batchOutput = limits.BatchOutput,
+                commands = limits.Commands.ToDictionary(
+                    entry => entry.Key,
+                    entry => entry.Value is null
+                        ? null
+                        : new
+                        {
+                            timeout = entry.Value.Timeout?.TotalMilliseconds,
+                            maxOutputBytes = entry.Value.MaxOutputBytes,
+                            maxInputBytes = entry.Value.MaxInputBytes
+                        })
+            });
+    }
+
+    /// <summary>
+    /// Sets the handler asked to confirm commands listed in <see cref="WasmShellPolicy.Confirm"/>.
+    /// Without a handler those commands are refused.
+    /// </summary>
+    /// <param name="confirm">Returns true to let the command run.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>A handle that removes the handler when disposed.</returns>
+    public async Task<IAsyncDisposable> SetConfirmationHandlerAsync(
+        Func<WasmShellCommandRequest, Task<bool>> confirm,
+        CancellationToken cancellationToken = default)
+    {
+        var handler = new ConfirmationHandler(_jsRuntime, confirm, _logger);
+        await handler.StartAsync(cancellationToken);
+        return handler;
+    }
+
+    /// <summary>
+    /// Gets the audit log of commands run by the shell, oldest first.
+    /// </summary>
+    /// <param name="command">Only return entries for this command.</param>
+    /// <param name="limit">Only return the newest entries, up to this many.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The audit entries.</returns>
+    public async Task<IReadOnlyList<WasmShellAuditEntry>> GetAuditLogAsync(
+        string? command = null,
+        int? limit = null,
+        CancellationToken cancellationToken = default)
+    {
+        var entries = await _jsRuntime.InvokeAsync<JsAuditEntry[]?>(
+            "mythetech.shell.policy.getAuditLog",
+            cancellationToken,
+            new { command, limit });
+
+        return entries?.Select(entry => new WasmShellAuditEntry
+        {
+            Id = entry.Id,
+            Command = entry.Command ?? string.Empty,
+            Args = entry.Args ?? [],
+            ExitCode = entry.ExitCode,
+            StartTime = entry.StartTime,
+            Duration = TimeSpan.FromMilliseconds(entry.DurationMs),
+            Blocked = entry.Blocked,
+            Source = entry.Source ?? string.Empty
+        }).ToList() ?? [];
+    }
+
+    /// <summary>
+    /// Clears the audit log.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    public async Task ClearAuditLogAsync(CancellationToken cancellationToken = default)
+    {
+        await _jsRuntime.InvokeVoidAsync("mythetech.shell.policy.clearAuditLog", cancellationToken);
+    }
+
+    /// <summary>
+    /// Updates the session recorder settings.
+    /// </summary>
+    /// <param name="options">Whether to record every process and how much to keep.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    public async Task ConfigureRecordingAsync(WasmShellRecordingOptions options, CancellationToken cancellationToken = default)
+    {
+        await _jsRuntime.InvokeVoidAsync(
+            "mythetech.shell.recorder.configure",
+            cancellationToken,
+            new { enabled = options.Enabled, maxEvents = options.MaxEvents, maxRecordings = options.MaxRecordings });
+    }
+
+    /// <summary>
+    /// Starts recording a process. Output written before this call is not captured;
+    /// set <see cref="WasmShellRecordingOptions.Enabled"/> to record processes from the start.
+    /// </summary>
+    /// <param name="processId">The process or job ID, as reported by <see cref="GetJobsAsync"/>.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>True if the process exists.</returns>
+    public async Task<bool> StartRecordingAsync(int processId, CancellationToken cancellationToken = default)
+    {
+        return await _jsRuntime.InvokeAsync<bool>("mythetech.shell.recorder.start", cancellationToken, processId);
+    }
+
+    /// <summary>
+    /// Stops recording a process. The events recorded so far are kept.
+    /// </summary>
+    /// <param name="processId">The process or job ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    public async Task StopRecordingAsync(int processId, CancellationToken cancellationToken = default)
+    {
+        await _jsRuntime.InvokeVoidAsync("mythetech.shell.recorder.stop", cancellationToken, processId);
+    }
+
+    /// <summary>
+    /// Gets the IDs of all recorded processes, oldest first.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The process IDs.</returns>
+    public async Task<IReadOnlyList<int>> GetRecordingIdsAsync(CancellationToken cancellationToken = default)
+    {
+        var ids = await _jsRuntime.InvokeAsync<int[]?>("mythetech.shell.recorder.list", cancellationToken);
+        return ids ?? [];
+    }
+
+    /// <summary>
+    /// Gets a recording.
+    /// </summary>
+    /// <param name="processId">The process or job ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The recording, or null if the process has not been recorded.</returns>
+    public async Task<WasmShellRecording?> GetRecordingAsync(int processId, CancellationToken cancellationToken = default)
+    {
+        var recording = await _jsRuntime.InvokeAsync<JsRecording?>(
+            "mythetech.shell.recorder.get",
+            cancellationToken,
+            processId);
+
+        if (recording is null)
+            return null;
+
+        return new WasmShellRecording
+        {
+            ProcessId = recording.ProcessId,
+            Command = recording.Command ?? string.Empty,
+            Args = recording.Args ?? [],
+            StartTime = recording.StartTime,
+            EndTime = recording.EndTime,
+            ExitCode = recording.ExitCode,
+            IsActive = recording.Active,
+            DroppedEvents = recording.DroppedEvents,
+            Events = recording.Events?.Select(entry => new WasmShellRecordingEvent
+            {
+                Time = TimeSpan.FromSeconds(entry.Time),
+                Type = entry.Type ?? string.Empty,
+                Data = entry.Data.ValueKind == JsonValueKind.String
+                    ? entry.Data.GetString() ?? string.Empty
+                    : entry.Data.ToString()
+            }).ToList() ?? []
+        };
+    }
+
+    /// <summary>
+    /// Exports a recording as an asciicast v2 file for asciinema players.
+    /// </summary>
+    /// <param name="processId">The process or job ID.</param>
+    /// <param name="title">The title shown by players. Defaults to the command name.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>The asciicast, or null if the process has not been recorded.</returns>
+    public async Task<string?> ExportRecordingAsync(
+        int processId,
+        string? title = null,
+        CancellationToken cancellationToken = default)
+    {
+        return await _jsRuntime.InvokeAsync<string?>(
+            "mythetech.shell.recorder.exportAsciicast",
+            cancellationToken,
+            processId,
+            new { title });
+    }
+
+    /// <summary>
+    /// Deletes a recording.
+    /// </summary>
+    /// <param name="processId">The process or job ID.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>True if a recording was deleted.</returns>
+    public async Task<bool> DeleteRecordingAsync(int processId, CancellationToken cancellationToken = default)
+    {
+        return await _jsRuntime.InvokeAsync<bool>("mythetech.shell.recorder.delete", cancellationToken, processId);
+    }
+
     private async Task<ShellResult> ExecuteEvalAsync(
         string code,
         DateTimeOffset startTime,
@@ -189,47 +550,218 @@ public class WasmShellExecutor : IShellExecutor
         }
     }
 
-    private static string[] ParseArguments(string arguments)
+    /// <summary>
+    /// Receives output chunks from JavaScript during streaming execution.
+    /// </summary>
+    private sealed class StreamingCallbacks
     {
-        if (string.IsNullOrWhiteSpace(arguments))
-            return [];
+        private readonly Action<string>? _onStdOut;
+        private readonly Action<string>? _onStdErr;
+        private readonly ILogger? _logger;
+
+        public StreamingCallbacks(Action<string>? onStdOut, Action<string>? onStdErr, ILogger? logger)
+        {
+            _onStdOut = onStdOut;
+            _onStdErr = onStdErr;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Whether the output was delivered live by the JS command.
+        /// </summary>
+        public bool Streamed { get; set; }
+
+        [JSInvokable]
+        public void OnOutput(string data) => Invoke(_onStdOut, data);
+
+        [JSInvokable]
+        public void OnError(string data) => Invoke(_onStdErr, data);
+
+        [JSInvokable]
+        public void OnOutputBatch(string[] chunks)
+        {
+            foreach (var chunk in chunks)
+                Invoke(_onStdOut, chunk);
+        }
 
-        // Simple argument parsing - split on whitespace but respect quotes
-        var args = new List<string>();
-        var current = new System.Text.StringBuilder();
-        var inQuotes = false;
-        var quoteChar = '\0';
+        [JSInvokable]
+        public void OnErrorBatch(string[] chunks)
+        {
+            foreach (var chunk in chunks)
+                Invoke(_onStdErr, chunk);
+        }
 
-        foreach (var c in arguments)
+        private void Invoke(Action<string>? callback, string data)
         {
-            if (!inQuotes && (c == '"' || c == '\''))
+            try
             {
-                inQuotes = true;
-                quoteChar = c;
+                callback?.Invoke(data);
             }
-            else if (inQuotes && c == quoteChar)
+            catch (Exception ex)
             {
-                inQuotes = false;
-                quoteChar = '\0';
+                _logger?.LogError(ex, "Error in streaming output callback");
             }
-            else if (!inQuotes && char.IsWhiteSpace(c))
+        }
+    }
+
+    /// <summary>
+    /// Receives job state changes from JavaScript until disposed.
+    /// </summary>
+    private sealed class JobSubscription : IAsyncDisposable
+    {
+        private readonly IJSRuntime _jsRuntime;
+        private readonly Action<WasmShellJob> _onChanged;
+        private readonly ILogger? _logger;
+        private DotNetObjectReference<JobSubscription>? _dotNetRef;
+        private int? _subscriptionId;
+
+        public JobSubscription(IJSRuntime jsRuntime, Action<WasmShellJob> onChanged, ILogger? logger)
+        {
+            _jsRuntime = jsRuntime;
+            _onChanged = onChanged;
+            _logger = logger;
+        }
+
+        public async Task StartAsync(CancellationToken cancellationToken)
+        {
+            _dotNetRef = DotNetObjectReference.Create(this);
+            _subscriptionId = await _jsRuntime.InvokeAsync<int>(
+                "mythetech.shell.subscribeToJobs",
+                cancellationToken,
+                _dotNetRef);
+        }
+
+        [JSInvokable]
+        public void OnJobStateChanged(WasmShellJob job)
+        {
+            try
+            {
+                _onChanged(job);
+            }
+            catch (Exception ex)
             {
-                if (current.Length > 0)
+                _logger?.LogError(ex, "Error in job state callback");
+            }
+        }
+
+        public async ValueTask DisposeAsync()
+        {
+            if (_subscriptionId is { } id)
+            {
+                _subscriptionId = null;
+                try
+                {
+                    await _jsRuntime.InvokeVoidAsync("mythetech.shell.unsubscribeFromJobs", id);
+                }
+                catch (JSDisconnectedException)
                 {
-                    args.Add(current.ToString());
-                    current.Clear();
+                    // Circuit is gone; nothing left to unsubscribe from
                 }
             }
-            else
+
+            _dotNetRef?.Dispose();
+            _dotNetRef = null;
+        }
+    }
+
+    /// <summary>
+    /// Answers command confirmation requests from JavaScript until disposed.
+    /// </summary>
+    private sealed class ConfirmationHandler : IAsyncDisposable
+    {
+        private readonly IJSRuntime _jsRuntime;
+        private readonly Func<WasmShellCommandRequest, Task<bool>> _confirm;
+        private readonly ILogger? _logger;
+        private DotNetObjectReference<ConfirmationHandler>? _dotNetRef;
+
+        public ConfirmationHandler(IJSRuntime jsRuntime, Func<WasmShellCommandRequest, Task<bool>> confirm, ILogger? logger)
+        {
+            _jsRuntime = jsRuntime;
+            _confirm = confirm;
+            _logger = logger;
+        }
+
+        public async Task StartAsync(CancellationToken cancellationToken)
+        {
+            _dotNetRef = DotNetObjectReference.Create(this);
+            await _jsRuntime.InvokeVoidAsync(
+                "mythetech.shell.policy.setConfirmationHandler",
+                cancellationToken,
+                _dotNetRef);
+        }
+
+        [JSInvokable]
+        public async Task<bool> ConfirmCommand(WasmShellCommandRequest request)
+        {
+            try
+            {
+                return await _confirm(request);
+            }
+            catch (Exception ex)
             {
-                current.Append(c);
+                _logger?.LogError(ex, "Error in command confirmation handler for {Command}", request.Command);
+                return false;
             }
         }
 
-        if (current.Length > 0)
-            args.Add(current.ToString());
+        public async ValueTask DisposeAsync()
+        {
+            if (_dotNetRef is null)
+                return;
+
+            try
+            {
+                await _jsRuntime.InvokeVoidAsync("mythetech.shell.policy.setConfirmationHandler", (object?)null);
+            }
+            catch (JSDisconnectedException)
+            {
+                // Circuit is gone; nothing left to clear
+            }
+
+            _dotNetRef.Dispose();
+            _dotNetRef = null;
+        }
+    }
 
-        return [.. args];
+    /// <summary>
+    /// JavaScript audit log entry.
+    /// </summary>
+    private sealed class JsAuditEntry
+    {
+        public long Id { get; set; }
+        public string? Command { get; set; }
+        public string[]? Args { get; set; }
+        public int ExitCode { get; set; }
+        public DateTimeOffset StartTime { get; set; }
+        public double DurationMs { get; set; }
+        public string? Blocked { get; set; }
+        public string? Source { get; set; }
+    }
+
+    /// <summary>
+    /// JavaScript session recording.
+    /// </summary>
+    private sealed class JsRecording
+    {
+        public int ProcessId { get; set; }
+        public string? Command { get; set; }
+        public string[]? Args { get; set; }
+        public DateTimeOffset StartTime { get; set; }
+        public DateTimeOffset? EndTime { get; set; }
+        public int? ExitCode { get; set; }
+        public bool Active { get; set; }
+        public int DroppedEvents { get; set; }
+        public JsRecordingEvent[]? Events { get; set; }
+    }
+
+    /// <summary>
+    /// JavaScript session recording event.
+    /// </summary>
+    private sealed class JsRecordingEvent
+    {
+        public double Time { get; set; }
+        public string? Type { get; set; }
+        public JsonElement Data { get; set; }
     }
 
     /// <summary>
@@ -241,5 +773,6 @@ public class WasmShellExecutor : IShellExecutor
         public int ExitCode { get; set; }
         public string? StandardOutput { get; set; }
         public string? StandardError { get; set; }
+        public ShellStructuredOutput? Data { get; set; }
     }
 }
@@ -0,0 +1,48 @@
+namespace Mythetech.Framework.WebAssembly.Shell;
+
+/// <summary>
+/// A process or background job tracked by the WebAssembly shell.
+/// </summary>
+public record WasmShellJob
+{
+    /// <summary>
+    /// The job ID, usable with the <c>fg</c> and <c>kill</c> built-ins.
+    /// </summary>
+    public int Id { get; init; }
+
+    /// <summary>
+    /// The command line the job is running.
+    /// </summary>
+    public string Command { get; init; } = string.Empty;
+
+    /// <summary>
+    /// The job state: running, exited, interrupted or killed (including by the runtime limit).
+    /// </summary>
+    public string State { get; init; } = string.Empty;
+
+    /// <summary>
+    /// Whether the job was started in the background with <c>&amp;</c>,
+    /// as opposed to an interactive process started from .NET.
+    /// </summary>
+    public bool Background { get; init; }
+
+    /// <summary>
+    /// When the job started.
+    /// </summary>
+    public DateTimeOffset StartTime { get; init; }
+
+    /// <summary>
+    /// When the job finished, or null while it is running.
+    /// </summary>
+    public DateTimeOffset? EndTime { get; init; }
+
+    /// <summary>
+    /// The exit code, or null while the job is running.
+    /// </summary>
+    public int? ExitCode { get; init; }
+
+    /// <summary>
+    /// Whether the job is still running.
+    /// </summary>
+    public bool IsRunning => State == "running";
+}
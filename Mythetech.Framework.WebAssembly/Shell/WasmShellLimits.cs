@@ -0,0 +1,39 @@
+namespace Mythetech.Framework.WebAssembly.Shell;
+
+/// <summary>
+/// Resource limits for JavaScript commands run by the WebAssembly shell.
+/// Null values leave the current setting unchanged; a limit of zero disables it.
+/// </summary>
+public record WasmShellLimits
+{
+    /// <summary>
+    /// Maximum runtime of a command or interactive process. Commands that run longer are
+    /// stopped with exit code 124. Disabled by default.
+    /// </summary>
+    public TimeSpan? Timeout { get; init; }
+
+    /// <summary>
+    /// Maximum UTF-8 size of a command's stdout and stderr combined. Further output is dropped
+    /// after a truncation notice on stderr. Defaults to 1 MiB.
+    /// </summary>
+    public int? MaxOutputBytes { get; init; }
+
+    /// <summary>
+    /// Maximum size of an interactive process's unread input. Writes that do not fit wait
+    /// until the command reads some of it; a single larger write waits until the buffer is empty.
+    /// Defaults to 64 KiB.
+    /// </summary>
+    public int? MaxInputBytes { get; init; }
+
+    /// <summary>
+    /// Whether streamed output is coalesced into one interop call per animation frame. Chunks are
+    /// still raised one at a time, exactly as written. Defaults to true.
+    /// </summary>
+    public bool? BatchOutput { get; init; }
+
+    /// <summary>
+    /// Per-command overrides of <see cref="Timeout"/>, <see cref="MaxOutputBytes"/> and
+    /// <see cref="MaxInputBytes"/>, keyed by command name. A null value removes the command's overrides.
+    /// </summary>
+    public IReadOnlyDictionary<string, WasmShellLimits?> Commands { get; init; } = new Dictionary<string, WasmShellLimits?>();
+}
@@ -0,0 +1,87 @@
+namespace Mythetech.Framework.WebAssembly.Shell;
+
+/// <summary>
+/// Which JavaScript commands the WebAssembly shell may run.
+/// Commands registered in the C# <see cref="Mythetech.Framework.Infrastructure.Shell.ICommandRegistry"/>
+/// are not subject to the policy.
+/// </summary>
+public record WasmShellPolicy
+{
+    /// <summary>
+    /// Commands allowed to run, or null to allow every command that is not denied.
+    /// </summary>
+    public IReadOnlyList<string>? Allow { get; init; }
+
+    /// <summary>
+    /// Commands that may not run.
+    /// </summary>
+    public IReadOnlyList<string> Deny { get; init; } = [];
+
+    /// <summary>
+    /// Commands that need confirmation through the handler set with
+    /// <see cref="WasmShellExecutor.SetConfirmationHandlerAsync"/> before each run.
+    /// </summary>
+    public IReadOnlyList<string> Confirm { get; init; } = [];
+}
+
+/// <summary>
+/// A command waiting for confirmation.
+/// </summary>
+public record WasmShellCommandRequest
+{
+    /// <summary>
+    /// The command name.
+    /// </summary>
+    public string Command { get; init; } = string.Empty;
+
+    /// <summary>
+    /// The command arguments.
+    /// </summary>
+    public IReadOnlyList<string> Args { get; init; } = [];
+}
+
+/// <summary>
+/// An audit log entry for a command run by the WebAssembly shell.
+/// </summary>
+public record WasmShellAuditEntry
+{
+    /// <summary>
+    /// Sequential entry ID.
+    /// </summary>
+    public long Id { get; init; }
+
+    /// <summary>
+    /// The command name.
+    /// </summary>
+    public string Command { get; init; } = string.Empty;
+
+    /// <summary>
+    /// The command arguments after expansion.
+    /// </summary>
+    public IReadOnlyList<string> Args { get; init; } = [];
+
+    /// <summary>
+    /// The exit code. 126 when the policy blocked the command, 127 when it was not found.
+    /// </summary>
+    public int ExitCode { get; init; }
+
+    /// <summary>
+    /// When the command started.
+    /// </summary>
+    public DateTimeOffset StartTime { get; init; }
+
+    /// <summary>
+    /// How long the command ran.
+    /// </summary>
+    public TimeSpan Duration { get; init; }
+
+    /// <summary>
+    /// Why the policy blocked the command, or null if it ran.
+    /// </summary>
+    public string? Blocked { get; init; }
+
+    /// <summary>
+    /// Where the command ran: shell for command lines and scripts, process for interactive processes.
+    /// </summary>
+    public string Source { get; init; } = string.Empty;
+}
@@ -11,6 +11,7 @@ namespace Mythetech.Framework.WebAssembly.Shell;
 public sealed class WasmShellProcess : IShellProcess
 {
     private static int _nextProcessId = 1;
+    private static readonly TimeSpan InputRetryDelay = TimeSpan.FromMilliseconds(50);
 
     private readonly IJSRuntime _jsRuntime;
     private readonly ICommandRegistry _commands;
@@ -21,7 +22,9 @@ public sealed class WasmShellProcess : IShellProcess
     private readonly TaskCompletionSource<int> _exitTcs = new();
     private readonly WasmStdinStream _stdinStream;
     private readonly CancellationTokenSource _cts = new();
+    private readonly object _inputLock = new();
 
+    private Task _lastInput = Task.CompletedTask;
     private int? _jsProcessHandle;
     private bool _disposed;
 
@@ -68,12 +71,16 @@ public sealed class WasmShellProcess : IShellProcess
     {
         try
         {
+            var args = ShellWords.Split(_command.Arguments, _command.EnvironmentVariables);
+
             // Try to create a JS process handle
             _jsProcessHandle = await _jsRuntime.InvokeAsync<int?>(
                 "mythetech.shell.createProcess",
                 _cts.Token,
                 _command.Command,
-                _dotNetRef);
+                _dotNetRef,
+                args,
+                _command.EnvironmentVariables);
 
             if (_jsProcessHandle is null)
             {
@@ -81,7 +88,6 @@ public sealed class WasmShellProcess : IShellProcess
                 if (_commands.TryGetHandler(_command.Command, out var handler))
                 {
                     // Run the C# handler
-                    var args = ParseArguments(_command.Arguments);
                     var result = await handler!(args, _cts.Token);
 
                     if (!string.IsNullOrEmpty(result.StandardOutput))
@@ -131,6 +137,26 @@ public sealed class WasmShellProcess : IShellProcess
             RaiseErrorReceived(data);
     }
 
+    /// <summary>
+    /// Called from JavaScript with output chunks written within the same animation frame.
+    /// </summary>
+    [JSInvokable]
+    public void OnOutputBatch(string[] chunks)
+    {
+        foreach (var chunk in chunks)
+            OnOutput(chunk);
+    }
+
+    /// <summary>
+    /// Called from JavaScript with error output chunks written within the same animation frame.
+    /// </summary>
+    [JSInvokable]
+    public void OnErrorBatch(string[] chunks)
+    {
+        foreach (var chunk in chunks)
+            OnError(chunk);
+    }
+
     /// <summary>
     /// Called from JavaScript when the process exits.
     /// </summary>
@@ -141,18 +167,47 @@ public sealed class WasmShellProcess : IShellProcess
     }
 
     /// <inheritdoc />
-    public async Task WriteInputAsync(string input, CancellationToken cancellationToken = default)
+    /// <remarks>
+    /// Writes are delivered in the order they were made, even while earlier ones are waiting
+    /// for room in the input buffer.
+    /// </remarks>
+    public Task WriteInputAsync(string input, CancellationToken cancellationToken = default)
     {
+        lock (_inputLock)
+        {
+            _lastInput = WriteInputAfterAsync(_lastInput, input, cancellationToken);
+            return _lastInput;
+        }
+    }
+
+    private async Task WriteInputAfterAsync(Task previous, string input, CancellationToken cancellationToken)
+    {
+        try
+        {
+            await previous;
+        }
+        catch
+        {
+            // The earlier write's caller observes its failure; this write still goes ahead
+        }
+
         if (_disposed || HasExited)
             return;
 
-        if (_jsProcessHandle is not null)
+        if (_jsProcessHandle is null)
+            return;
+
+        // The process rejects input while its buffer is full; wait for the command to read some
+        while (!await _jsRuntime.InvokeAsync<bool>(
+                   "mythetech.shell.writeInput",
+                   cancellationToken,
+                   _jsProcessHandle,
+                   input))
         {
-            await _jsRuntime.InvokeVoidAsync(
-                "mythetech.shell.writeInput",
-                cancellationToken,
-                _jsProcessHandle,
-                input);
+            if (_disposed || HasExited)
+                return;
+
+            await Task.Delay(InputRetryDelay, cancellationToken);
         }
     }
 
@@ -288,48 +343,6 @@ public sealed class WasmShellProcess : IShellProcess
             _logger?.LogError(ex, "Error in Exited handler");
         }
     }
-
-    private static string[] ParseArguments(string arguments)
-    {
-        if (string.IsNullOrWhiteSpace(arguments))
-            return [];
-
-        var args = new List<string>();
-        var current = new System.Text.StringBuilder();
-        var inQuotes = false;
-        var quoteChar = '\0';
-
-        foreach (var c in arguments)
-        {
-            if (!inQuotes && (c == '"' || c == '\''))
-            {
-                inQuotes = true;
-                quoteChar = c;
-            }
-            else if (inQuotes && c == quoteChar)
-            {
-                inQuotes = false;
-                quoteChar = '\0';
-            }
-            else if (!inQuotes && char.IsWhiteSpace(c))
-            {
-                if (current.Length > 0)
-                {
-                    args.Add(current.ToString());
-                    current.Clear();
-                }
-            }
-            else
-            {
-                current.Append(c);
-            }
-        }
-
-        if (current.Length > 0)
-            args.Add(current.ToString());
-
-        return [.. args];
-    }
 }
 
 /// <summary>
@@ -338,6 +351,8 @@ public sealed class WasmShellProcess : IShellProcess
 internal sealed class WasmStdinStream : Stream
 {
     private readonly WasmShellProcess _process;
+    private Task _pendingWrite = Task.CompletedTask;
+    private Exception? _writeFailure;
     private bool _disposed;
 
     public WasmStdinStream(WasmShellProcess process)
@@ -355,7 +370,13 @@ internal sealed class WasmStdinStream : Stream
         set => throw new NotSupportedException();
     }
 
-    public override void Flush() { }
+    public override void Flush() => ThrowIfWriteFailed();
+
+    public override async Task FlushAsync(CancellationToken cancellationToken)
+    {
+        await _pendingWrite.WaitAsync(cancellationToken);
+        ThrowIfWriteFailed();
+    }
     public override int Read(byte[] buffer, int offset, int count) => throw new NotSupportedException();
     public override long Seek(long offset, SeekOrigin origin) => throw new NotSupportedException();
     public override void SetLength(long value) => throw new NotSupportedException();
@@ -365,8 +386,17 @@ internal sealed class WasmStdinStream : Stream
         if (_disposed)
             throw new ObjectDisposedException(nameof(WasmStdinStream));
 
+        ThrowIfWriteFailed();
+
+        // Blocking here would deadlock the browser's single thread, so the write completes in the
+        // background; the process keeps writes in order and failures surface on the next call
         var text = System.Text.Encoding.UTF8.GetString(buffer, offset, count);
-        _ = _process.WriteInputAsync(text);
+        _pendingWrite = _process.WriteInputAsync(text);
+        _pendingWrite.ContinueWith(
+            write => Interlocked.CompareExchange(ref _writeFailure, write.Exception!.GetBaseException(), null),
+            CancellationToken.None,
+            TaskContinuationOptions.OnlyOnFaulted | TaskContinuationOptions.ExecuteSynchronously,
+            TaskScheduler.Default);
     }
 
     public override async Task WriteAsync(byte[] buffer, int offset, int count, CancellationToken cancellationToken)
@@ -387,6 +417,13 @@ internal sealed class WasmStdinStream : Stream
         await _process.WriteInputAsync(text, cancellationToken);
     }
 
+    private void ThrowIfWriteFailed()
+    {
+        var failure = Interlocked.Exchange(ref _writeFailure, null);
+        if (failure is not null)
+            System.Runtime.ExceptionServices.ExceptionDispatchInfo.Throw(failure);
+    }
+
     protected override void Dispose(bool disposing)
     {
         _disposed = true;
@@ -0,0 +1,97 @@
+namespace Mythetech.Framework.WebAssembly.Shell;
+
+/// <summary>
+/// Settings for the WebAssembly shell's session recorder.
+/// Null values leave the current setting unchanged; a limit of zero disables it.
+/// </summary>
+public record WasmShellRecordingOptions
+{
+    /// <summary>
+    /// Whether every new process is recorded from the start. Disabled by default.
+    /// </summary>
+    public bool? Enabled { get; init; }
+
+    /// <summary>
+    /// Maximum events kept per recording. Once a recording is full its oldest events are
+    /// dropped. Defaults to 10,000.
+    /// </summary>
+    public int? MaxEvents { get; init; }
+
+    /// <summary>
+    /// Maximum recordings kept. Starting a new one deletes the oldest finished recordings.
+    /// Defaults to 100.
+    /// </summary>
+    public int? MaxRecordings { get; init; }
+}
+
+/// <summary>
+/// A recorded shell session.
+/// </summary>
+public record WasmShellRecording
+{
+    /// <summary>
+    /// The ID of the recorded process, as reported by <see cref="WasmShellJob.Id"/>.
+    /// </summary>
+    public int ProcessId { get; init; }
+
+    /// <summary>
+    /// The command name.
+    /// </summary>
+    public string Command { get; init; } = string.Empty;
+
+    /// <summary>
+    /// The command arguments.
+    /// </summary>
+    public IReadOnlyList<string> Args { get; init; } = [];
+
+    /// <summary>
+    /// When the process started.
+    /// </summary>
+    public DateTimeOffset StartTime { get; init; }
+
+    /// <summary>
+    /// When the process exited, or null while it is running.
+    /// </summary>
+    public DateTimeOffset? EndTime { get; init; }
+
+    /// <summary>
+    /// The exit code, or null while the process is running.
+    /// </summary>
+    public int? ExitCode { get; init; }
+
+    /// <summary>
+    /// Whether events are still being recorded.
+    /// </summary>
+    public bool IsActive { get; init; }
+
+    /// <summary>
+    /// How many of the oldest events were dropped to stay within <see cref="WasmShellRecordingOptions.MaxEvents"/>.
+    /// </summary>
+    public int DroppedEvents { get; init; }
+
+    /// <summary>
+    /// The recorded events, oldest first.
+    /// </summary>
+    public IReadOnlyList<WasmShellRecordingEvent> Events { get; init; } = [];
+}
+
+/// <summary>
+/// A single event in a recorded shell session.
+/// </summary>
+public record WasmShellRecordingEvent
+{
+    /// <summary>
+    /// Time since the recording started.
+    /// </summary>
+    public TimeSpan Time { get; init; }
+
+    /// <summary>
+    /// The event type: i (input), o (stdout), e (stderr) or x (exit).
+    /// </summary>
+    public string Type { get; init; } = string.Empty;
+
+    /// <summary>
+    /// The text written, or the exit code for exit events.
+    /// </summary>
+    public string Data { get; init; } = string.Empty;
+}
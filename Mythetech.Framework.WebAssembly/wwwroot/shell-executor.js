@@ -7,11 +7,24 @@ window.mythetech = window.mythetech || {};
 
 window.mythetech.shell = {
     /**
-     * Registered command handlers.
+     * Registered command handlers. Commands registered with a descriptor are stored
+     * as a wrapper that parses and validates options before calling the handler.
      * @type {Map<string, function>}
      */
     commands: new Map(),
 
+    /**
+     * Command descriptors (description, usage, args, options) keyed by command name.
+     * @type {Map<string, object>}
+     */
+    descriptors: new Map(),
+
+    /**
+     * Command-specific argument completers keyed by command name.
+     * @type {Map<string, function>}
+     */
+    completers: new Map(),
+
     /**
      * Active processes.
      * @type {Map<number, object>}
@@ -25,20 +38,113 @@ window.mythetech.shell = {
     nextProcessId: 1,
 
     /**
-     * Registers a command handler.
+     * .NET references notified of process state changes, keyed by subscription ID.
+     * @type {Map<number, object>}
+     */
+    jobSubscriptions: new Map(),
+
+    /**
+     * Next job subscription ID to assign.
+     * @type {number}
+     */
+    nextJobSubscriptionId: 1,
+
+    /**
+     * Registers a command handler or command descriptor.
+     *
+     * A descriptor has the shape:
+     * {
+     *   handler: function(args, env, context),
+     *   description?: string,
+     *   usage?: string,                       // generated from args and options when omitted
+     *   args?: [{ name, description?, required?, variadic? }],
+     *   options?: [{ name, alias?: string|string[], type?: 'boolean'|'string'|'number',
+     *                description?, default?, required?, valueName? }],
+     *   rawArgs?: boolean,                    // pass arguments through without option parsing
+     *   complete?: function(request),         // argument completer, see registerCompleter
+     *   module?: string,                      // run in a Web Worker instead of handler, see below
+     *   export?: string,                      // the module's handler export (default 'default')
+     *   timeout?: number,                     // worker runtime limit in milliseconds
+     *   limits?: { timeout?, maxOutputBytes?, maxInputBytes? }  // see window.mythetech.shell.limits
+     * }
+     *
+     * For descriptors the shell parses `--name`, `--name=value`, `--no-name`, `-n 5` and
+     * combined short flags (`-rf`), passes positional arguments as args and the parsed
+     * values as context.options, and answers `--help` itself. Invalid input exits with
+     * code 2 and a usage message without calling the handler.
+     *
+     * A descriptor with a module URL instead of a handler runs in a dedicated Web Worker,
+     * so CPU-heavy commands cannot freeze the UI. The module's handler export receives the
+     * same (args, env, context), but context.fs methods return promises because they are
+     * bridged to the main thread along with write, writeError and readLine. Killing the
+     * process or exceeding the timeout terminates the worker (exit codes 137 and 124).
+     *
+     * Registering a name again replaces the earlier command, unless options.replace is
+     * false, in which case it throws. Commands protected by the policy (including the
+     * built-ins) are never replaced; see policy.protect for what that does and does not cover.
+     * Names owned by a plugin scope are not replaced either: the scope has to unregister them first.
+     * @param {string} name - The command name.
+     * @param {function|object} handler - Async function that receives (args, env, context) and returns
+     * { exitCode, stdout, stderr }, or a descriptor.
+     * @param {object} [options] - { replace: false } to throw instead of replacing an existing command.
+     */
+    registerCommand(name, handler, options) {
+        const key = name.toLowerCase();
+        let descriptor = typeof handler === 'function' ? { handler } : handler;
+
+        if (typeof descriptor?.module === 'string' && descriptor.handler === undefined) {
+            descriptor = { ...descriptor, handler: this.workers.createHandler(key, descriptor) };
+        }
+
+        if (typeof descriptor?.handler !== 'function') {
+            throw new TypeError(`registerCommand: '${name}' requires a handler function`);
+        }
+
+        if (this.policy.protected.has(key)) {
+            throw new Error(`registerCommand: '${name}' is protected and cannot be replaced`);
+        }
+        const owner = this.plugins.owners.get(key);
+        if (owner) {
+            throw new Error(`registerCommand: '${name}' is owned by plugin '${owner}'`);
+        }
+        if (this.commands.has(key) && options?.replace === false) {
+            throw new Error(`registerCommand: '${name}' is already registered`);
+        }
+
+        this.descriptors.set(key, descriptor);
+        this.commands.set(key, typeof handler === 'function' ? handler : this._wrapDescriptor(key, descriptor));
+
+        if (typeof descriptor.complete === 'function') {
+            this.completers.set(key, descriptor.complete);
+        }
+    },
+
+    /**
+     * Registers an argument completer for a command.
+     * The completer receives { command, args, current, line, cursor, env, fs } where args are the
+     * words already typed after the command and current is the word being completed. It returns
+     * (or resolves to) an array of strings or { value, description } objects; returning null or
+     * undefined falls back to file path completion.
      * @param {string} name - The command name.
-     * @param {function} handler - Async function that receives (args, env) and returns { exitCode, stdout, stderr }.
+     * @param {function} completer - The completer function.
      */
-    registerCommand(name, handler) {
-        this.commands.set(name.toLowerCase(), handler);
+    registerCompleter(name, completer) {
+        this.completers.set(name.toLowerCase(), completer);
     },
 
     /**
-     * Unregisters a command.
+     * Unregisters a command. Protected commands cannot be unregistered.
      * @param {string} name - The command name to remove.
      * @returns {boolean} True if the command was found and removed.
      */
     unregisterCommand(name) {
+        if (this.policy.protected.has(name.toLowerCase())) {
+            return false;
+        }
+
+        this.descriptors.delete(name.toLowerCase());
+        this.completers.delete(name.toLowerCase());
+        this.plugins.owners.delete(name.toLowerCase());
         return this.commands.delete(name.toLowerCase());
     },
 
@@ -51,51 +157,319 @@ window.mythetech.shell = {
     },
 
     /**
-     * Executes a command.
-     * @param {string} command - The command name.
-     * @param {string} args - The command arguments as a string.
-     * @param {object} env - Environment variables.
-     * @returns {Promise<{found: boolean, exitCode: number, standardOutput: string, standardError: string}>}
+     * Gets the generated help text for a command.
+     * @param {string} name - The command name.
+     * @returns {string|null} Usage, description, arguments and options, or null if the command does not exist.
      */
-    async execute(command, args, env) {
-        const handler = this.commands.get(command.toLowerCase());
+    getHelp(name) {
+        const key = name.toLowerCase();
+        const descriptor = this.descriptors.get(key);
+        if (!descriptor) return null;
 
-        if (!handler) {
-            return {
-                found: false,
-                exitCode: 127,
-                standardOutput: '',
-                standardError: `Command not found: ${command}`
-            };
+        const lines = [this._formatUsage(key, descriptor)];
+
+        if (descriptor.description) {
+            lines.push('', descriptor.description);
+        }
+
+        const table = (rows) => {
+            const width = Math.max(...rows.map(([label]) => label.length)) + 2;
+            return rows.map(([label, text]) => `  ${label.padEnd(width)}${text}`.trimEnd());
+        };
+
+        if (descriptor.args?.length) {
+            lines.push('', 'Arguments:');
+            lines.push(...table(descriptor.args.map(arg => [arg.name, arg.description ?? ''])));
+        }
+
+        // Bare handlers and rawArgs descriptors see their arguments untouched
+        const parsesOptions = !descriptor.rawArgs && this.commands.get(key) !== descriptor.handler;
+        if (parsesOptions) {
+            const rows = (descriptor.options ?? []).map(option => {
+                const type = option.type ?? 'boolean';
+                const flags = [].concat(option.alias ?? []).map(alias => `-${alias}`)
+                    .concat(`--${option.name}`)
+                    .join(', ');
+                const value = type === 'boolean' ? '' : ` <${option.valueName ?? type}>`;
+                const notes = [];
+                if (option.required) notes.push('required');
+                if (option.default !== undefined && type !== 'boolean') notes.push(`default: ${option.default}`);
+
+                const text = [option.description, notes.length ? `(${notes.join(', ')})` : null];
+                return [flags + value, text.filter(Boolean).join(' ')];
+            });
+
+            rows.push(['--help', 'Show this help']);
+            lines.push('', 'Options:');
+            lines.push(...table(rows));
+        }
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Gets completion candidates for a partial command line.
+     * Completes command names in command position, declared options after `-`, environment
+     * variable names after `$`, and otherwise arguments via the command's completer or file paths.
+     * @param {string} line - The command line being edited.
+     * @param {number} [cursor] - The cursor position (defaults to the end of the line).
+     * @param {object} [env] - Environment variables for `$` completion and expansion.
+     * @param {string[]} [extraCommands] - Additional command names (e.g. .NET-registered commands).
+     * @returns {Promise<{start: number, end: number, candidates: Array<{value: string, kind: string, description: string|null}>}>}
+     * The candidates replace line.substring(start, end). Kind is one of command, option, variable,
+     * directory, file or argument.
+     */
+    async complete(line, cursor, env, extraCommands) {
+        const text = line || '';
+        const position = Math.max(0, Math.min(cursor ?? text.length, text.length));
+        const vars = env || {};
+        const isBreak = (c) => /\s/.test(c) || '|;&>'.includes(c);
+
+        // Find the start of the word under the cursor, treating an open quote as part of it
+        let start = 0;
+        let quote = '';
+        for (let i = 0; i < position; i++) {
+            const c = text[i];
+            if (quote) {
+                if (c === quote) quote = '';
+            } else if (c === '\\') {
+                i++;
+            } else if (c === '"' || c === "'") {
+                quote = c;
+            } else if (isBreak(c)) {
+                start = i + 1;
+            }
         }
 
+        let end = position;
+        while (!quote && end < text.length && !isBreak(text[end])) end++;
+
+        const current = text.substring(start, position);
+        const opening = /^["']/.test(current) ? current[0] : '';
+        const prefix = current.substring(opening.length).replace(/\\(.)/g, '$1');
+        const result = (candidates) => ({ start, end, candidates: this._uniqueCandidates(candidates) });
+
+        // Words before the cursor in the current pipeline stage
+        let tokens;
         try {
-            const argArray = this._parseArgs(args || '');
-            const result = await handler(argArray, env || {});
+            tokens = this._tokenize(text.substring(0, start), vars);
+        } catch {
+            tokens = [];
+        }
 
+        let stageStart = 0;
+        tokens.forEach((token, index) => {
+            if (token.type === 'op' && token.value !== '>' && token.value !== '>>') stageStart = index + 1;
+        });
+        const stage = tokens.slice(stageStart);
+        const previous = stage[stage.length - 1];
+
+        if (prefix.startsWith('$') && opening !== "'") {
+            const braced = prefix.startsWith('${');
+            const namePrefix = prefix.substring(braced ? 2 : 1);
+            return result(Object.keys(vars)
+                .filter(name => name.startsWith(namePrefix))
+                .map(name => ({
+                    value: opening + (braced ? `\${${name}}` : `$${name}`),
+                    kind: 'variable',
+                    description: null
+                })));
+        }
+
+        if (previous?.type === 'op') {
+            return result(this._completePath(prefix));
+        }
+
+        if (!stage.length) {
+            const names = this.getCommands().concat(extraCommands || []);
+            return result(names
+                .filter(name => name.toLowerCase().startsWith(prefix.toLowerCase()))
+                .map(name => ({
+                    value: name,
+                    kind: 'command',
+                    description: this.descriptors.get(name.toLowerCase())?.description ?? null
+                })));
+        }
+
+        const command = stage[0].value.toLowerCase();
+        const args = stage.slice(1).filter(token => token.type === 'word').map(token => token.value);
+
+        if (prefix.startsWith('-') && !args.includes('--')) {
+            return result(this._completeOptions(command, prefix));
+        }
+
+        const completer = this.completers.get(command);
+        if (completer) {
+            try {
+                const candidates = await completer({
+                    command,
+                    args,
+                    current: prefix,
+                    line: text,
+                    cursor: position,
+                    env: vars,
+                    fs: this.fs
+                });
+
+                if (candidates) {
+                    return result(candidates.map(candidate => typeof candidate === 'string'
+                        ? { value: this._quoteCompletion(candidate), kind: 'argument', description: null }
+                        : {
+                            value: this._quoteCompletion(String(candidate.value)),
+                            kind: candidate.kind ?? 'argument',
+                            description: candidate.description ?? null
+                        }));
+                }
+            } catch (e) {
+                console.debug(`Completer for '${command}' failed:`, e);
+            }
+        }
+
+        return result(this._completePath(prefix));
+    },
+
+    /**
+     * Executes a command line.
+     * The command and arguments are joined and parsed as a full command line, so
+     * pipes (`|`), redirection to files (`>`, `>>`), chaining
+     * (`;`, `&&`, `||`) and background jobs (`&`) are supported. Handlers receive
+     * (args, env, context) where context provides stdin, fs, signal, and
+     * write/writeError for incremental output.
+     *
+     * Handlers can also produce structured records, by returning { records, schema } or
+     * calling context.writeRecord(record) / context.writeRecords(records, schema). The schema
+     * is { columns: [{ name, title?, type? }] } and is inferred from the records when omitted.
+     * The records of the last command reach .NET as data, and a command that writes no text
+     * of its own gets a table rendered as its stdout.
+     * @param {string} command - The command name (or the start of the command line).
+     * @param {string} args - The remainder of the command line.
+     * @param {object} env - Environment variables.
+     * @param {string} [stdin] - Input for the first command of the line.
+     * @returns {Promise<{found: boolean, exitCode: number, standardOutput: string, standardError: string, data: object|null}>}
+     */
+    execute(command, args, env, stdin) {
+        return this._execute(command, args, env, null, stdin);
+    },
+
+    /**
+     * Executes a command line, pushing output to .NET as it is produced.
+     * Chunks passed to context.write/writeError (and any returned stdout/stderr) are
+     * sent to the dotNetRef's OnOutput/OnError methods, batched per animation frame.
+     * The combined result is still returned once the command line completes.
+     * @param {string} command - The command name (or the start of the command line).
+     * @param {string} args - The remainder of the command line.
+     * @param {object} env - Environment variables.
+     * @param {object} dotNetRef - Reference to a .NET object exposing OnOutput and OnError.
+     * @param {string} [stdin] - Input for the first command of the line.
+     * @returns {Promise<{found: boolean, exitCode: number, standardOutput: string, standardError: string, data: object|null}>}
+     */
+    executeStreaming(command, args, env, dotNetRef, stdin) {
+        const batcher = this.limits.createBatcher(dotNetRef);
+
+        return this._execute(command, args, env, {
+            out: (data) => batcher.push('OnOutput', data),
+            err: (data) => batcher.push('OnError', data)
+        }, stdin).finally(batcher.flush);
+    },
+
+    /**
+     * Internal: Parses and runs a command line, optionally streaming output.
+     * @private
+     */
+    async _execute(command, args, env, streams, stdin) {
+        const line = args ? `${command} ${args}` : (command || '');
+
+        let list;
+        try {
+            list = this._parseCommandLine(line, env || {});
+        } catch (e) {
+            const message = e.message || String(e);
+            streams?.err(message);
             return {
                 found: true,
-                exitCode: result.exitCode ?? 0,
-                standardOutput: result.stdout ?? '',
-                standardError: result.stderr ?? ''
+                exitCode: 2,
+                standardOutput: '',
+                standardError: message
             };
-        } catch (e) {
+        }
+
+        // A lone unknown command is reported as not found so .NET can fall back
+        const isSimple = list.length === 1 && list[0].pipeline.length === 1;
+        if (isSimple && !this.commands.has(list[0].pipeline[0].name.toLowerCase())) {
             return {
-                found: true,
-                exitCode: 1,
+                found: false,
+                exitCode: 127,
                 standardOutput: '',
-                standardError: e.message || String(e)
+                standardError: `Command not found: ${list[0].pipeline[0].name}`
             };
         }
+
+        await this.fs.load();
+        const result = await this._runList(list, env || {}, streams, stdin);
+
+        return {
+            found: true,
+            exitCode: result.exitCode,
+            standardOutput: result.stdout,
+            standardError: result.stderr,
+            data: result.data
+        };
+    },
+
+    /**
+     * Executes a script. See window.mythetech.shell.script for the supported syntax.
+     * Commands registered in .NET are not available to scripts.
+     * @param {string} text - The script source.
+     * @param {object} env - Environment variables, available as script variables.
+     * @returns {Promise<{found: boolean, exitCode: number, standardOutput: string, standardError: string}>}
+     */
+    async executeScript(text, env) {
+        await this.fs.load();
+        const result = await this.script.run(text || '', env || {}, null);
+
+        return {
+            found: true,
+            exitCode: result.exitCode,
+            standardOutput: result.stdout,
+            standardError: result.stderr
+        };
+    },
+
+    /**
+     * Gets the contents of a file written by `>` or `>>` redirection.
+     * Redirection writes to the virtual filesystem, so this is the same as fs.readFile.
+     * @param {string} name - The file path.
+     * @returns {string|null} The file contents, or null if it does not exist.
+     */
+    getBuffer(name) {
+        return this.fs.stat(name)?.type === 'file' ? this.fs.readFile(name) : null;
+    },
+
+    /**
+     * Removes a file written by redirection.
+     * @param {string} name - The file path.
+     * @returns {boolean} True if the file was found and removed.
+     */
+    deleteBuffer(name) {
+        if (this.fs.stat(name)?.type !== 'file') return false;
+        this.fs.remove(name);
+        return true;
     },
 
     /**
      * Creates an interactive process.
+     * The process runs under the command's limits (see window.mythetech.shell.limits): it is
+     * stopped with exit code 124 when its runtime limit is reached, output past the byte limit
+     * is dropped after a truncation notice, and output reaches .NET batched per animation frame.
+     * Besides the usual context the handler gets getInputStatus() and onBackpressure(callback),
+     * which is called with that status whenever input is rejected because the buffer is full.
      * @param {string} command - The command name.
      * @param {object} dotNetRef - Reference to the .NET WasmShellProcess object.
+     * @param {string[]} [args] - The parsed command arguments.
+     * @param {object} [env] - Environment variables.
      * @returns {number|null} Process handle, or null if no handler exists.
      */
-    createProcess(command, dotNetRef) {
+    createProcess(command, dotNetRef, args, env) {
         const handler = this.commands.get(command.toLowerCase());
 
         if (!handler) {
@@ -106,13 +480,27 @@ window.mythetech.shell = {
         const process = {
             id,
             command,
+            args: args || [],
+            env: env || {},
             dotNetRef,
             aborted: false,
             inputBuffer: [],
-            inputCallback: null
+            inputBytes: 0,
+            inputRejected: 0,
+            inputCallback: null,
+            limits: this.limits.resolve(command),
+            meter: null,
+            batcher: dotNetRef ? this.limits.createBatcher(dotNetRef) : null,
+            background: false,
+            state: 'running',
+            startTime: Date.now(),
+            endTime: null,
+            exitCode: null
         };
+        process.meter = this.limits.createMeter(process.limits.maxOutputBytes);
 
         this.processes.set(id, process);
+        this._notifyJobState(process);
 
         // Start the process asynchronously
         this._runProcess(process, handler);
@@ -122,44 +510,71 @@ window.mythetech.shell = {
 
     /**
      * Writes input to a process.
+     * Input the handler has not read yet is buffered up to the process's maxInputBytes limit.
+     * Input that does not fit is rejected so the writer can retry once the handler catches up,
+     * and the handler is told through the callback it passed to context.onBackpressure.
+     * A single write larger than the limit is accepted once the buffer is empty, so a retry
+     * always succeeds eventually.
      * @param {number} processId - The process handle.
      * @param {string} data - The input data.
+     * @returns {boolean} False if the input buffer is full and the data was not accepted.
      */
     writeInput(processId, data) {
         const proc = this.processes.get(processId);
-        if (!proc) return;
+        if (!proc) return true;
 
         if (proc.inputCallback) {
+            this.recorder._record(proc, 'i', data);
             proc.inputCallback(data);
-        } else {
-            proc.inputBuffer.push(data);
+            return true;
+        }
+
+        const bytes = this.limits._encoder.encode(data).length;
+        const limit = proc.limits?.maxInputBytes;
+        if (limit > 0 && proc.inputBytes > 0 && proc.inputBytes + bytes > limit) {
+            proc.inputRejected++;
+            try {
+                proc.onBackpressure?.(this._inputStatus(proc));
+            } catch (error) {
+                console.debug('Failed to signal input backpressure:', error);
+            }
+            return false;
         }
+
+        this.recorder._record(proc, 'i', data);
+        proc.inputBuffer.push(data);
+        proc.inputBytes += bytes;
+        return true;
     },
 
     /**
      * Interrupts a process (signals cancellation).
+     * The handler's context.signal is aborted with reason 'INT'.
      * @param {number} processId - The process handle.
      */
     interrupt(processId) {
         const proc = this.processes.get(processId);
-        if (proc) {
+        if (proc && proc.state === 'running') {
             proc.aborted = true;
+            proc.signal = 'INT';
             if (proc.abortController) {
-                proc.abortController.abort();
+                proc.abortController.abort('INT');
             }
         }
     },
 
     /**
      * Forcefully terminates a process.
+     * The handler's context.signal is aborted with reason 'KILL', which also terminates worker commands.
      * @param {number} processId - The process handle.
      */
     kill(processId) {
         const proc = this.processes.get(processId);
-        if (proc) {
+        if (proc && proc.state === 'running') {
             proc.aborted = true;
+            proc.signal = 'KILL';
             if (proc.abortController) {
-                proc.abortController.abort();
+                proc.abortController.abort('KILL');
             }
             this._notifyExit(proc, -1);
         }
@@ -173,6 +588,150 @@ window.mythetech.shell = {
         this.processes.delete(processId);
     },
 
+    /**
+     * Gets all processes, including background jobs that have finished but not yet been reaped.
+     * @returns {Array<{id: number, command: string, state: string, background: boolean, startTime: string, endTime: string|null, exitCode: number|null}>}
+     * State is one of running, exited, interrupted or killed.
+     */
+    getJobs() {
+        return Array.from(this.processes.values()).map(proc => this._jobInfo(proc));
+    },
+
+    /**
+     * Subscribes a .NET object to process state changes.
+     * The dotNetRef's OnJobStateChanged method receives the same shape as getJobs() entries.
+     * @param {object} dotNetRef - Reference to a .NET object exposing OnJobStateChanged.
+     * @returns {number} Subscription ID for cleanup.
+     */
+    subscribeToJobs(dotNetRef) {
+        const id = this.nextJobSubscriptionId++;
+        this.jobSubscriptions.set(id, dotNetRef);
+        return id;
+    },
+
+    /**
+     * Unsubscribes from process state changes.
+     * @param {number} subscriptionId - The ID returned from subscribeToJobs.
+     */
+    unsubscribeFromJobs(subscriptionId) {
+        this.jobSubscriptions.delete(subscriptionId);
+    },
+
+    /**
+     * Internal: Starts a pipeline as a background job.
+     * Output is buffered until a foreground command attaches to the job with `fg`.
+     * @private
+     */
+    _startJob(pipeline, env, scope) {
+        const id = this.nextProcessId++;
+        const abortController = new AbortController();
+        const command = pipeline
+            .map(stage => [stage.name, ...stage.args.map(word => word.value)].join(' '))
+            .join(' | ');
+
+        const job = {
+            id,
+            command,
+            args: [],
+            env,
+            dotNetRef: null,
+            aborted: false,
+            inputBuffer: [],
+            inputCallback: null,
+            abortController,
+            background: true,
+            state: 'running',
+            startTime: Date.now(),
+            endTime: null,
+            exitCode: null,
+            output: [],
+            attached: null,
+            names: pipeline.map(stage => stage.name.toLowerCase())
+        };
+
+        const forward = (method) => (data) => {
+            this.recorder._record(job, method === 'write' ? 'o' : 'e', data);
+            if (job.attached) {
+                job.attached[method](data);
+            } else {
+                job.output.push({ method, data });
+            }
+        };
+
+        this.processes.set(id, job);
+        this._notifyJobState(job);
+
+        job.done = this._runPipeline(pipeline, env, {
+            out: forward('write'),
+            err: forward('writeError'),
+            signal: abortController.signal,
+            scope
+        }).then(
+            result => result.exitCode,
+            e => {
+                forward('writeError')(e.message || String(e));
+                return 1;
+            }
+        ).then(exitCode => {
+            if (job.state === 'running') {
+                this._notifyExit(job, job.aborted ? 130 : exitCode);
+            }
+            return job.exitCode;
+        });
+
+        return job;
+    },
+
+    /**
+     * Internal: Attaches a background job's output to a foreground context and waits for it.
+     * Buffered output is replayed first; the job is reaped once it has finished.
+     * @private
+     */
+    async _foregroundJob(job, context) {
+        for (const { method, data } of job.output.splice(0)) {
+            context[method](data);
+        }
+
+        job.attached = context;
+        try {
+            return await job.done;
+        } finally {
+            job.attached = null;
+            this.processes.delete(job.id);
+        }
+    },
+
+    /**
+     * Internal: Builds the serializable description of a process.
+     * @private
+     */
+    _jobInfo(proc) {
+        return {
+            id: proc.id,
+            command: proc.command,
+            state: proc.state,
+            background: proc.background,
+            startTime: new Date(proc.startTime).toISOString(),
+            endTime: proc.endTime ? new Date(proc.endTime).toISOString() : null,
+            exitCode: proc.exitCode
+        };
+    },
+
+    /**
+     * Internal: Notifies .NET job subscribers of a process state change.
+     * @private
+     */
+    _notifyJobState(proc) {
+        if (!this.jobSubscriptions.size) return;
+
+        const info = this._jobInfo(proc);
+        for (const dotNetRef of this.jobSubscriptions.values()) {
+            dotNetRef.invokeMethodAsync('OnJobStateChanged', info).catch((error) => {
+                console.debug('Failed to notify job state change:', error);
+            });
+        }
+    },
+
     /**
      * Internal: Runs a process.
      * @private
@@ -181,18 +740,49 @@ window.mythetech.shell = {
         const abortController = new AbortController();
         process.abortController = abortController;
 
+        await this.fs.load();
+
+        const blocked = await this.policy.authorize(process.command, process.args);
+        if (blocked) {
+            process.blocked = blocked;
+            this._notifyError(process, `${process.command}: ${blocked}`);
+            this._notifyExit(process, 126);
+            return;
+        }
+
+        if (process.limits.timeout > 0) {
+            process.timer = setTimeout(() => {
+                if (process.state !== 'running') return;
+                process.meter = null;
+                this._notifyError(process, `${process.command}: timed out after ${process.limits.timeout}ms`);
+                process.aborted = true;
+                process.signal = 'TIMEOUT';
+                abortController.abort('TIMEOUT');
+                this._notifyExit(process, 124);
+            }, process.limits.timeout);
+        }
+
         // Create a context for the process
         const context = {
+            fs: this.fs,
             write: (data) => this._notifyOutput(process, data),
             writeError: (data) => this._notifyError(process, data),
             readLine: () => this._readLine(process),
+            getInputStatus: () => this._inputStatus(process),
+            onBackpressure: (callback) => { process.onBackpressure = callback; },
+            // Interactive processes stream text, so records are rendered as they arrive
+            writeRecord: (record) => context.writeRecords([record]),
+            writeRecords: (records, schema) => this._notifyOutput(process, this._formatTable(this._structure(records, schema))),
             isAborted: () => process.aborted,
             signal: abortController.signal
         };
 
         try {
-            const result = await handler([], {}, context);
+            const result = await handler(process.args, process.env, context);
             if (!process.aborted) {
+                if (result?.records && !result.stdout) context.writeRecords(result.records, result.schema);
+                if (result?.stdout) this._notifyOutput(process, result.stdout);
+                if (result?.stderr) this._notifyError(process, result.stderr);
                 this._notifyExit(process, result?.exitCode ?? 0);
             }
         } catch (e) {
@@ -201,128 +791,4368 @@ window.mythetech.shell = {
                 this._notifyExit(process, 1);
             }
         }
+
+        // An interrupted handler has now settled; kill already reported its exit
+        if (process.state === 'running') {
+            this._notifyExit(process, 130);
+        }
     },
 
     /**
-     * Internal: Reads a line of input from the process.
+     * Internal: Completes the declared options of a command.
      * @private
      */
-    _readLine(process) {
-        return new Promise((resolve) => {
-            if (process.inputBuffer.length > 0) {
-                resolve(process.inputBuffer.shift());
-            } else {
-                process.inputCallback = (data) => {
-                    process.inputCallback = null;
-                    resolve(data);
-                };
+    _completeOptions(command, prefix) {
+        const descriptor = this.descriptors.get(command);
+        if (!descriptor || descriptor.rawArgs || this.commands.get(command) === descriptor.handler) {
+            return [];
+        }
+
+        const candidates = [];
+        for (const option of descriptor.options ?? []) {
+            const description = option.description ?? null;
+            candidates.push({ value: `--${option.name}`, kind: 'option', description });
+            for (const alias of [].concat(option.alias ?? [])) {
+                candidates.push({ value: `-${alias}`, kind: 'option', description });
             }
-        });
+        }
+        candidates.push({ value: '--help', kind: 'option', description: 'Show this help' });
+
+        return candidates.filter(candidate => candidate.value.startsWith(prefix));
     },
 
     /**
-     * Internal: Notifies .NET of output.
+     * Internal: Completes a file or directory path from the virtual filesystem.
      * @private
      */
-    _notifyOutput(process, data) {
-        if (process.dotNetRef && !process.aborted) {
-            process.dotNetRef.invokeMethodAsync('OnOutput', data);
+    _completePath(prefix) {
+        const slash = prefix.lastIndexOf('/');
+        const directory = slash < 0 ? '' : prefix.substring(0, slash + 1);
+        const base = prefix.substring(slash + 1);
+
+        let entries;
+        try {
+            entries = this.fs.readdir(directory || '.');
+        } catch {
+            return [];
         }
+
+        return entries
+            .filter(entry => entry.name.startsWith(base) && (base.startsWith('.') || !entry.name.startsWith('.')))
+            .map(entry => ({
+                value: this._quoteCompletion(directory + entry.name + (entry.type === 'dir' ? '/' : '')),
+                kind: entry.type === 'dir' ? 'directory' : 'file',
+                description: null
+            }));
     },
 
     /**
-     * Internal: Notifies .NET of error output.
+     * Internal: Backslash-escapes characters the shell would interpret in a completion value.
      * @private
      */
-    _notifyError(process, data) {
-        if (process.dotNetRef && !process.aborted) {
-            process.dotNetRef.invokeMethodAsync('OnError', data);
-        }
+    _quoteCompletion(value) {
+        return value.replace(/[\s"'\\$|;&><*?[\]~]/g, '\\$&');
     },
 
     /**
-     * Internal: Notifies .NET of process exit.
+     * Internal: Removes duplicate candidates (case-insensitively) and sorts them by value.
      * @private
      */
-    _notifyExit(process, exitCode) {
-        if (process.dotNetRef) {
-            process.dotNetRef.invokeMethodAsync('OnExit', exitCode);
+    _uniqueCandidates(candidates) {
+        const seen = new Map();
+        for (const candidate of candidates) {
+            const key = candidate.value.toLowerCase();
+            if (!seen.has(key)) seen.set(key, candidate);
         }
-        this.processes.delete(process.id);
+        return Array.from(seen.values()).sort((a, b) => a.value.localeCompare(b.value));
     },
 
     /**
-     * Internal: Parses an argument string into an array.
+     * Internal: Wraps a descriptor's handler with option parsing, validation and `--help`.
      * @private
      */
-    _parseArgs(argsString) {
-        if (!argsString || !argsString.trim()) {
-            return [];
+    _wrapDescriptor(name, descriptor) {
+        return (args, env, context) => {
+            if (descriptor.rawArgs) {
+                return descriptor.handler(args, env, { ...context, options: {} });
+            }
+
+            const parsed = this._parseOptions(descriptor, args);
+
+            if (parsed.help) {
+                return { exitCode: 0, stdout: this.getHelp(name) };
+            }
+
+            if (parsed.error) {
+                return {
+                    exitCode: 2,
+                    stderr: `${name}: ${parsed.error}\n${this._formatUsage(name, descriptor)}`
+                };
+            }
+
+            return descriptor.handler(parsed.positionals, env, { ...context, options: parsed.options });
+        };
+    },
+
+    /**
+     * Internal: Parses arguments against a descriptor's options and positional args.
+     * Returns { options, positionals }, { help: true } or { error }.
+     * @private
+     */
+    _parseOptions(descriptor, args) {
+        const specs = descriptor.options ?? [];
+        const options = {};
+        const positionals = [];
+        const seen = new Set();
+
+        for (const spec of specs) {
+            if (spec.default !== undefined) {
+                options[spec.name] = spec.default;
+            } else if ((spec.type ?? 'boolean') === 'boolean') {
+                options[spec.name] = false;
+            }
         }
 
-        const args = [];
-        let current = '';
-        let inQuotes = false;
-        let quoteChar = '';
-
-        for (const c of argsString) {
-            if (!inQuotes && (c === '"' || c === "'")) {
-                inQuotes = true;
-                quoteChar = c;
-            } else if (inQuotes && c === quoteChar) {
-                inQuotes = false;
-                quoteChar = '';
-            } else if (!inQuotes && /\s/.test(c)) {
-                if (current) {
-                    args.push(current);
-                    current = '';
+        const byName = (name) => specs.find(spec => spec.name === name);
+        const byAlias = (alias) => specs.find(spec => [].concat(spec.alias ?? []).includes(alias));
+        const assign = (spec, value, label) => {
+            if (spec.type === 'number') {
+                const number = Number(value);
+                if (value.trim() === '' || Number.isNaN(number)) {
+                    return `option ${label} expects a number`;
                 }
+                options[spec.name] = number;
             } else {
-                current += c;
+                options[spec.name] = value;
             }
-        }
+            seen.add(spec.name);
+            return null;
+        };
 
-        if (current) {
-            args.push(current);
-        }
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
 
-        return args;
-    }
-};
+            if (arg === '--') {
+                positionals.push(...args.slice(i + 1));
+                break;
+            }
 
-// Register built-in commands
-(function() {
-    const shell = window.mythetech.shell;
+            if (arg === '--help') {
+                return { help: true };
+            }
 
-    // echo - prints arguments
-    shell.registerCommand('echo', (args) => ({
-        exitCode: 0,
-        stdout: args.join(' ')
-    }));
+            if (arg.startsWith('--')) {
+                const eq = arg.indexOf('=');
+                const key = eq < 0 ? arg.substring(2) : arg.substring(2, eq);
+                const spec = byName(key);
+                const negated = !spec && eq < 0 && key.startsWith('no-') ? byName(key.substring(3)) : null;
 
-    // env - prints environment variables
-    shell.registerCommand('env', (args, env) => ({
-        exitCode: 0,
-        stdout: Object.entries(env)
-            .map(([k, v]) => `${k}=${v}`)
-            .join('\n')
-    }));
-
-    // help - lists available commands
-    shell.registerCommand('help', () => ({
-        exitCode: 0,
-        stdout: 'Available commands:\n' + shell.getCommands().join('\n')
-    }));
+                if (negated && (negated.type ?? 'boolean') === 'boolean') {
+                    options[negated.name] = false;
+                    seen.add(negated.name);
+                    continue;
+                }
 
-    // clear - clears the console (no-op in terms of output)
-    shell.registerCommand('clear', () => ({
-        exitCode: 0,
-        stdout: ''
-    }));
+                if (!spec) return { error: `unknown option: --${key}` };
 
-    // version - prints shell version
-    shell.registerCommand('version', () => ({
-        exitCode: 0,
-        stdout: 'Mythetech WebAssembly Shell v1.0.0'
-    }));
+                if ((spec.type ?? 'boolean') === 'boolean') {
+                    if (eq >= 0) return { error: `option --${key} does not take a value` };
+                    options[spec.name] = true;
+                    seen.add(spec.name);
+                    continue;
+                }
+
+                const value = eq >= 0 ? arg.substring(eq + 1) : args[++i];
+                if (value === undefined) return { error: `option --${key} requires a value` };
+
+                const error = assign(spec, value, `--${key}`);
+                if (error) return { error };
+                continue;
+            }
+
+            // A lone '-' and negative numbers are positional unless a digit is declared as an alias
+            if (arg.length < 2 || !arg.startsWith('-') || (/^-\d/.test(arg) && !byAlias(arg[1]))) {
+                positionals.push(arg);
+                continue;
+            }
+
+            for (let j = 1; j < arg.length; j++) {
+                const spec = byAlias(arg[j]);
+                if (!spec) return { error: `unknown option: -${arg[j]}` };
+
+                if ((spec.type ?? 'boolean') === 'boolean') {
+                    options[spec.name] = true;
+                    seen.add(spec.name);
+                    continue;
+                }
+
+                const value = j + 1 < arg.length ? arg.substring(j + 1) : args[++i];
+                if (value === undefined) return { error: `option -${arg[j]} requires a value` };
+
+                const error = assign(spec, value, `-${arg[j]}`);
+                if (error) return { error };
+                break;
+            }
+        }
+
+        const missing = specs.find(spec => spec.required && !seen.has(spec.name));
+        if (missing) return { error: `missing required option --${missing.name}` };
+
+        if (descriptor.args) {
+            const required = descriptor.args.filter(arg => arg.required);
+            if (positionals.length < required.length) {
+                return { error: `missing required argument <${required[positionals.length].name}>` };
+            }
+
+            const variadic = descriptor.args.some(arg => arg.variadic);
+            if (!variadic && positionals.length > descriptor.args.length) {
+                return { error: `unexpected argument: ${positionals[descriptor.args.length]}` };
+            }
+        }
+
+        return { options, positionals };
+    },
+
+    /**
+     * Internal: Builds the usage line for a command.
+     * @private
+     */
+    _formatUsage(name, descriptor) {
+        if (descriptor.usage) {
+            return `Usage: ${descriptor.usage}`;
+        }
+
+        const parts = [name];
+        if (descriptor.options?.length) {
+            parts.push('[options]');
+        }
+
+        for (const arg of descriptor.args ?? []) {
+            const label = arg.name + (arg.variadic ? '...' : '');
+            parts.push(arg.required ? `<${label}>` : `[${label}]`);
+        }
+
+        return `Usage: ${parts.join(' ')}`;
+    },
+
+    /**
+     * Internal: Reads a line of input from the process.
+     * @private
+     */
+    _readLine(process) {
+        return new Promise((resolve) => {
+            if (process.inputBuffer.length > 0) {
+                const data = process.inputBuffer.shift();
+                process.inputBytes -= this.limits._encoder.encode(data).length;
+                resolve(data);
+            } else {
+                process.inputCallback = (data) => {
+                    process.inputCallback = null;
+                    resolve(data);
+                };
+            }
+        });
+    },
+
+    /**
+     * Internal: Describes a process's input buffer for context.getInputStatus and onBackpressure.
+     * @private
+     */
+    _inputStatus(process) {
+        const limit = process.limits?.maxInputBytes ?? 0;
+        return {
+            bufferedBytes: process.inputBytes,
+            limit,
+            full: limit > 0 && process.inputBytes >= limit,
+            rejected: process.inputRejected
+        };
+    },
+
+    /**
+     * Internal: Notifies .NET of output, within the process's output limit.
+     * @private
+     */
+    _notifyOutput(process, data) {
+        this._notify(process, 'o', 'OnOutput', data);
+    },
+
+    /**
+     * Internal: Notifies .NET of error output, within the process's output limit.
+     * @private
+     */
+    _notifyError(process, data) {
+        this._notify(process, 'e', 'OnError', data);
+    },
+
+    /**
+     * Internal: Records and forwards a chunk of process output, adding a notice when
+     * the output limit truncates it.
+     * @private
+     */
+    _notify(process, type, method, data) {
+        if (process.aborted) return;
+
+        const text = process.meter ? process.meter.take(String(data)) : String(data);
+        if (text === null) return;
+
+        this.recorder._record(process, type, text);
+        process.batcher?.push(method, text);
+
+        if (process.meter?.truncated) {
+            const notice = this.limits.truncationNotice(process.command, process.limits.maxOutputBytes);
+            this.recorder._record(process, 'e', notice);
+            process.batcher?.push('OnError', notice);
+        }
+    },
+
+    /**
+     * Internal: Notifies .NET of process exit.
+     * @private
+     */
+    _notifyExit(process, exitCode) {
+        this.recorder._record(process, 'x', exitCode);
+        if (!process.background && process.state === 'running') {
+            this.policy.record({
+                command: process.command,
+                args: process.args,
+                exitCode,
+                startTime: process.startTime,
+                blocked: process.blocked,
+                source: 'process'
+            });
+        }
+        process.batcher?.flush();
+        if (process.dotNetRef) {
+            process.dotNetRef.invokeMethodAsync('OnExit', exitCode);
+        }
+
+        clearTimeout(process.timer);
+        process.state = process.signal === 'KILL' || process.signal === 'TIMEOUT' ? 'killed'
+            : process.signal === 'INT' ? 'interrupted'
+            : 'exited';
+        process.exitCode = exitCode;
+        process.endTime = Date.now();
+        this._notifyJobState(process);
+
+        // Finished background jobs stay listed until `jobs` reports them or `fg` collects them
+        if (!process.background) {
+            this.processes.delete(process.id);
+        }
+    },
+
+    /**
+     * Internal: Runs a parsed command list, honouring `;`, `&&` and `||`.
+     * stdin is consumed by the first pipeline in the list.
+     * @private
+     */
+    async _runList(list, env, streams, stdin = '') {
+        let exitCode = 0;
+        let data = null;
+        const stdout = [];
+        const stderr = [];
+
+        for (const { op, pipeline, background } of list) {
+            if (streams?.signal?.aborted) break;
+            if (op === '&&' && exitCode !== 0) continue;
+            if (op === '||' && exitCode === 0) continue;
+
+            const input = stdin;
+            stdin = '';
+
+            if (background) {
+                const job = this._startJob(pipeline, env, streams?.scope);
+                const notice = `[${job.id}] ${job.command}`;
+                streams?.out?.(notice);
+                stdout.push(notice);
+                exitCode = 0;
+                continue;
+            }
+
+            const result = await this._runPipeline(pipeline, env, streams, input);
+            exitCode = result.exitCode;
+            data = result.data;
+            if (result.stdout) stdout.push(result.stdout);
+            if (result.stderr) stderr.push(result.stderr);
+        }
+
+        return {
+            exitCode,
+            stdout: stdout.join('\n'),
+            stderr: stderr.join('\n'),
+            data
+        };
+    },
+
+    /**
+     * Internal: Runs a pipeline, feeding each stage's stdout to the next stage's stdin.
+     * The exit code of a pipeline is the exit code of its last stage. Only the last
+     * stage's stdout is streamed, unless it is redirected; stderr always is.
+     * @private
+     */
+    async _runPipeline(pipeline, env, streams, input = '') {
+        let stdin = input;
+        let exitCode = 0;
+        let data = null;
+        const stderr = [];
+
+        for (let i = 0; i < pipeline.length; i++) {
+            if (streams?.signal?.aborted) break;
+
+            const stage = pipeline[i];
+            const streamStdout = i === pipeline.length - 1 && !stage.redirect;
+            const result = await this._runStage(stage, env, stdin, {
+                out: streamStdout ? streams?.out : null,
+                err: streams?.err,
+                signal: streams?.signal,
+                scope: streams?.scope
+            });
+
+            exitCode = result.exitCode;
+            if (result.stderr) stderr.push(result.stderr);
+
+            if (stage.redirect) {
+                try {
+                    this._writeRedirect(stage.redirect.target, result.stdout, stage.redirect.append);
+                } catch (e) {
+                    stderr.push(e.message);
+                    streams?.err?.(e.message);
+                    exitCode = 1;
+                }
+                stdin = '';
+                data = null;
+            } else {
+                stdin = result.stdout;
+                data = result.data;
+            }
+        }
+
+        return {
+            exitCode,
+            stdout: stdin,
+            stderr: stderr.join('\n'),
+            data
+        };
+    },
+
+    /**
+     * Internal: Invokes the handler for a single pipeline stage.
+     * Output written through the context is collected and forwarded to the
+     * optional out/err stream callbacks as it is produced. Inside a script,
+     * the script's functions take precedence over registered commands.
+     * @private
+     */
+    async _runStage(stage, env, stdin, streams) {
+        const stdout = [];
+        const stderr = [];
+        const structured = { written: false, records: [], schema: null };
+
+        // Script functions are not registered commands, so the policy and limits apply to the commands they run
+        const scriptHandler = streams.scope?.lookup(stage.name);
+        const handler = scriptHandler ?? this.commands.get(stage.name.toLowerCase());
+        const limits = scriptHandler ? null : this.limits.resolve(stage.name);
+        const meter = this.limits.createMeter(limits?.maxOutputBytes);
+        let settled = false;
+
+        // Notices from the shell itself are not subject to the output limit
+        const notice = (text) => {
+            stderr.push(text);
+            streams.err?.(text);
+        };
+        const emit = (lines, stream, data) => {
+            const text = settled ? null : meter.take(String(data));
+            if (text === null) return;
+
+            lines.push(text);
+            stream?.(text);
+
+            if (meter.truncated) {
+                notice(this.limits.truncationNotice(stage.name, limits.maxOutputBytes));
+            }
+        };
+        const write = (data) => emit(stdout, streams.out, data);
+        const writeError = (data) => emit(stderr, streams.err, data);
+        const writeRecords = (records, schema) => {
+            structured.written = true;
+            structured.records.push(...records);
+            if (schema) structured.schema = schema;
+        };
+
+        const startTime = Date.now();
+        let args = [];
+        let blocked = null;
+        let exitCode;
+
+        if (!handler) {
+            writeError(`Command not found: ${stage.name}`);
+            exitCode = 127;
+        } else {
+            try {
+                args = stage.args.flatMap(word => this._expandGlob(word));
+                blocked = scriptHandler ? null : await this.policy.authorize(stage.name, args);
+
+                if (blocked) {
+                    writeError(`${stage.name}: ${blocked}`);
+                    exitCode = 126;
+                } else {
+                    // A handler that ignores the signal is abandoned when its time is up
+                    const guard = this.limits.guard(limits?.timeout, streams.signal);
+                    const { signal } = guard;
+                    try {
+                        const result = await Promise.race([
+                            handler(args, env, {
+                                stdin,
+                                fs: this.fs,
+                                write,
+                                writeError,
+                                writeRecord: (record) => writeRecords([record]),
+                                writeRecords,
+                                signal,
+                                isAborted: () => signal.aborted
+                            }),
+                            guard.expired.then(() => ({ timedOut: true }))
+                        ]);
+
+                        if (result?.timedOut && signal.reason === 'TIMEOUT') {
+                            notice(`${stage.name}: timed out after ${limits.timeout}ms`);
+                            exitCode = 124;
+                        } else {
+                            if (result?.records) writeRecords(result.records, result.schema);
+                            if (result?.stdout) write(result.stdout);
+                            if (result?.stderr) writeError(result.stderr);
+                            exitCode = result?.exitCode ?? 0;
+                        }
+                    } finally {
+                        guard.dispose();
+                    }
+                }
+            } catch (e) {
+                writeError(e.message || String(e));
+                exitCode = 1;
+            }
+        }
+
+        if (!scriptHandler) {
+            this.policy.record({ command: stage.name, args, exitCode, startTime, blocked, source: 'shell' });
+        }
+
+        const data = structured.written ? this._structure(structured.records, structured.schema) : null;
+        if (data && !stdout.length) {
+            write(this._formatTable(data));
+        }
+        settled = true;
+
+        return {
+            exitCode,
+            stdout: stdout.join('\n'),
+            stderr: stderr.join('\n'),
+            data
+        };
+    },
+
+    /**
+     * Internal: Builds the structured output of a command: its records and a schema
+     * whose columns default to the records' keys, with titles and types filled in.
+     * @private
+     */
+    _structure(records, schema) {
+        const columns = schema?.columns?.map(column => typeof column === 'string' ? { name: column } : column);
+        const names = columns?.map(column => column.name)
+            ?? [...new Set(records.flatMap(record => Object.keys(record ?? {})))];
+
+        return {
+            columns: names.map((name, i) => {
+                const sample = records.find(record => record?.[name] != null)?.[name];
+                const type = sample === undefined ? 'string'
+                    : typeof sample === 'object' ? 'json'
+                    : typeof sample;
+                return { name, title: columns?.[i].title ?? name, type: columns?.[i].type ?? type };
+            }),
+            records
+        };
+    },
+
+    /**
+     * Internal: Renders structured output as a plain-text table. Numbers are right-aligned;
+     * objects are shown as JSON.
+     * @private
+     */
+    _formatTable({ columns, records }) {
+        if (!columns.length) return '';
+
+        const cell = (value) => value == null ? ''
+            : typeof value === 'object' ? JSON.stringify(value)
+            : String(value);
+        const rows = records.map(record => columns.map(column => cell(record?.[column.name])));
+        const widths = columns.map((column, i) => Math.max(column.title.length, ...rows.map(row => row[i].length)));
+
+        const format = (values) => values
+            .map((value, i) => columns[i].type === 'number' ? value.padStart(widths[i]) : value.padEnd(widths[i]))
+            .join('  ')
+            .trimEnd();
+
+        return [format(columns.map(column => column.title)), ...rows.map(format)].join('\n');
+    },
+
+    /**
+     * Internal: Writes redirected output to a file in the virtual filesystem, so later
+     * commands can read it with cat, ls and friends.
+     * @private
+     */
+    _writeRedirect(path, data, append) {
+        const existing = append && this.fs.exists(path) ? this.fs.readFile(path) : '';
+        const separator = existing && data && !existing.endsWith('\n') ? '\n' : '';
+        this.fs.writeFile(path, existing + separator + data);
+    },
+
+    /**
+     * Internal: Parses a command line into a list of pipelines.
+     * Each entry is { op, pipeline, background } where op is the operator that
+     * preceded it (null, ';', '&&' or '||'), background is set for pipelines ending
+     * in '&', and pipeline is an array of { name, args, redirect } stages, where args
+     * are word tokens.
+     * @private
+     * @throws {Error} On a syntax error.
+     */
+    _parseCommandLine(line, env) {
+        const tokens = this._tokenize(line, env);
+        const list = [];
+        let op = null;
+        let pipeline = [];
+        let stage = null;
+        let expectCommand = false;
+
+        const unexpected = (token) =>
+            new Error(`syntax error near unexpected token '${token?.value ?? 'newline'}'`);
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+
+            if (token.type === 'word') {
+                if (!stage) {
+                    stage = { name: token.value, args: [], redirect: null };
+                    expectCommand = false;
+                } else {
+                    stage.args.push(token);
+                }
+                continue;
+            }
+
+            if (token.value === '>' || token.value === '>>') {
+                const target = tokens[++i];
+                if (!stage || !target || target.type !== 'word') throw unexpected(target ?? token);
+                stage.redirect = { target: target.value, append: token.value === '>>' };
+                continue;
+            }
+
+            if (!stage) {
+                // A ';' after a complete command (or background job) is allowed, as in POSIX shells
+                if (token.value === ';' && !expectCommand && list.length) continue;
+                throw unexpected(token);
+            }
+
+            pipeline.push(stage);
+            stage = null;
+
+            if (token.value === '|') {
+                expectCommand = true;
+                continue;
+            }
+
+            list.push({ op, pipeline, background: token.value === '&' });
+            pipeline = [];
+
+            // A background job is followed by the next command unconditionally, like ';'
+            op = token.value === '&' ? ';' : token.value;
+            expectCommand = op !== ';';
+        }
+
+        if (stage) {
+            pipeline.push(stage);
+            list.push({ op, pipeline, background: false });
+        } else if (expectCommand) {
+            throw unexpected(null);
+        }
+
+        if (!list.length) {
+            throw new Error('syntax error: empty command');
+        }
+
+        return list;
+    },
+
+    /**
+     * Internal: Splits a command line into word and operator tokens, applying
+     * word expansion. Operators are only recognised outside of quotes.
+     *
+     * Escaping model (mirrored by ShellWords.Split in .NET):
+     * - Unquoted: `\x` yields a literal x; `$NAME`, `${NAME}` and `${NAME:-default}`
+     *   expand from env (unset names expand to nothing and an unquoted word that
+     *   expands to nothing is dropped); `$((expression))` expands to the value of an
+     *   integer expression; `~` at the start of a word expands to env.HOME.
+     * - Single quotes: everything is literal up to the closing quote.
+     * - Double quotes: variables expand; `\` only escapes `$`, `` ` ``, `"` and `\`.
+     * - Adjacent quoted and unquoted parts join into one word; `""` is an empty word.
+     * - Expanded values are never split into several words or treated as globs.
+     *
+     * Word tokens carry a glob pattern (with quoted characters backslash-escaped)
+     * when they contain unquoted `*`, `?` or `[`.
+     * @private
+     * @throws {Error} On an unterminated quote or a bad substitution.
+     */
+    _tokenize(line, env, operators = true) {
+        const tokens = [];
+        const vars = env || {};
+        let value = '';
+        let glob = '';
+        let hasWord = false;
+        let hasGlob = false;
+
+        const literal = (text) => {
+            value += text;
+            glob += text.replace(/[*?[\]\\]/g, '\\$&');
+            hasWord = true;
+        };
+
+        const pushWord = () => {
+            if (hasWord) {
+                tokens.push({ type: 'word', value, glob: hasGlob ? glob : null });
+            }
+            value = '';
+            glob = '';
+            hasWord = false;
+            hasGlob = false;
+        };
+
+        const isOperator = (c) =>
+            operators && (c === '|' || c === '>' || c === ';' || c === '&');
+
+        for (let i = 0; i < line.length; i++) {
+            const c = line[i];
+            const next = line[i + 1];
+
+            if (/\s/.test(c)) {
+                pushWord();
+            } else if (isOperator(c)) {
+                pushWord();
+                if ((c === '|' || c === '>' || c === '&') && next === c) {
+                    tokens.push({ type: 'op', value: c + c });
+                    i++;
+                } else {
+                    tokens.push({ type: 'op', value: c });
+                }
+            } else if (c === '\\') {
+                literal(i + 1 < line.length ? line[++i] : '\\');
+            } else if (c === "'") {
+                const end = line.indexOf("'", i + 1);
+                if (end < 0) throw new Error("syntax error: unterminated quote '");
+                literal(line.substring(i + 1, end));
+                i = end;
+            } else if (c === '"') {
+                i = this._expandDoubleQuoted(line, i + 1, vars, literal);
+            } else if (c === '$') {
+                const expansion = this._expandVariable(line, i, vars);
+                if (expansion.value) literal(expansion.value);
+                i = expansion.end;
+            } else if (c === '~' && !hasWord && (next === undefined || next === '/' || /\s/.test(next) || isOperator(next))) {
+                literal(this._lookupVariable(vars, 'HOME') ?? '~');
+            } else if (c === '*' || c === '?' || c === '[' || c === ']') {
+                value += c;
+                glob += c;
+                hasWord = true;
+                hasGlob = hasGlob || c !== ']';
+            } else {
+                literal(c);
+            }
+        }
+
+        pushWord();
+        return tokens;
+    },
+
+    /**
+     * Internal: Expands a double-quoted string starting after the opening quote.
+     * Passes the expanded text to the literal callback and returns the index of the closing quote.
+     * @private
+     */
+    _expandDoubleQuoted(line, start, vars, literal) {
+        let text = '';
+
+        for (let i = start; i < line.length; i++) {
+            const c = line[i];
+
+            if (c === '"') {
+                literal(text);
+                return i;
+            }
+
+            if (c === '\\' && i + 1 < line.length && '$`"\\'.includes(line[i + 1])) {
+                text += line[++i];
+            } else if (c === '$') {
+                const expansion = this._expandVariable(line, i, vars);
+                text += expansion.value;
+                i = expansion.end;
+            } else {
+                text += c;
+            }
+        }
+
+        throw new Error('syntax error: unterminated quote "');
+    },
+
+    /**
+     * Internal: Expands a `$NAME`, `${NAME}` or `${NAME:-default}` reference at index i.
+     * Returns the value and the index of the last character consumed. A `$` that does
+     * not start a reference is returned literally. Special parameters (`$?`, `$#`, `$1`...)
+     * only expand when defined, which scripts do; otherwise they stay literal, as in C#.
+     * @private
+     */
+    _expandVariable(text, i, vars) {
+        if (text[i + 1] === '(' && text[i + 2] === '(') {
+            const end = this._arithmeticEnd(text, i);
+            if (end < 0) throw new Error(`syntax error: unterminated ${text.substring(i)}`);
+            return { value: String(this._evaluateArithmetic(text.substring(i + 3, end - 1), vars)), end };
+        }
+
+        if (text[i + 1] === '{') {
+            let depth = 1;
+            let end = i + 2;
+            for (; end < text.length; end++) {
+                if (text[end] === '$' && text[end + 1] === '{') {
+                    depth++;
+                    end++;
+                } else if (text[end] === '}' && --depth === 0) {
+                    break;
+                }
+            }
+
+            if (end >= text.length) {
+                throw new Error(`bad substitution: ${text.substring(i)}`);
+            }
+
+            const inner = text.substring(i + 2, end);
+            const match = /^([A-Za-z_][A-Za-z0-9_]*|[0-9?#@*])(?::-([\s\S]*))?$/.exec(inner);
+            if (!match || (/^[^A-Za-z_]/.test(match[1]) && this._lookupVariable(vars, match[1]) === undefined)) {
+                throw new Error(`bad substitution: \${${inner}}`);
+            }
+
+            const current = this._lookupVariable(vars, match[1]);
+            const value = match[2] !== undefined && !current
+                ? this._expandString(match[2], vars)
+                : (current ?? '');
+
+            return { value, end };
+        }
+
+        const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(text.substring(i + 1));
+        if (name) {
+            return { value: this._lookupVariable(vars, name[0]) ?? '', end: i + name[0].length };
+        }
+
+        const special = text[i + 1];
+        if (special && /[0-9?#@*]/.test(special) && this._lookupVariable(vars, special) !== undefined) {
+            return { value: this._lookupVariable(vars, special), end: i + 1 };
+        }
+
+        return { value: '$', end: i };
+    },
+
+    /**
+     * Internal: Finds the closing `))` of an arithmetic expansion starting with `$((` at
+     * index i. Returns the index of its last character, or -1 if it is unterminated.
+     * @private
+     */
+    _arithmeticEnd(text, i) {
+        let depth = 0;
+        for (let j = i + 3; j < text.length; j++) {
+            if (text[j] === '(') {
+                depth++;
+            } else if (text[j] === ')') {
+                if (depth === 0) return text[j + 1] === ')' ? j + 1 : -1;
+                depth--;
+            }
+        }
+        return -1;
+    },
+
+    /**
+     * Internal: Evaluates the integer expression of a `$((...))` expansion (mirrored by
+     * ShellWords.Split in .NET). Supports `( )`, unary `- + !`, `* / %`, `+ -`,
+     * comparisons, `== !=`, `&&` and `||`. `$NAME` references expand first; bare names
+     * read variables, and unset or non-numeric values count as 0.
+     * @private
+     * @throws {Error} On a syntax error or division by zero.
+     */
+    _evaluateArithmetic(expression, vars) {
+        const text = this._expandString(expression, vars);
+        const tokens = [];
+        const pattern = /\s*(?:(\d+)|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|==|!=|&&|\|\||[-+*/%()<>!]))\s*/y;
+
+        for (let pos = 0; pos < text.length;) {
+            pattern.lastIndex = pos;
+            const match = pattern.exec(text);
+            if (!match) {
+                if (/^\s*$/.test(text.substring(pos))) break;
+                throw new Error(`arithmetic syntax error: '${text.trim()}'`);
+            }
+            if (match[1] !== undefined) {
+                tokens.push({ number: Number(match[1]) });
+            } else if (match[2] !== undefined) {
+                const value = (this._lookupVariable(vars, match[2]) ?? '').trim();
+                tokens.push({ number: /^[-+]?\d+$/.test(value) ? Number(value) : 0 });
+            } else {
+                tokens.push({ op: match[3] });
+            }
+            pos = pattern.lastIndex;
+        }
+
+        const levels = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+        let index = 0;
+        const fail = () => {
+            throw new Error(`arithmetic syntax error: '${text.trim()}'`);
+        };
+
+        const unary = () => {
+            const token = tokens[index++];
+            if (!token) fail();
+            if (token.number !== undefined) return token.number;
+            if (token.op === '(') {
+                const value = binary(0);
+                if (tokens[index++]?.op !== ')') fail();
+                return value;
+            }
+            if (token.op === '-') return -unary();
+            if (token.op === '+') return unary();
+            if (token.op === '!') return unary() === 0 ? 1 : 0;
+            return fail();
+        };
+
+        const binary = (level) => {
+            if (level === levels.length) return unary();
+
+            let left = binary(level + 1);
+            while (levels[level].includes(tokens[index]?.op)) {
+                const op = tokens[index++].op;
+                const right = binary(level + 1);
+                switch (op) {
+                    case '||': left = left !== 0 || right !== 0 ? 1 : 0; break;
+                    case '&&': left = left !== 0 && right !== 0 ? 1 : 0; break;
+                    case '==': left = left === right ? 1 : 0; break;
+                    case '!=': left = left !== right ? 1 : 0; break;
+                    case '<': left = left < right ? 1 : 0; break;
+                    case '<=': left = left <= right ? 1 : 0; break;
+                    case '>': left = left > right ? 1 : 0; break;
+                    case '>=': left = left >= right ? 1 : 0; break;
+                    case '+': left = left + right; break;
+                    case '-': left = left - right; break;
+                    case '*': left = left * right; break;
+                    case '/':
+                    case '%':
+                        if (right === 0) throw new Error(`division by 0: '${text.trim()}'`);
+                        left = op === '/' ? Math.trunc(left / right) : left % right;
+                        break;
+                }
+            }
+            return left;
+        };
+
+        if (!tokens.length) return 0;
+        const value = binary(0);
+        if (index < tokens.length) fail();
+        return value;
+    },
+
+    /**
+     * Internal: Expands variable references in a string without any quote handling.
+     * @private
+     */
+    _expandString(text, vars) {
+        let result = '';
+
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '$') {
+                const expansion = this._expandVariable(text, i, vars);
+                result += expansion.value;
+                i = expansion.end;
+            } else {
+                result += text[i];
+            }
+        }
+
+        return result;
+    },
+
+    /**
+     * Internal: Looks up a variable, ignoring inherited object properties.
+     * @private
+     */
+    _lookupVariable(vars, name) {
+        return Object.prototype.hasOwnProperty.call(vars, name) && vars[name] != null
+            ? String(vars[name])
+            : undefined;
+    },
+
+    /**
+     * Internal: Expands a word token's glob pattern against the virtual filesystem.
+     * Patterns that match nothing are passed through unchanged.
+     * @private
+     */
+    _expandGlob(word) {
+        if (!word.glob) return [word.value];
+        const matches = this.fs.glob(word.glob);
+        return matches.length ? matches : [word.value];
+    },
+
+    /**
+     * Internal: Parses an argument string into an array, applying word expansion.
+     * Produces the same result as ShellWords.Split in .NET for the same input.
+     * @private
+     */
+    _parseArgs(argsString, env) {
+        return this._tokenize(argsString || '', env, false).map(token => token.value);
+    }
+};
+
+/**
+ * Virtual filesystem for the WebAssembly shell.
+ * Entries are held in memory for synchronous access by command handlers and
+ * written through to IndexedDB so files survive reloads. The working directory
+ * is kept per browser session (tab) in sessionStorage.
+ */
+window.mythetech.shell.fs = {
+    /**
+     * IndexedDB database name.
+     * @type {string}
+     */
+    dbName: 'mythetech-shell',
+
+    /**
+     * IndexedDB object store name.
+     * @type {string}
+     */
+    storeName: 'files',
+
+    /**
+     * sessionStorage key holding the working directory.
+     * @type {string}
+     */
+    cwdKey: 'mythetech.shell.cwd',
+
+    /**
+     * Filesystem entries keyed by absolute path.
+     * @type {Map<string, {type: 'file'|'dir', content: string, modified: number}>}
+     */
+    entries: new Map([['/', { type: 'dir', content: '', modified: Date.now() }]]),
+
+    /**
+     * The current working directory.
+     * @type {string}
+     */
+    cwd: '/',
+
+    _db: null,
+    _loading: null,
+    _pending: Promise.resolve(),
+
+    /**
+     * Loads persisted entries and the session working directory.
+     * Safe to call repeatedly; falls back to memory-only storage when IndexedDB is unavailable.
+     * @returns {Promise<void>}
+     */
+    load() {
+        if (!this._loading) {
+            this._loading = this._load();
+        }
+        return this._loading;
+    },
+
+    /**
+     * Resolves a path against the working directory and normalizes `.` and `..` segments.
+     * @param {string} path - Absolute or relative path.
+     * @returns {string} The absolute path.
+     */
+    resolve(path) {
+        const input = path || '.';
+        const base = input.startsWith('/') ? [] : this.cwd.split('/');
+        const parts = [];
+
+        for (const part of base.concat(input.split('/'))) {
+            if (!part || part === '.') continue;
+            if (part === '..') {
+                parts.pop();
+            } else {
+                parts.push(part);
+            }
+        }
+
+        return '/' + parts.join('/');
+    },
+
+    /**
+     * Changes the working directory.
+     * @param {string} path - The directory to change to.
+     * @throws {Error} If the path does not exist or is not a directory.
+     */
+    chdir(path) {
+        const target = this.resolve(path);
+        this._requireDir(target, path);
+        this.cwd = target;
+
+        try {
+            sessionStorage.setItem(this.cwdKey, target);
+        } catch {
+            // sessionStorage may be unavailable (e.g. sandboxed iframes)
+        }
+    },
+
+    /**
+     * Checks whether a path exists.
+     * @param {string} path - The path to check.
+     * @returns {boolean}
+     */
+    exists(path) {
+        return this.entries.has(this.resolve(path));
+    },
+
+    /**
+     * Gets information about an entry.
+     * @param {string} path - The path to inspect.
+     * @returns {{path: string, name: string, type: 'file'|'dir', size: number, modified: number}|null}
+     */
+    stat(path) {
+        const target = this.resolve(path);
+        const entry = this.entries.get(target);
+        if (!entry) return null;
+
+        return {
+            path: target,
+            name: target === '/' ? '/' : target.substring(target.lastIndexOf('/') + 1),
+            type: entry.type,
+            size: entry.content.length,
+            modified: entry.modified
+        };
+    },
+
+    /**
+     * Lists the entries of a directory, sorted by name.
+     * @param {string} path - The directory to list.
+     * @returns {Array<{path: string, name: string, type: 'file'|'dir', size: number, modified: number}>}
+     */
+    readdir(path) {
+        const target = this.resolve(path);
+        this._requireDir(target, path);
+
+        return this._children(target)
+            .map(child => this.stat(child))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    /**
+     * Reads a file.
+     * @param {string} path - The file to read.
+     * @returns {string} The file contents.
+     */
+    readFile(path) {
+        const entry = this.entries.get(this.resolve(path));
+        if (!entry) throw new Error(`${path}: No such file or directory`);
+        if (entry.type === 'dir') throw new Error(`${path}: Is a directory`);
+        return entry.content;
+    },
+
+    /**
+     * Writes a file, creating it if needed.
+     * @param {string} path - The file to write.
+     * @param {string} content - The data to write.
+     * @param {{append?: boolean}} [options] - Append instead of replacing the contents.
+     */
+    writeFile(path, content, options) {
+        const target = this.resolve(path);
+        const existing = this.entries.get(target);
+
+        if (existing?.type === 'dir') throw new Error(`${path}: Is a directory`);
+        if (!existing) this._requireDir(this._parent(target), path);
+
+        const data = String(content ?? '');
+        this._set(target, {
+            type: 'file',
+            content: options?.append && existing ? existing.content + data : data,
+            modified: Date.now()
+        });
+    },
+
+    /**
+     * Creates a directory.
+     * @param {string} path - The directory to create.
+     * @param {{recursive?: boolean}} [options] - Create missing parents and ignore existing directories.
+     */
+    mkdir(path, options) {
+        const target = this.resolve(path);
+        const existing = this.entries.get(target);
+
+        if (existing) {
+            if (options?.recursive && existing.type === 'dir') return;
+            throw new Error(`${path}: File exists`);
+        }
+
+        const parent = this._parent(target);
+        if (options?.recursive && !this.entries.has(parent)) {
+            this.mkdir(parent, options);
+        }
+
+        this._requireDir(parent, path);
+        this._set(target, { type: 'dir', content: '', modified: Date.now() });
+    },
+
+    /**
+     * Removes a file or directory.
+     * @param {string} path - The path to remove.
+     * @param {{recursive?: boolean}} [options] - Remove directories and their contents.
+     */
+    remove(path, options) {
+        const target = this.resolve(path);
+        const entry = this.entries.get(target);
+
+        if (!entry) throw new Error(`${path}: No such file or directory`);
+        if (target === '/') throw new Error(`${path}: Cannot remove root directory`);
+        if (entry.type === 'dir' && !options?.recursive) throw new Error(`${path}: Is a directory`);
+
+        for (const descendant of this._descendants(target)) {
+            this._delete(descendant);
+        }
+        this._delete(target);
+    },
+
+    /**
+     * Copies a file or directory.
+     * @param {string} source - The path to copy.
+     * @param {string} destination - The destination path, or an existing directory to copy into.
+     * @param {{recursive?: boolean}} [options] - Required to copy directories.
+     */
+    copy(source, destination, options) {
+        const from = this.resolve(source);
+        const entry = this.entries.get(from);
+
+        if (!entry) throw new Error(`${source}: No such file or directory`);
+        if (entry.type === 'dir' && !options?.recursive) throw new Error(`${source}: Is a directory`);
+
+        const to = this._destination(from, destination);
+        if (to === from) throw new Error(`${source} and ${destination} are the same file`);
+        if (to.startsWith(from + '/')) throw new Error(`${destination}: Cannot copy a directory into itself`);
+
+        const now = Date.now();
+        this._set(to, { ...entry, modified: now });
+        for (const descendant of this._descendants(from)) {
+            this._set(to + descendant.substring(from.length), { ...this.entries.get(descendant), modified: now });
+        }
+    },
+
+    /**
+     * Moves or renames a file or directory.
+     * @param {string} source - The path to move.
+     * @param {string} destination - The destination path, or an existing directory to move into.
+     */
+    move(source, destination) {
+        const from = this.resolve(source);
+        const entry = this.entries.get(from);
+
+        if (!entry) throw new Error(`${source}: No such file or directory`);
+        if (from === '/') throw new Error(`${source}: Cannot move root directory`);
+
+        const to = this._destination(from, destination);
+        if (to === from) return;
+        if (to.startsWith(from + '/')) throw new Error(`${destination}: Cannot move a directory into itself`);
+
+        const descendants = this._descendants(from);
+        this._set(to, entry);
+        for (const descendant of descendants) {
+            this._set(to + descendant.substring(from.length), this.entries.get(descendant));
+            this._delete(descendant);
+        }
+        this._delete(from);
+
+        if (this.cwd === from || this.cwd.startsWith(from + '/')) {
+            this.chdir(to + this.cwd.substring(from.length));
+        }
+    },
+
+    /**
+     * Expands a glob pattern (`*`, `?`, `[...]`, with `\` escapes) against the filesystem.
+     * Relative patterns match relative to the working directory and are returned in the
+     * same form. Dotfiles only match segments that start with a literal dot.
+     * @param {string} pattern - The glob pattern.
+     * @returns {string[]} Matching paths, sorted.
+     */
+    glob(pattern) {
+        const absolute = pattern.startsWith('/');
+        const directoriesOnly = pattern.endsWith('/');
+        let matches = [{ path: absolute ? '/' : this.cwd, names: [] }];
+
+        for (const segment of pattern.split('/').filter(Boolean)) {
+            const regex = this._globSegment(segment);
+            const next = [];
+
+            for (const match of matches) {
+                if (this.entries.get(match.path)?.type !== 'dir') continue;
+
+                if (!regex) {
+                    const name = segment.replace(/\\(.)/g, '$1');
+                    const path = this.resolve(match.path + '/' + name);
+                    if (this.entries.has(path)) {
+                        next.push({ path, names: match.names.concat(name) });
+                    }
+                    continue;
+                }
+
+                for (const child of this._children(match.path)) {
+                    const name = child.substring(child.lastIndexOf('/') + 1);
+                    if (name.startsWith('.') && !segment.startsWith('.')) continue;
+                    if (regex.test(name)) {
+                        next.push({ path: child, names: match.names.concat(name) });
+                    }
+                }
+            }
+
+            matches = next;
+        }
+
+        return matches
+            .filter(match => match.names.length && (!directoriesOnly || this.entries.get(match.path).type === 'dir'))
+            .map(match => (absolute ? '/' : '') + match.names.join('/') + (directoriesOnly ? '/' : ''))
+            .sort();
+    },
+
+    /**
+     * Internal: Loads entries from IndexedDB and restores the session working directory.
+     * @private
+     */
+    async _load() {
+        try {
+            if (typeof indexedDB !== 'undefined') {
+                this._db = await this._openDb();
+                const stored = await this._request(this._store('readonly').getAll());
+                for (const { path, ...entry } of stored) {
+                    this.entries.set(path, entry);
+                }
+            }
+        } catch (e) {
+            console.warn('[Mythetech] Shell filesystem persistence unavailable:', e);
+            this._db = null;
+        }
+
+        try {
+            const cwd = sessionStorage.getItem(this.cwdKey);
+            if (cwd && this.entries.get(cwd)?.type === 'dir') {
+                this.cwd = cwd;
+            }
+        } catch {
+            // sessionStorage may be unavailable (e.g. sandboxed iframes)
+        }
+    },
+
+    /**
+     * Internal: Opens (and upgrades) the IndexedDB database.
+     * @private
+     */
+    _openDb() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName, { keyPath: 'path' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Internal: Gets the object store in a new transaction.
+     * @private
+     */
+    _store(mode) {
+        return this._db.transaction(this.storeName, mode).objectStore(this.storeName);
+    },
+
+    /**
+     * Internal: Wraps an IDBRequest in a promise.
+     * @private
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Internal: Stores an entry and queues it for persistence.
+     * @private
+     */
+    _set(path, entry) {
+        this.entries.set(path, entry);
+        this._persist(store => store.put({ path, ...entry }));
+    },
+
+    /**
+     * Internal: Removes an entry and queues the deletion for persistence.
+     * @private
+     */
+    _delete(path) {
+        this.entries.delete(path);
+        this._persist(store => store.delete(path));
+    },
+
+    /**
+     * Internal: Queues a write so IndexedDB sees changes in order.
+     * @private
+     */
+    _persist(operation) {
+        if (!this._db) return;
+
+        this._pending = this._pending
+            .then(() => this._request(operation(this._store('readwrite'))))
+            .catch(e => console.warn('[Mythetech] Failed to persist shell filesystem change:', e));
+    },
+
+    /**
+     * Internal: Gets the parent directory of an absolute path.
+     * @private
+     */
+    _parent(path) {
+        const index = path.lastIndexOf('/');
+        return index <= 0 ? '/' : path.substring(0, index);
+    },
+
+    /**
+     * Internal: Gets the direct children of a directory.
+     * @private
+     */
+    _children(path) {
+        return Array.from(this.entries.keys())
+            .filter(key => key !== '/' && this._parent(key) === path);
+    },
+
+    /**
+     * Internal: Converts a single glob path segment into a RegExp, or null if it has no wildcards.
+     * @private
+     */
+    _globSegment(segment) {
+        const escape = (c) => c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        let source = '';
+        let isGlob = false;
+
+        for (let i = 0; i < segment.length; i++) {
+            const c = segment[i];
+
+            if (c === '\\' && i + 1 < segment.length) {
+                source += escape(segment[++i]);
+            } else if (c === '*') {
+                source += '.*';
+                isGlob = true;
+            } else if (c === '?') {
+                source += '.';
+                isGlob = true;
+            } else if (c === '[' && segment.indexOf(']', i + 2) > 0) {
+                const end = segment.indexOf(']', i + 2);
+                let body = segment.substring(i + 1, end);
+                const negate = body.startsWith('!') || body.startsWith('^');
+                if (negate) body = body.substring(1);
+                source += `[${negate ? '^' : ''}${body.replace(/[\\\]^]/g, '\\$&')}]`;
+                isGlob = true;
+                i = end;
+            } else {
+                source += escape(c);
+            }
+        }
+
+        return isGlob ? new RegExp(`^${source}$`) : null;
+    },
+
+    /**
+     * Internal: Gets every path below a directory.
+     * @private
+     */
+    _descendants(path) {
+        const prefix = path === '/' ? '/' : path + '/';
+        return Array.from(this.entries.keys())
+            .filter(key => key !== path && key.startsWith(prefix));
+    },
+
+    /**
+     * Internal: Resolves a copy/move destination, descending into existing directories.
+     * @private
+     */
+    _destination(from, destination) {
+        let to = this.resolve(destination);
+        if (this.entries.get(to)?.type === 'dir') {
+            to = this.resolve(to + '/' + from.substring(from.lastIndexOf('/') + 1));
+        }
+
+        if (this.entries.get(to)?.type === 'dir') throw new Error(`${destination}: Is a directory`);
+        this._requireDir(this._parent(to), destination);
+        return to;
+    },
+
+    /**
+     * Internal: Throws unless the path is an existing directory.
+     * @private
+     */
+    _requireDir(target, path) {
+        const entry = this.entries.get(target);
+        if (!entry) throw new Error(`${path}: No such file or directory`);
+        if (entry.type !== 'dir') throw new Error(`${path}: Not a directory`);
+    }
+};
+
+/**
+ * Web Worker execution for commands registered with a module URL.
+ * Each invocation gets a dedicated module worker that imports the command module;
+ * output, readLine and filesystem calls are bridged to the main thread over postMessage.
+ */
+window.mythetech.shell.workers = {
+    /**
+     * Filesystem methods a worker handler can call through context.fs.
+     * @type {string[]}
+     */
+    fsMethods: ['resolve', 'exists', 'stat', 'readdir', 'readFile', 'writeFile', 'mkdir', 'remove', 'copy', 'move', 'glob'],
+
+    _scriptUrl: null,
+
+    /**
+     * Creates a command handler that runs the descriptor's module in a worker.
+     * @param {string} name - The command name, used in error messages.
+     * @param {object} descriptor - Descriptor with module, and optional export and timeout.
+     * @returns {function} Handler receiving (args, env, context).
+     */
+    createHandler(name, descriptor) {
+        return (args, env, context) => this.run(name, descriptor, args, env, context);
+    },
+
+    /**
+     * Runs a command module in a new worker and resolves with its { exitCode, stdout, stderr }.
+     * Interrupting aborts the handler's signal inside the worker; killing the process
+     * (signal reason 'KILL'), reaching the shell's runtime limit (reason 'TIMEOUT') or
+     * exceeding descriptor.timeout terminates the worker.
+     * @param {string} name - The command name.
+     * @param {object} descriptor - Descriptor with module, and optional export and timeout.
+     * @param {string[]} args - Command arguments.
+     * @param {object} env - Environment variables.
+     * @param {object} context - The handler context provided by the shell.
+     * @returns {Promise<{exitCode: number, stdout?: string, stderr?: string}>}
+     */
+    run(name, descriptor, args, env, context) {
+        return new Promise(resolve => {
+            const shell = window.mythetech.shell;
+            const worker = new Worker(this._getScriptUrl(), { type: 'module', name: `mythetech-shell:${name}` });
+            const signal = context.signal;
+            let settled = false;
+            let timer = null;
+
+            const finish = (result) => {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                signal?.removeEventListener('abort', onAbort);
+                worker.terminate();
+                resolve(result);
+            };
+
+            const onAbort = () => {
+                if (signal.reason === 'KILL') {
+                    finish({ exitCode: 137 });
+                } else if (signal.reason === 'TIMEOUT') {
+                    finish({ exitCode: 124 });
+                } else {
+                    worker.postMessage({ type: 'abort', reason: signal.reason });
+                }
+            };
+
+            const reply = (id, call) => {
+                Promise.resolve()
+                    .then(call)
+                    .then(
+                        value => !settled && worker.postMessage({ type: 'reply', id, value }),
+                        error => !settled && worker.postMessage({ type: 'reply', id, error: error?.message || String(error) })
+                    );
+            };
+
+            worker.onmessage = ({ data }) => {
+                switch (data.type) {
+                    case 'write':
+                        context.write?.(data.data);
+                        break;
+                    case 'writeError':
+                        context.writeError?.(data.data);
+                        break;
+                    case 'records':
+                        context.writeRecords?.(data.records, data.schema);
+                        break;
+                    case 'readLine':
+                        // Pipeline stages have no interactive input; report end of input
+                        reply(data.id, () => context.readLine ? context.readLine() : null);
+                        break;
+                    case 'fs':
+                        reply(data.id, () => {
+                            if (!this.fsMethods.includes(data.method)) {
+                                throw new Error(`fs.${data.method} is not available in workers`);
+                            }
+                            return shell.fs[data.method](...data.params);
+                        });
+                        break;
+                    case 'exit':
+                        finish(data.result);
+                        break;
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault?.();
+                finish({ exitCode: 1, stderr: `${name}: ${event.message || `failed to load ${descriptor.module}`}` });
+            };
+
+            if (descriptor.timeout > 0) {
+                timer = setTimeout(() => {
+                    finish({ exitCode: 124, stderr: `${name}: timed out after ${descriptor.timeout}ms` });
+                }, descriptor.timeout);
+            }
+
+            if (signal?.aborted) {
+                onAbort();
+            }
+            signal?.addEventListener('abort', onAbort);
+
+            if (!settled) {
+                worker.postMessage({
+                    type: 'run',
+                    module: new URL(descriptor.module, document.baseURI).href,
+                    exportName: descriptor.export ?? 'default',
+                    fsMethods: this.fsMethods,
+                    args,
+                    env,
+                    stdin: context.stdin ?? '',
+                    options: context.options ?? {},
+                    aborted: signal?.aborted ? signal.reason : null
+                });
+            }
+        });
+    },
+
+    /**
+     * Internal: Gets the blob URL of the worker bootstrap script, creating it once.
+     * @private
+     */
+    _getScriptUrl() {
+        if (!this._scriptUrl) {
+            const source = `(${this._bootstrap})();`;
+            this._scriptUrl = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+        }
+        return this._scriptUrl;
+    },
+
+    /**
+     * Internal: Worker-side entry point. Serialized into the worker script, so it must not
+     * reference anything outside its own body.
+     * @private
+     */
+    _bootstrap: function () {
+        const abortController = new AbortController();
+        const pending = new Map();
+        let nextRequestId = 1;
+
+        const request = (message) => new Promise((resolve, reject) => {
+            const id = nextRequestId++;
+            pending.set(id, { resolve, reject });
+            self.postMessage({ ...message, id });
+        });
+
+        const run = async ({ module, exportName, fsMethods, args, env, stdin, options, aborted }) => {
+            try {
+                if (aborted) abortController.abort(aborted);
+
+                const imported = await import(module);
+                const handler = imported[exportName];
+                if (typeof handler !== 'function') {
+                    throw new Error(`${module} does not export a handler named '${exportName}'`);
+                }
+
+                const fs = {};
+                for (const method of fsMethods) {
+                    fs[method] = (...params) => request({ type: 'fs', method, params });
+                }
+
+                const result = await handler(args, env, {
+                    stdin,
+                    options,
+                    fs,
+                    write: (data) => self.postMessage({ type: 'write', data: String(data) }),
+                    writeError: (data) => self.postMessage({ type: 'writeError', data: String(data) }),
+                    writeRecord: (record) => self.postMessage({ type: 'records', records: [record] }),
+                    writeRecords: (records, schema) => self.postMessage({ type: 'records', records, schema }),
+                    readLine: () => request({ type: 'readLine' }),
+                    isAborted: () => abortController.signal.aborted,
+                    signal: abortController.signal
+                });
+
+                self.postMessage({
+                    type: 'exit',
+                    result: {
+                        exitCode: result?.exitCode ?? 0,
+                        stdout: result?.stdout ?? '',
+                        stderr: result?.stderr ?? '',
+                        records: result?.records,
+                        schema: result?.schema
+                    }
+                });
+            } catch (e) {
+                self.postMessage({ type: 'exit', result: { exitCode: 1, stderr: e?.message || String(e) } });
+            }
+        };
+
+        self.onmessage = ({ data }) => {
+            switch (data.type) {
+                case 'run':
+                    run(data);
+                    break;
+                case 'reply': {
+                    const call = pending.get(data.id);
+                    pending.delete(data.id);
+                    if (data.error !== undefined) {
+                        call?.reject(new Error(data.error));
+                    } else {
+                        call?.resolve(data.value);
+                    }
+                    break;
+                }
+                case 'abort':
+                    abortController.abort(data.reason);
+                    break;
+            }
+        };
+    }
+};
+
+/**
+ * Script interpreter for the WebAssembly shell.
+ * Scripts are sequences of command lines run through the shell's own parser, plus
+ * sh-style control flow: NAME=value assignments, if/elif/else/fi on exit codes,
+ * for NAME in ...; do ...; done, while/until loops, functions (`name() { ...; }` or
+ * `function name { ...; }`), return, exit, break and continue. Statements are
+ * separated by newlines or `;`, `#` starts a comment and a trailing `\`, `&&`, `||` or
+ * `|` continues a line. Within a script `$?`, `$#`, `$@`, `$*` and `$1`... expand to
+ * the last exit code and the positional arguments. Conditions use the `test` / `[`
+ * built-ins and counters use `$((...))`, e.g. `while [ $i -lt 3 ]; do i=$((i + 1)); done`.
+ * Words expand before prefix assignments apply, so `X=5 echo $X` prints the old X.
+ */
+window.mythetech.shell.script = {
+    /**
+     * Statement keywords that end or continue a compound command.
+     * @type {string[]}
+     */
+    reserved: ['then', 'elif', 'else', 'fi', 'do', 'done', '{', '}'],
+
+    /**
+     * Number of loop iterations between yields to the event loop, so long
+     * loops keep the UI responsive and can be interrupted.
+     * @type {number}
+     */
+    yieldInterval: 100,
+
+    /**
+     * Parses a script into a list of statement nodes.
+     * @param {string} text - The script source.
+     * @returns {Array<object>} The statement nodes.
+     * @throws {Error} On a syntax error, with the line number in the message.
+     */
+    parse(text) {
+        const statements = this._splitStatements(text);
+        let pos = 0;
+
+        const fail = (message, statement = statements[pos]) => {
+            throw new Error(statement ? `line ${statement.line}: ${message}` : message);
+        };
+
+        const keyword = () => {
+            const statement = statements[pos];
+            return statement ? this._splitWords(statement.text)[0]?.value : undefined;
+        };
+
+        // Consumes a leading keyword; anything after it on the same statement is the next statement
+        const consume = (expected) => {
+            const statement = statements[pos];
+            if (!statement) fail(`syntax error: unexpected end of script, expected '${expected}'`, statements[pos - 1]);
+
+            const words = this._splitWords(statement.text);
+            if (words[0].value !== expected) fail(`syntax error near unexpected token '${words[0].value}'`);
+
+            const rest = statement.text.substring(words[0].end).trim();
+            if (rest) {
+                statements[pos] = { text: rest, line: statement.line };
+            } else {
+                pos++;
+            }
+        };
+
+        // Closing keywords must stand alone, e.g. `fi` but not `fi echo`
+        const consumeEnd = (expected) => {
+            const words = statements[pos] ? this._splitWords(statements[pos].text) : [];
+            if (words.length > 1 && words[0].value === expected) {
+                fail(`syntax error near unexpected token '${words[1].value}'`);
+            }
+            consume(expected);
+        };
+
+        const parseBlock = (terminators) => {
+            const nodes = [];
+            while (pos < statements.length) {
+                if (terminators.includes(keyword())) return nodes;
+                nodes.push(parseStatement());
+            }
+            if (terminators.length) {
+                fail(`syntax error: unexpected end of script, expected '${terminators[terminators.length - 1]}'`, statements[pos - 1]);
+            }
+            return nodes;
+        };
+
+        const parseBody = (open, close) => {
+            consume(open);
+            const body = parseBlock([close]);
+            consumeEnd(close);
+            return body;
+        };
+
+        const parseStatement = () => {
+            const statement = statements[pos];
+            const words = this._splitWords(statement.text);
+            const first = words[0].value;
+            const line = statement.line;
+
+            switch (first) {
+                case 'if': {
+                    const branches = [];
+                    let otherwise = null;
+                    let branchKeyword = 'if';
+                    while (branchKeyword === 'if' || branchKeyword === 'elif') {
+                        consume(branchKeyword);
+                        const condition = parseBlock(['then']);
+                        if (!condition.length) fail(`syntax error near unexpected token 'then'`);
+                        consume('then');
+                        branches.push({ condition, body: parseBlock(['elif', 'else', 'fi']) });
+                        branchKeyword = keyword();
+                    }
+                    if (branchKeyword === 'else') {
+                        consume('else');
+                        otherwise = parseBlock(['fi']);
+                    }
+                    consumeEnd('fi');
+                    return { type: 'if', branches, otherwise, line };
+                }
+
+                case 'while':
+                case 'until': {
+                    consume(first);
+                    const condition = parseBlock(['do']);
+                    if (!condition.length) fail(`syntax error near unexpected token 'do'`);
+                    return { type: 'while', until: first === 'until', condition, body: parseBody('do', 'done'), line };
+                }
+
+                case 'for': {
+                    const name = words[1]?.value;
+                    if (!name || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) fail(`for: '${name ?? ''}': not a valid identifier`);
+                    if (words[2] && words[2].value !== 'in') fail(`syntax error near unexpected token '${words[2].value}'`);
+                    pos++;
+                    return {
+                        type: 'for',
+                        name,
+                        words: words[2] ? statement.text.substring(words[2].end) : null,
+                        body: parseBody('do', 'done'),
+                        line
+                    };
+                }
+
+                case 'return':
+                case 'exit':
+                case 'break':
+                case 'continue':
+                    pos++;
+                    return { type: first, value: statement.text.substring(words[0].end).trim(), line };
+            }
+
+            if (this.reserved.includes(first)) {
+                fail(`syntax error near unexpected token '${first}'`);
+            }
+
+            // name() { ... }, name () { ... } or function name [()] { ... }
+            const definition = first === 'function'
+                ? /^function\s+([A-Za-z_][\w-]*)\s*(?:\(\s*\))?\s*/.exec(statement.text)
+                : /^([A-Za-z_][\w-]*)\s*\(\s*\)\s*/.exec(statement.text);
+            if (definition) {
+                const rest = statement.text.substring(definition[0].length).trim();
+                if (rest) {
+                    statements[pos] = { text: rest, line };
+                } else {
+                    pos++;
+                }
+                return { type: 'function', name: definition[1], body: parseBody('{', '}'), line };
+            }
+
+            pos++;
+
+            // Leading NAME=value words are assignments: on their own they set variables,
+            // before a command they only apply to that command
+            const assignments = [];
+            for (const word of words) {
+                const match = /^([A-Za-z_][A-Za-z0-9_]*)=/.exec(word.value);
+                if (!match) break;
+                assignments.push({ name: match[1], value: word.value.substring(match[0].length) });
+            }
+
+            if (assignments.length === words.length) {
+                return { type: 'assign', assignments, line };
+            }
+
+            const commandStart = assignments.length ? words[assignments.length].start : 0;
+            return { type: 'command', text: statement.text.substring(commandStart), assignments, line };
+        };
+
+        return parseBlock([]);
+    },
+
+    /**
+     * Runs a script in a new scope.
+     * @param {string} text - The script source.
+     * @param {object} env - Environment variables; copied, so the caller's object is not modified.
+     * @param {object|null} streams - Optional { out, err, signal } for live output.
+     * @param {string[]} [args] - Positional arguments ($1, $2, ...).
+     * @returns {Promise<{exitCode: number, stdout: string, stderr: string}>}
+     */
+    async run(text, env, streams, args = []) {
+        const scope = this.createScope(env, args);
+        const frame = this._createFrame(scope, streams);
+        const result = await this._runSource(text, frame);
+
+        return {
+            exitCode: result.exitCode,
+            stdout: frame.stdout.join('\n'),
+            stderr: frame.stderr.join('\n')
+        };
+    },
+
+    /**
+     * Creates a script scope holding variables, functions and the pending exit code.
+     * @param {object} env - Initial variables (copied).
+     * @param {string[]} args - Positional arguments.
+     * @returns {object} The scope.
+     */
+    createScope(env, args) {
+        const scope = {
+            vars: { ...env },
+            functions: new Map(),
+            exitCode: null,
+
+            // Resolves a script-level command: a user-defined function, or `source`
+            // bound to this scope so sourced scripts share variables and functions
+            lookup: (name) => {
+                const body = scope.functions.get(name);
+                if (body) {
+                    return (fnArgs, env, context) => this._callFunction(scope, body, fnArgs, context);
+                }
+                if (name === 'source' || name === '.') {
+                    return (sourceArgs, env, context) => this.source(scope, sourceArgs, context);
+                }
+                return undefined;
+            }
+        };
+
+        this._setSpecial(scope.vars, '?', '0');
+        this._setPositional(scope.vars, args);
+        return scope;
+    },
+
+    /**
+     * Runs a script file from the virtual filesystem in the given scope.
+     * @param {object} scope - The scope to run in.
+     * @param {string[]} args - The script path followed by its positional arguments.
+     * @param {object} context - The calling command's context (write, writeError, signal).
+     * @returns {Promise<{exitCode: number, stderr?: string}>}
+     */
+    async source(scope, args, context) {
+        const shell = window.mythetech.shell;
+        if (!args.length) {
+            return { exitCode: 2, stderr: 'source: filename argument required\nUsage: source <script> [args...]' };
+        }
+
+        let text;
+        try {
+            await shell.fs.load();
+            text = shell.fs.readFile(args[0]);
+        } catch (e) {
+            return { exitCode: 1, stderr: `source: ${e.message}` };
+        }
+
+        // Like sh, a sourced script only replaces the positional arguments when given some
+        const saved = args.length > 1 ? this._positional(scope.vars) : null;
+        if (saved) this._setPositional(scope.vars, args.slice(1));
+
+        try {
+            const frame = this._createFrame(scope, {
+                out: context.write,
+                err: context.writeError,
+                signal: context.signal
+            });
+            const result = await this._runSource(text, frame, args[0]);
+            return { exitCode: result.exitCode };
+        } finally {
+            if (saved) this._setPositional(scope.vars, saved);
+        }
+    },
+
+    /**
+     * Internal: Parses and runs script source in a frame. `return` at the top level
+     * ends the script; `exit` also ends any enclosing scripts and functions.
+     * @private
+     */
+    async _runSource(text, frame, name) {
+        let nodes;
+        try {
+            nodes = this.parse(text);
+        } catch (e) {
+            this._error(frame, name ? `${name}: ${e.message}` : e.message);
+            return { exitCode: 2 };
+        }
+
+        const result = await this._execBlock(nodes, frame);
+        return { exitCode: frame.scope.exitCode ?? result.exitCode };
+    },
+
+    /**
+     * Internal: Creates an execution frame. Output from commands run in the frame goes
+     * live to the streams and is also collected for the frame's result.
+     * @private
+     */
+    _createFrame(scope, streams) {
+        return {
+            scope,
+            streams: {
+                out: streams?.out ?? null,
+                err: streams?.err ?? null,
+                signal: streams?.signal ?? null,
+                scope
+            },
+            stdout: [],
+            stderr: []
+        };
+    },
+
+    /**
+     * Internal: Runs statements in order. Returns { exitCode, flow } where flow is set
+     * when return, exit, break or continue unwinds the block.
+     * @private
+     */
+    async _execBlock(nodes, frame) {
+        let result = { exitCode: 0, flow: null };
+
+        for (const node of nodes) {
+            if (frame.streams.signal?.aborted) {
+                return { exitCode: 130, flow: 'exit' };
+            }
+
+            result = await this._execNode(node, frame);
+            frame.scope.vars['?'] = String(result.exitCode);
+
+            if (frame.scope.exitCode !== null) {
+                return { exitCode: frame.scope.exitCode, flow: 'exit' };
+            }
+            if (result.flow) return result;
+        }
+
+        return result;
+    },
+
+    /**
+     * Internal: Runs a single statement node.
+     * @private
+     */
+    async _execNode(node, frame) {
+        const shell = window.mythetech.shell;
+        const { scope } = frame;
+
+        switch (node.type) {
+            case 'command': {
+                let env = scope.vars;
+                let list;
+                try {
+                    // Words expand before the prefix assignments apply, so `X=5 echo $X` sees the old X
+                    list = shell._parseCommandLine(node.text, scope.vars);
+                    if (node.assignments.length) {
+                        env = this._copyVars(scope.vars, this._expandAssignments(node.assignments, scope.vars));
+                    }
+                } catch (e) {
+                    this._error(frame, `line ${node.line}: ${e.message}`);
+                    return { exitCode: 2, flow: null };
+                }
+
+                const result = await shell._runList(list, env, frame.streams);
+                if (result.stdout) frame.stdout.push(result.stdout);
+                if (result.stderr) frame.stderr.push(result.stderr);
+                return { exitCode: result.exitCode, flow: null };
+            }
+
+            case 'assign':
+                try {
+                    Object.assign(scope.vars, this._expandAssignments(node.assignments, scope.vars));
+                    return { exitCode: 0, flow: null };
+                } catch (e) {
+                    this._error(frame, `line ${node.line}: ${e.message}`);
+                    return { exitCode: 1, flow: null };
+                }
+
+            case 'if':
+                for (const branch of node.branches) {
+                    const condition = await this._execBlock(branch.condition, frame);
+                    if (condition.flow) return condition;
+                    if (condition.exitCode === 0) return this._execBlock(branch.body, frame);
+                }
+                return node.otherwise ? this._execBlock(node.otherwise, frame) : { exitCode: 0, flow: null };
+
+            case 'while': {
+                let last = { exitCode: 0, flow: null };
+                for (let iteration = 1; ; iteration++) {
+                    const condition = await this._execBlock(node.condition, frame);
+                    if (condition.flow) return condition;
+                    if ((condition.exitCode === 0) === node.until) break;
+
+                    const body = await this._execBlock(node.body, frame);
+                    if (body.flow === 'break') return { exitCode: 0, flow: null };
+                    if (body.flow && body.flow !== 'continue') return body;
+                    last = { exitCode: body.exitCode, flow: null };
+
+                    if (iteration % this.yieldInterval === 0) await this._yield();
+                }
+                return last;
+            }
+
+            case 'for': {
+                let values;
+                try {
+                    values = node.words === null
+                        ? this._positional(scope.vars)
+                        : shell._tokenize(node.words, scope.vars, false).flatMap(word => shell._expandGlob(word));
+                } catch (e) {
+                    this._error(frame, `line ${node.line}: ${e.message}`);
+                    return { exitCode: 1, flow: null };
+                }
+
+                let last = { exitCode: 0, flow: null };
+                for (let i = 0; i < values.length; i++) {
+                    scope.vars[node.name] = values[i];
+
+                    const body = await this._execBlock(node.body, frame);
+                    if (body.flow === 'break') return { exitCode: 0, flow: null };
+                    if (body.flow && body.flow !== 'continue') return body;
+                    last = { exitCode: body.exitCode, flow: null };
+
+                    if ((i + 1) % this.yieldInterval === 0) await this._yield();
+                }
+                return last;
+            }
+
+            case 'function':
+                scope.functions.set(node.name, node.body);
+                return { exitCode: 0, flow: null };
+
+            case 'return':
+            case 'exit': {
+                let exitCode = Number(scope.vars['?']);
+                if (node.value) {
+                    const value = shell._parseArgs(node.value, scope.vars)[0];
+                    exitCode = Number(value);
+                    if (!/^-?\d+$/.test(value ?? '')) {
+                        this._error(frame, `line ${node.line}: ${node.type}: ${value}: numeric argument required`);
+                        exitCode = 2;
+                    }
+                }
+
+                if (node.type === 'exit') scope.exitCode = exitCode;
+                return { exitCode, flow: node.type };
+            }
+
+            case 'break':
+            case 'continue':
+                return { exitCode: 0, flow: node.type };
+        }
+
+        throw new Error(`unknown statement type: ${node.type}`);
+    },
+
+    /**
+     * Internal: Calls a user-defined function as a command. The function's output goes
+     * through the calling command's context so it can be piped and redirected.
+     * @private
+     */
+    async _callFunction(scope, body, args, context) {
+        const saved = this._positional(scope.vars);
+        this._setPositional(scope.vars, args);
+
+        try {
+            const frame = this._createFrame(scope, {
+                out: context.write,
+                err: context.writeError,
+                signal: context.signal
+            });
+            const result = await this._execBlock(body, frame);
+            return { exitCode: result.exitCode };
+        } finally {
+            this._setPositional(scope.vars, saved);
+        }
+    },
+
+    /**
+     * Internal: Expands the values of NAME=value words.
+     * @private
+     */
+    _expandAssignments(assignments, vars) {
+        const shell = window.mythetech.shell;
+        const values = {};
+        for (const { name, value } of assignments) {
+            values[name] = shell._parseArgs(value, this._copyVars(vars, values))[0] ?? '';
+        }
+        return values;
+    },
+
+    /**
+     * Internal: Reports a script error to the frame.
+     * @private
+     */
+    _error(frame, message) {
+        frame.streams.err?.(message);
+        frame.stderr.push(message);
+    },
+
+    /**
+     * Internal: Copies variables, including the non-enumerable special parameters,
+     * and applies overrides.
+     * @private
+     */
+    _copyVars(vars, overrides) {
+        return Object.assign(Object.defineProperties({}, Object.getOwnPropertyDescriptors(vars)), overrides);
+    },
+
+    /**
+     * Internal: Sets a special parameter ($?, $#, $1...). Special parameters are
+     * non-enumerable so they expand in the script but are not listed by `env` or
+     * passed to worker commands as environment variables.
+     * @private
+     */
+    _setSpecial(vars, name, value) {
+        Object.defineProperty(vars, name, { value, writable: true, enumerable: false, configurable: true });
+    },
+
+    /**
+     * Internal: Sets the positional arguments $1..$9, $#, $@ and $*.
+     * Missing positional arguments are set empty so they expand to nothing.
+     * @private
+     */
+    _setPositional(vars, args) {
+        for (let i = 1; i <= 9; i++) {
+            this._setSpecial(vars, String(i), args[i - 1] ?? '');
+        }
+        this._setSpecial(vars, '#', String(args.length));
+        this._setSpecial(vars, '@', args.join(' '));
+        this._setSpecial(vars, '*', args.join(' '));
+        this._setSpecial(vars, this._argsKey, args.slice());
+    },
+
+    /**
+     * Internal: Gets the positional arguments as an array.
+     * @private
+     */
+    _positional(vars) {
+        return vars[this._argsKey] ?? [];
+    },
+
+    /**
+     * Internal: Key under which the positional arguments array is kept. It is not a
+     * valid variable name, so it can never be expanded.
+     * @private
+     */
+    _argsKey: '@args',
+
+    /**
+     * Internal: Splits a script into statements at unquoted newlines and `;`,
+     * dropping comments and joining continued lines.
+     * @private
+     */
+    _splitStatements(text) {
+        const shell = window.mythetech.shell;
+        const statements = [];
+        let current = '';
+        let line = 1;
+        let startLine = 1;
+        let quote = null;
+        let braceDepth = 0;
+
+        const push = () => {
+            const trimmed = current.trim();
+            if (trimmed) statements.push({ text: trimmed, line: startLine });
+            current = '';
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            const next = text[i + 1];
+
+            if (c === '\n') line++;
+            if (!current.trim() && !/\s/.test(c)) startLine = line;
+
+            if (quote === "'") {
+                if (c === "'") quote = null;
+                current += c;
+            } else if (c === '\\' && next === '\n') {
+                // Line continuation
+                i++;
+                line++;
+            } else if (c === '\\') {
+                current += c + (next ?? '');
+                if (next === '\n') line++;
+                i++;
+            } else if (quote === '"') {
+                if (c === '"') quote = null;
+                current += c;
+            } else if (c === "'" || c === '"') {
+                quote = c;
+                current += c;
+            } else if (c === '$' && next === '(' && text[i + 2] === '(' && shell._arithmeticEnd(text, i) > 0) {
+                const end = shell._arithmeticEnd(text, i);
+                current += text.substring(i, end + 1);
+                i = end;
+            } else if (c === '$' && next === '{') {
+                braceDepth++;
+                current += '${';
+                i++;
+            } else if (braceDepth > 0) {
+                if (c === '}') braceDepth--;
+                current += c;
+            } else if (c === '#' && (!current || /\s/.test(current[current.length - 1]))) {
+                while (i + 1 < text.length && text[i + 1] !== '\n') i++;
+            } else if (c === '\n' && /(&&|\|\||\|)\s*$/.test(current)) {
+                current += ' ';
+            } else if (c === '\n' || c === ';') {
+                push();
+            } else {
+                current += c;
+            }
+        }
+
+        if (quote) {
+            throw new Error(`line ${startLine}: syntax error: unterminated quote ${quote}`);
+        }
+
+        push();
+        return statements;
+    },
+
+    /**
+     * Internal: Splits a statement into raw words without expansion, keeping each
+     * word's start and end offsets so keywords can be matched and stripped.
+     * @private
+     */
+    _splitWords(text) {
+        const shell = window.mythetech.shell;
+        const words = [];
+        let start = -1;
+        let quote = null;
+
+        for (let i = 0; i <= text.length; i++) {
+            const c = text[i];
+
+            if (quote) {
+                if (c === '\\' && quote === '"') i++;
+                else if (c === quote) quote = null;
+            } else if (c === undefined || /\s/.test(c)) {
+                if (start >= 0) {
+                    words.push({ value: text.substring(start, i), start, end: i });
+                    start = -1;
+                }
+            } else {
+                if (start < 0) start = i;
+                if (c === '\\') i++;
+                else if (c === "'" || c === '"') quote = c;
+                else if (c === '$' && text[i + 1] === '(' && text[i + 2] === '(') i = Math.max(i, shell._arithmeticEnd(text, i));
+            }
+        }
+
+        return words;
+    },
+
+    /**
+     * Internal: Yields to the event loop.
+     * @private
+     */
+    _yield() {
+        return new Promise(resolve => setTimeout(resolve, 0));
+    }
+};
+
+/**
+ * Opt-in session recording for shell processes.
+ * Records timestamped input, stdout, stderr and exit events per process, exports them
+ * as asciicast v2 and replays them to a .NET object. Recordings outlive their processes
+ * until deleted, up to maxRecordings; each keeps its newest maxEvents events.
+ */
+window.mythetech.shell.recorder = {
+    /**
+     * Whether every new process is recorded from the start.
+     * @type {boolean}
+     */
+    enabled: false,
+
+    /**
+     * Maximum events kept per recording. Older events are dropped once a recording is full.
+     * 0 disables the limit.
+     * @type {number}
+     */
+    maxEvents: 10000,
+
+    /**
+     * Maximum recordings kept. Starting a new one deletes the oldest finished recordings
+     * first. 0 disables the limit.
+     * @type {number}
+     */
+    maxRecordings: 100,
+
+    /**
+     * Recordings keyed by process ID. droppedEvents counts events discarded by maxEvents.
+     * @type {Map<number, {processId: number, command: string, args: string[], startTime: number, endTime: number|null, exitCode: number|null, active: boolean, droppedEvents: number, events: Array<{time: number, type: string, data: string|number}>}>}
+     */
+    recordings: new Map(),
+
+    /**
+     * Active replays keyed by replay ID.
+     * @type {Map<number, object>}
+     */
+    replays: new Map(),
+
+    /**
+     * Next replay ID to assign.
+     * @type {number}
+     */
+    nextReplayId: 1,
+
+    /**
+     * Updates the recorder settings. Omitted values are left unchanged.
+     * Lowering the limits trims existing recordings straight away.
+     * @param {object} options - { enabled?, maxEvents?, maxRecordings? }.
+     */
+    configure(options) {
+        if (typeof options.enabled === 'boolean') {
+            this.enabled = options.enabled;
+        }
+        if (Number.isInteger(options.maxEvents) && options.maxEvents >= 0) {
+            this.maxEvents = options.maxEvents;
+            for (const recording of this.recordings.values()) {
+                this._trim(recording);
+            }
+        }
+        if (Number.isInteger(options.maxRecordings) && options.maxRecordings >= 0) {
+            this.maxRecordings = options.maxRecordings;
+            this._evict(0);
+        }
+    },
+
+    /**
+     * Starts recording a process. Events before this call are not captured; set
+     * enabled to record processes from their first output.
+     * @param {number} processId - The process handle.
+     * @returns {boolean} True if the process exists.
+     */
+    start(processId) {
+        const proc = window.mythetech.shell.processes.get(processId);
+        if (!proc) return false;
+
+        if (!proc.recording) {
+            proc.recording = this._create(proc);
+        }
+        proc.recording.active = true;
+        return true;
+    },
+
+    /**
+     * Stops recording a process. The events recorded so far are kept.
+     * @param {number} processId - The process handle.
+     */
+    stop(processId) {
+        const recording = this.recordings.get(processId);
+        if (recording) {
+            recording.active = false;
+        }
+    },
+
+    /**
+     * Gets a recording.
+     * @param {number} processId - The process handle.
+     * @returns {object|null} The recording with ISO timestamps, or null if none exists.
+     * Event times are seconds since the recording started; types are i (input),
+     * o (stdout), e (stderr) and x (exit, with the exit code as data).
+     */
+    get(processId) {
+        const recording = this.recordings.get(processId);
+        if (!recording) return null;
+
+        return {
+            ...recording,
+            startTime: new Date(recording.startTime).toISOString(),
+            endTime: recording.endTime ? new Date(recording.endTime).toISOString() : null,
+            events: recording.events.slice()
+        };
+    },
+
+    /**
+     * Gets the IDs of all recorded processes.
+     * @returns {number[]}
+     */
+    list() {
+        return Array.from(this.recordings.keys());
+    },
+
+    /**
+     * Deletes a recording.
+     * @param {number} processId - The process handle.
+     * @returns {boolean} True if a recording was deleted.
+     */
+    delete(processId) {
+        return this.recordings.delete(processId);
+    },
+
+    /**
+     * Exports a recording as an asciicast v2 file (newline-delimited JSON).
+     * stdout and stderr become output events with terminal line endings, input
+     * becomes input events (echoed as output unless echoInput is false) and the
+     * exit becomes a marker.
+     * @param {number} processId - The process handle.
+     * @param {object} [options] - { width = 80, height = 24, title, echoInput = true, idleTimeLimit }.
+     * @returns {string|null} The asciicast, or null if there is no recording.
+     */
+    exportAsciicast(processId, options = {}) {
+        const recording = this.recordings.get(processId);
+        if (!recording) return null;
+
+        const header = {
+            version: 2,
+            width: options.width ?? 80,
+            height: options.height ?? 24,
+            timestamp: Math.floor(recording.startTime / 1000),
+            command: [recording.command, ...recording.args].join(' '),
+            title: options.title ?? recording.command
+        };
+        if (options.idleTimeLimit) {
+            header.idle_time_limit = options.idleTimeLimit;
+        }
+
+        // Terminals need \r\n to return to column 0; chunk boundaries are kept as written
+        const toTerminal = (data) => String(data).replace(/\r?\n/g, '\r\n');
+
+        const lines = [JSON.stringify(header)];
+        for (const { time, type, data } of recording.events) {
+            switch (type) {
+                case 'o':
+                case 'e':
+                    lines.push(JSON.stringify([time, 'o', toTerminal(data)]));
+                    break;
+                case 'i':
+                    lines.push(JSON.stringify([time, 'i', data]));
+                    if (options.echoInput !== false) {
+                        lines.push(JSON.stringify([time, 'o', toTerminal(data)]));
+                    }
+                    break;
+                case 'x':
+                    lines.push(JSON.stringify([time, 'm', `exit ${data}`]));
+                    break;
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Replays a recording to a .NET object through the same callbacks a live process
+     * uses: OnOutput, OnError and OnExit, plus OnInput when includeInput is set.
+     * @param {number} processId - The process handle of the recording.
+     * @param {object} dotNetRef - Reference to the receiving .NET object.
+     * @param {object} [options] - { speed = 1, maxIdle, includeInput = false }. speed 2 replays twice
+     * as fast; maxIdle caps any pause, in seconds.
+     * @returns {number|null} Replay ID for stopReplay, or null if there is no recording.
+     */
+    replay(processId, dotNetRef, options = {}) {
+        const recording = this.recordings.get(processId);
+        if (!recording) return null;
+
+        const speed = options.speed > 0 ? options.speed : 1;
+        const methods = { o: 'OnOutput', e: 'OnError', x: 'OnExit', i: options.includeInput ? 'OnInput' : null };
+
+        // Precompute when each event is due, relative to the start of the replay
+        const schedule = [];
+        let due = 0;
+        let previous = 0;
+        for (const event of recording.events) {
+            let gap = event.time - previous;
+            if (options.maxIdle != null) gap = Math.min(gap, options.maxIdle);
+            due += gap / speed;
+            previous = event.time;
+            if (methods[event.type]) schedule.push({ due, event });
+        }
+
+        const id = this.nextReplayId++;
+        const replay = { id, timer: null };
+        const started = Date.now();
+        let index = 0;
+
+        // Schedules against the start time rather than the previous event so delays do not drift
+        const tick = () => {
+            const elapsed = (Date.now() - started) / 1000;
+            while (index < schedule.length && schedule[index].due <= elapsed) {
+                const { event } = schedule[index++];
+                dotNetRef.invokeMethodAsync(methods[event.type], event.data).catch((error) => {
+                    console.debug('Failed to replay event:', error);
+                });
+            }
+
+            if (index < schedule.length) {
+                replay.timer = setTimeout(tick, (schedule[index].due - elapsed) * 1000);
+            } else {
+                this.replays.delete(id);
+            }
+        };
+
+        this.replays.set(id, replay);
+        tick();
+        return id;
+    },
+
+    /**
+     * Stops a replay.
+     * @param {number} replayId - The ID returned from replay.
+     */
+    stopReplay(replayId) {
+        const replay = this.replays.get(replayId);
+        if (replay) {
+            clearTimeout(replay.timer);
+            this.replays.delete(replayId);
+        }
+    },
+
+    /**
+     * Internal: Records an event for a process, if it is being recorded.
+     * Called by the shell for input, output, error output and exit.
+     * @private
+     */
+    _record(proc, type, data) {
+        if (!proc.recording && this.enabled) {
+            proc.recording = this._create(proc);
+        }
+
+        const recording = proc.recording;
+        if (!recording?.active) return;
+
+        recording.events.push({ time: (Date.now() - recording.startTime) / 1000, type, data });
+        this._trim(recording);
+        if (type === 'x') {
+            recording.exitCode = data;
+            recording.endTime = Date.now();
+            recording.active = false;
+        }
+    },
+
+    /**
+     * Internal: Creates and stores a recording for a process.
+     * @private
+     */
+    _create(proc) {
+        const recording = {
+            processId: proc.id,
+            command: proc.command,
+            args: proc.args.slice(),
+            startTime: proc.startTime,
+            endTime: null,
+            exitCode: null,
+            active: true,
+            droppedEvents: 0,
+            events: []
+        };
+        this._evict(1);
+        this.recordings.set(proc.id, recording);
+        return recording;
+    },
+
+    /**
+     * Internal: Drops a recording's oldest events beyond maxEvents.
+     * @private
+     */
+    _trim(recording) {
+        const excess = this.maxEvents > 0 ? recording.events.length - this.maxEvents : 0;
+        if (excess > 0) {
+            recording.events.splice(0, excess);
+            recording.droppedEvents += excess;
+        }
+    },
+
+    /**
+     * Internal: Deletes the oldest finished recordings until there is room for more.
+     * Active recordings are never deleted, so the limit can be exceeded while they run.
+     * @param {number} room - How many recordings are about to be added.
+     * @private
+     */
+    _evict(room) {
+        if (this.maxRecordings <= 0) return;
+
+        // Maps iterate in insertion order, so the first finished entries are the oldest
+        for (const [id, recording] of this.recordings) {
+            if (this.recordings.size + room <= this.maxRecordings) break;
+            if (!recording.active) {
+                this.recordings.delete(id);
+            }
+        }
+    }
+};
+
+/**
+ * jq-style JSON filters for the `json` built-in.
+ * Supports paths (`.a.b`, `."key"`, `.["key"]`, `.[0]`, `.[-1]`, `.[]`, `.[1:3]`, optional `?`),
+ * pipes (`|`) and the keys, length and type functions.
+ */
+window.mythetech.shell.json = {
+    /**
+     * Applies a filter to a value.
+     * @param {string} filter - The filter expression.
+     * @param {*} value - The parsed JSON input.
+     * @returns {Array<*>} The results; a filter can produce zero or more values.
+     * @throws {Error} On a syntax error or when a path does not apply to the value.
+     */
+    evaluate(filter, value) {
+        return this._splitPipes(filter).reduce(
+            (values, stage) => values.flatMap(current => this._applyStage(stage, current)),
+            [value]);
+    },
+
+    /**
+     * Internal: Applies one pipe stage to a value.
+     * @private
+     */
+    _applyStage(stage, value) {
+        switch (stage) {
+            case 'keys':
+                if (Array.isArray(value)) return [value.map((_, i) => i)];
+                if (this._type(value) === 'object') return [Object.keys(value).sort()];
+                throw new Error(`${this._type(value)} has no keys`);
+            case 'length':
+                if (value === null) return [0];
+                if (typeof value === 'string' || Array.isArray(value)) return [value.length];
+                if (typeof value === 'object') return [Object.keys(value).length];
+                if (typeof value === 'number') return [Math.abs(value)];
+                throw new Error(`${this._type(value)} has no length`);
+            case 'type':
+                return [this._type(value)];
+        }
+
+        let values = [value];
+        for (const step of this._parsePath(stage)) {
+            values = values.flatMap(current => {
+                try {
+                    return this._applyStep(step, current);
+                } catch (e) {
+                    if (step.optional) return [];
+                    throw e;
+                }
+            });
+        }
+        return values;
+    },
+
+    /**
+     * Internal: Applies one path step (key, index, iterate or slice) to a value.
+     * @private
+     */
+    _applyStep(step, value) {
+        const type = this._type(value);
+
+        if (step.key !== undefined) {
+            if (value === null) return [null];
+            if (type !== 'object') throw new Error(`Cannot index ${type} with "${step.key}"`);
+            return [Object.prototype.hasOwnProperty.call(value, step.key) ? value[step.key] : null];
+        }
+
+        if (step.index !== undefined) {
+            if (value === null) return [null];
+            if (type !== 'array') throw new Error(`Cannot index ${type} with number`);
+            return [value.at(step.index) ?? null];
+        }
+
+        if (step.slice) {
+            if (value === null) return [null];
+            if (type !== 'array' && type !== 'string') throw new Error(`Cannot slice ${type}`);
+            return [value.slice(step.slice.start ?? undefined, step.slice.end ?? undefined)];
+        }
+
+        // Iterate
+        if (type === 'array') return value;
+        if (type === 'object') return Object.values(value);
+        throw new Error(`Cannot iterate over ${type}`);
+    },
+
+    /**
+     * Internal: Parses a path expression into steps.
+     * @private
+     */
+    _parsePath(path) {
+        if (!path.startsWith('.')) {
+            throw new Error(`syntax error: unknown filter '${path}'`);
+        }
+
+        const steps = [];
+        let i = 0;
+
+        while (i < path.length) {
+            if (path[i] === '.') {
+                i++;
+                if (i >= path.length || path[i] === '[') continue;
+
+                if (path[i] === '"') {
+                    const end = this._stringEnd(path, i);
+                    steps.push({ key: JSON.parse(path.substring(i, end + 1)) });
+                    i = end + 1;
+                } else {
+                    const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(path.substring(i));
+                    if (!name) throw new Error(`syntax error in '${path}'`);
+                    steps.push({ key: name[0] });
+                    i += name[0].length;
+                }
+            } else if (path[i] === '[') {
+                const close = path[i + 1] === '"' ? this._stringEnd(path, i + 1) + 1 : path.indexOf(']', i);
+                if (path[close] !== ']') throw new Error(`syntax error: unterminated '[' in '${path}'`);
+
+                const inner = path.substring(i + 1, close).trim();
+                const slice = /^(-?\d*):(-?\d*)$/.exec(inner);
+                if (inner === '') {
+                    steps.push({ iterate: true });
+                } else if (/^-?\d+$/.test(inner)) {
+                    steps.push({ index: Number(inner) });
+                } else if (slice) {
+                    steps.push({ slice: { start: slice[1] ? Number(slice[1]) : null, end: slice[2] ? Number(slice[2]) : null } });
+                } else if (inner.startsWith('"')) {
+                    steps.push({ key: JSON.parse(inner) });
+                } else {
+                    throw new Error(`syntax error: invalid index '${inner}'`);
+                }
+                i = close + 1;
+            } else {
+                throw new Error(`syntax error in '${path}'`);
+            }
+
+            if (path[i] === '?') {
+                steps[steps.length - 1].optional = true;
+                i++;
+            }
+        }
+
+        return steps;
+    },
+
+    /**
+     * Internal: Finds the closing quote of a JSON string literal starting at index start.
+     * @private
+     */
+    _stringEnd(text, start) {
+        for (let i = start + 1; i < text.length; i++) {
+            if (text[i] === '\\') i++;
+            else if (text[i] === '"') return i;
+        }
+        throw new Error(`syntax error: unterminated string in '${text}'`);
+    },
+
+    /**
+     * Internal: Splits a filter at top-level pipes.
+     * @private
+     */
+    _splitPipes(filter) {
+        const stages = [];
+        let start = 0;
+        for (let i = 0; i < filter.length; i++) {
+            if (filter[i] === '"') {
+                i = this._stringEnd(filter, i);
+            } else if (filter[i] === '|') {
+                stages.push(filter.substring(start, i).trim());
+                start = i + 1;
+            }
+        }
+        stages.push(filter.substring(start).trim());
+
+        if (stages.some(stage => !stage)) {
+            throw new Error(`syntax error: empty filter in '${filter}'`);
+        }
+        return stages;
+    },
+
+    /**
+     * Internal: Gets the jq type name of a value.
+     * @private
+     */
+    _type(value) {
+        if (value === null) return 'null';
+        if (Array.isArray(value)) return 'array';
+        return typeof value;
+    }
+};
+
+/**
+ * Execution policy for the WebAssembly shell: allow and deny lists, commands that
+ * need confirmation from .NET before they run, commands protected from being
+ * replaced, and an in-memory audit log of every execution.
+ */
+window.mythetech.shell.policy = {
+    /**
+     * Command names allowed to run, or null to allow every command that is not denied.
+     * @type {Set<string>|null}
+     */
+    allowed: null,
+
+    /**
+     * Command names that may not run.
+     * @type {Set<string>}
+     */
+    denied: new Set(),
+
+    /**
+     * Command names that need confirmation before each run.
+     * @type {Set<string>}
+     */
+    confirm: new Set(),
+
+    /**
+     * Command names that registerCommand and unregisterCommand refuse to replace or remove.
+     * See protect.
+     * @type {Set<string>}
+     */
+    protected: new Set(),
+
+    /**
+     * .NET object asked to confirm commands, exposing ConfirmCommand({ command, args }) returning a bool.
+     * @type {object|null}
+     */
+    confirmationRef: null,
+
+    /**
+     * Audit log entries, oldest first.
+     * @type {Array<object>}
+     */
+    auditLog: [],
+
+    /**
+     * Maximum number of audit entries kept; older entries are dropped.
+     * @type {number}
+     */
+    auditLimit: 1000,
+
+    /**
+     * Next audit entry ID to assign.
+     * @type {number}
+     */
+    nextAuditId: 1,
+
+    /**
+     * Replaces the policy lists. Omitted lists are left unchanged.
+     * @param {object} policy - { allow?: string[]|null, deny?: string[], confirm?: string[] }.
+     * An allow list of null allows every command that is not denied.
+     */
+    configure(policy) {
+        const toSet = (names) => new Set(names.map(name => name.toLowerCase()));
+
+        if (policy.allow !== undefined) {
+            this.allowed = policy.allow === null ? null : toSet(policy.allow);
+        }
+        if (policy.deny !== undefined) {
+            this.denied = toSet(policy.deny ?? []);
+        }
+        if (policy.confirm !== undefined) {
+            this.confirm = toSet(policy.confirm ?? []);
+        }
+    },
+
+    /**
+     * Sets the .NET object asked to confirm commands, or clears it with null.
+     * While no handler is set, commands that need confirmation are refused.
+     * @param {object|null} dotNetRef - Reference to a .NET object exposing ConfirmCommand.
+     */
+    setConfirmationHandler(dotNetRef) {
+        this.confirmationRef = dotNetRef;
+    },
+
+    /**
+     * Protects commands from being replaced or unregistered through registerCommand and
+     * unregisterCommand, so a plugin cannot shadow a built-in by accident.
+     *
+     * Protection is advisory, not a security boundary: the shell's state, including
+     * shell.commands and this policy, lives on window, and any script on the page can
+     * change it directly. The policy governs commands typed into the shell; it cannot
+     * restrain other scripts, so only load scripts you trust.
+     * @param {string[]} names - The command names.
+     */
+    protect(names) {
+        for (const name of names) {
+            this.protected.add(name.toLowerCase());
+        }
+    },
+
+    /**
+     * Checks whether a command may run, asking .NET for confirmation if the policy requires it.
+     * @param {string} name - The command name.
+     * @param {string[]} args - The command arguments, shown in the confirmation request.
+     * @returns {Promise<string|null>} Null if the command may run, otherwise the reason it may not.
+     */
+    async authorize(name, args) {
+        const key = name.toLowerCase();
+
+        if (this.denied.has(key) || (this.allowed && !this.allowed.has(key))) {
+            return 'permission denied by policy';
+        }
+
+        if (this.confirm.has(key)) {
+            if (!this.confirmationRef) {
+                return 'confirmation required but no confirmation handler is set';
+            }
+
+            let confirmed = false;
+            try {
+                confirmed = await this.confirmationRef.invokeMethodAsync('ConfirmCommand', { command: name, args });
+            } catch (error) {
+                console.debug('Failed to request command confirmation:', error);
+            }
+            if (!confirmed) {
+                return 'not confirmed';
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Records an execution in the audit log.
+     * @param {object} entry - { command, args, exitCode, startTime (ms), blocked?, source }.
+     */
+    record(entry) {
+        this.auditLog.push({
+            id: this.nextAuditId++,
+            command: entry.command,
+            args: entry.args.slice(),
+            exitCode: entry.exitCode,
+            startTime: new Date(entry.startTime).toISOString(),
+            durationMs: Date.now() - entry.startTime,
+            blocked: entry.blocked ?? null,
+            source: entry.source
+        });
+
+        if (this.auditLog.length > this.auditLimit) {
+            this.auditLog.splice(0, this.auditLog.length - this.auditLimit);
+        }
+    },
+
+    /**
+     * Gets audit log entries, oldest first.
+     * @param {object} [filter] - { command?: string, sinceId?: number, limit?: number }. limit keeps the newest entries.
+     * @returns {Array<{id: number, command: string, args: string[], exitCode: number, startTime: string, durationMs: number, blocked: string|null, source: string}>}
+     */
+    getAuditLog(filter = {}) {
+        let entries = this.auditLog;
+        if (filter.command) {
+            const key = filter.command.toLowerCase();
+            entries = entries.filter(entry => entry.command.toLowerCase() === key);
+        }
+        if (filter.sinceId) {
+            entries = entries.filter(entry => entry.id > filter.sinceId);
+        }
+        if (filter.limit > 0) {
+            entries = entries.slice(-filter.limit);
+        }
+        return entries.map(entry => ({ ...entry, args: entry.args.slice() }));
+    },
+
+    /**
+     * Clears the audit log.
+     */
+    clearAuditLog() {
+        this.auditLog = [];
+    }
+};
+
+/**
+ * Resource limits for commands and interactive processes: how long they may run, how much
+ * output they may produce, how much unread input a process buffers, and how output is
+ * batched on its way to .NET.
+ */
+window.mythetech.shell.limits = {
+    /**
+     * Limits applied to every command unless overridden. A limit of 0 disables it.
+     * timeout is the maximum runtime in milliseconds, maxOutputBytes caps the UTF-8 size of a
+     * command's stdout and stderr combined, and maxInputBytes caps a process's unread input.
+     * @type {{timeout: number, maxOutputBytes: number, maxInputBytes: number}}
+     */
+    defaults: {
+        timeout: 0,
+        maxOutputBytes: 1048576,
+        maxInputBytes: 65536
+    },
+
+    /**
+     * Per-command overrides set through configure, keyed by command name.
+     * @type {Map<string, object>}
+     */
+    commands: new Map(),
+
+    /**
+     * Whether output pushed to .NET is coalesced into one call per animation frame.
+     * @type {boolean}
+     */
+    batchOutput: true,
+
+    _encoder: new TextEncoder(),
+
+    /**
+     * Updates the limits. Omitted values are left unchanged.
+     * Limits are resolved per command from the defaults, then the descriptor's `limits`,
+     * then the overrides given here; an override of null removes a command's overrides.
+     * @param {object} limits - { timeout?, maxOutputBytes?, maxInputBytes?, batchOutput?,
+     * commands?: { [name]: { timeout?, maxOutputBytes?, maxInputBytes? } | null } }.
+     */
+    configure(limits) {
+        Object.assign(this.defaults, this._normalize(limits));
+
+        if (typeof limits.batchOutput === 'boolean') {
+            this.batchOutput = limits.batchOutput;
+        }
+
+        for (const [name, overrides] of Object.entries(limits.commands ?? {})) {
+            if (overrides === null) {
+                this.commands.delete(name.toLowerCase());
+            } else {
+                this.commands.set(name.toLowerCase(), this._normalize(overrides));
+            }
+        }
+    },
+
+    /**
+     * Resolves the limits for a command.
+     * @param {string} name - The command name.
+     * @returns {{timeout: number, maxOutputBytes: number, maxInputBytes: number}}
+     */
+    resolve(name) {
+        const key = name.toLowerCase();
+        return {
+            ...this.defaults,
+            ...this._normalize(window.mythetech.shell.descriptors.get(key)?.limits ?? {}),
+            ...this.commands.get(key)
+        };
+    },
+
+    /**
+     * Creates a runtime guard: a signal that follows the parent signal and is aborted with
+     * reason 'TIMEOUT' once the timeout elapses, and an expired promise that resolves at the
+     * same moment. Call dispose once the guarded work has finished.
+     * @param {number} timeout - The runtime limit in milliseconds, or 0 for none.
+     * @param {AbortSignal} [parent] - The signal of the enclosing command line or process.
+     * @returns {{signal: AbortSignal, expired: Promise<void>, dispose: function}}
+     */
+    guard(timeout, parent) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(parent.reason);
+        let timer = null;
+        let expire;
+        const expired = new Promise(resolve => { expire = resolve; });
+
+        if (parent?.aborted) {
+            onAbort();
+        }
+        parent?.addEventListener('abort', onAbort);
+
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                controller.abort('TIMEOUT');
+                expire();
+            }, timeout);
+        }
+
+        return {
+            signal: controller.signal,
+            expired,
+            dispose: () => {
+                clearTimeout(timer);
+                parent?.removeEventListener('abort', onAbort);
+            }
+        };
+    },
+
+    /**
+     * Creates an output meter enforcing a byte limit. take(text) returns the text to emit,
+     * cut at a character boundary when it crosses the limit (setting truncated), and null
+     * for everything after.
+     * @param {number} limit - Maximum UTF-8 bytes, or 0 for no limit.
+     * @returns {{take: function(string): string|null, truncated: boolean}}
+     */
+    createMeter(limit) {
+        const encoder = this._encoder;
+        let used = 0;
+
+        return {
+            truncated: false,
+            take(text) {
+                if (!(limit > 0)) return text;
+                if (this.truncated) return null;
+
+                const bytes = encoder.encode(text).length;
+                if (used + bytes <= limit) {
+                    used += bytes;
+                    return text;
+                }
+
+                this.truncated = true;
+                const { read } = encoder.encodeInto(text, new Uint8Array(limit - used));
+                used = limit;
+                return text.slice(0, read);
+            }
+        };
+    },
+
+    /**
+     * Formats the notice written to stderr when output is truncated.
+     * @param {string} name - The command name.
+     * @param {number} limit - The byte limit that was reached.
+     * @returns {string}
+     */
+    truncationNotice(name, limit) {
+        return `${name}: output truncated after ${limit} bytes`;
+    },
+
+    /**
+     * Creates a notifier that invokes methods on a .NET reference, coalescing calls made
+     * within the same animation frame. Consecutive chunks for the same method are sent
+     * together to its Batch variant (OnOutput to OnOutputBatch, with a string array) and a
+     * lone chunk to the method itself, so the receiver still sees each chunk as written and
+     * the order of stdout and stderr is preserved. Call flush before anything that must
+     * follow the output, such as the exit notification.
+     * @param {object} dotNetRef - The .NET object reference.
+     * @returns {{push: function(string, string), flush: function}}
+     */
+    createBatcher(dotNetRef) {
+        const queue = [];
+        let scheduled = false;
+
+        const send = (method, data) => {
+            dotNetRef.invokeMethodAsync(method, data).catch((error) => {
+                console.debug(`Failed to invoke ${method}:`, error);
+            });
+        };
+
+        const flush = () => {
+            scheduled = false;
+            for (const { method, chunks } of queue.splice(0)) {
+                if (chunks.length === 1) {
+                    send(method, chunks[0]);
+                } else {
+                    send(`${method}Batch`, chunks);
+                }
+            }
+        };
+
+        return {
+            push: (method, data) => {
+                if (!this.batchOutput) {
+                    flush();
+                    send(method, data);
+                    return;
+                }
+
+                const last = queue[queue.length - 1];
+                if (last?.method === method) {
+                    last.chunks.push(data);
+                } else {
+                    queue.push({ method, chunks: [data] });
+                }
+
+                if (!scheduled) {
+                    scheduled = true;
+                    this._schedule(flush);
+                }
+            },
+            flush
+        };
+    },
+
+    /**
+     * Internal: Runs a callback on the next animation frame, or after a frame's worth of
+     * time when frames are not being rendered (hidden tabs, no DOM).
+     * @private
+     */
+    _schedule(callback) {
+        if (typeof requestAnimationFrame === 'function' && typeof document !== 'undefined' && !document.hidden) {
+            requestAnimationFrame(callback);
+        } else {
+            setTimeout(callback, 16);
+        }
+    },
+
+    /**
+     * Internal: Keeps the known numeric limits of a limits object, dropping unset values.
+     * @private
+     */
+    _normalize(limits) {
+        const normalized = {};
+        for (const key of ['timeout', 'maxOutputBytes', 'maxInputBytes']) {
+            if (typeof limits[key] === 'number' && limits[key] >= 0) {
+                normalized[key] = limits[key];
+            }
+        }
+        return normalized;
+    }
+};
+
+/**
+ * Registration scopes for plugins. A scope owns the commands it registers under its
+ * namespace (`myplugin:sync`) and their optional short aliases, reports names that are
+ * already taken instead of replacing them, and removes everything it added on dispose.
+ */
+window.mythetech.shell.plugins = {
+    /**
+     * Active scopes keyed by lowercase namespace.
+     * @type {Map<string, object>}
+     */
+    scopes: new Map(),
+
+    /**
+     * Namespace owning each command or alias registered through a scope, keyed by command name.
+     * @type {Map<string, string>}
+     */
+    owners: new Map(),
+
+    /**
+     * Creates a registration scope for a plugin.
+     *
+     * The returned handle has:
+     *   register(name, handler, { aliases? }) - registers `namespace:name` (handler or descriptor,
+     *     as for registerCommand) plus each alias that is free. Taken names are skipped rather
+     *     than replaced. Returns { name, aliases, collisions }: name is null if the namespaced
+     *     name itself was taken, aliases are the aliases registered, and collisions are
+     *     { name, owner } entries for the taken names, where owner is 'built-in', another
+     *     plugin's namespace, or 'global' for commands registered without a scope.
+     *   unregister(name) - removes one of the scope's commands and its aliases.
+     *   getCommands() - the names and aliases the scope currently owns.
+     *   getCollisions() - every collision reported so far.
+     *   dispose() - unregisters the scope's commands and kills processes and background jobs
+     *     running them.
+     * @param {string} namespace - Letters, digits, '.', '_' and '-'.
+     * @param {object} [options] - { onCollision?: function(collision) } to be told of collisions as they happen.
+     * @returns {object} The scope handle.
+     */
+    createScope(namespace, options) {
+        if (typeof namespace !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/i.test(namespace)) {
+            throw new TypeError(`createScope: invalid namespace '${namespace}'`);
+        }
+
+        const key = namespace.toLowerCase();
+        if (this.scopes.has(key)) {
+            throw new Error(`createScope: namespace '${namespace}' already has an active scope`);
+        }
+
+        const shell = window.mythetech.shell;
+        const commands = new Map();
+        const installed = new Map();
+        const collisions = [];
+        let disposed = false;
+
+        const claim = (name, handler, result) => {
+            const owner = this._owner(name);
+            if (owner) {
+                const collision = { name, owner };
+                collisions.push(collision);
+                result.collisions.push(collision);
+                try {
+                    options?.onCollision?.(collision);
+                } catch (error) {
+                    console.debug('Failed to report command collision:', error);
+                }
+                return false;
+            }
+
+            shell.registerCommand(name, handler);
+            this.owners.set(name, key);
+            installed.set(name, shell.commands.get(name));
+            return true;
+        };
+
+        // Only removes a name the scope still owns with the handler it installed
+        const release = (name) => {
+            if (this.owners.get(name) === key && shell.commands.get(name) === installed.get(name)) {
+                shell.unregisterCommand(name);
+            }
+            installed.delete(name);
+        };
+
+        const scope = {
+            namespace: key,
+
+            register: (name, handler, registration) => {
+                if (disposed) {
+                    throw new Error(`register: scope '${key}' has been disposed`);
+                }
+                if (typeof name !== 'string' || !name || name.includes(':')) {
+                    throw new TypeError(`register: invalid command name '${name}'`);
+                }
+
+                const fullName = `${key}:${name.toLowerCase()}`;
+                const result = { name: null, aliases: [], collisions: [] };
+
+                if (claim(fullName, handler, result)) {
+                    result.name = fullName;
+                    for (const alias of registration?.aliases ?? []) {
+                        const aliasName = alias.toLowerCase();
+                        if (claim(aliasName, handler, result)) {
+                            result.aliases.push(aliasName);
+                        }
+                    }
+                    commands.set(name.toLowerCase(), [fullName, ...result.aliases]);
+                }
+
+                return result;
+            },
+
+            unregister: (name) => {
+                const names = commands.get(name.toLowerCase());
+                if (!names) return false;
+
+                names.forEach(release);
+                commands.delete(name.toLowerCase());
+                return true;
+            },
+
+            getCommands: () => Array.from(commands.values()).flat()
+                .filter(name => this.owners.get(name) === key)
+                .sort(),
+
+            getCollisions: () => [...collisions],
+
+            dispose: () => {
+                if (disposed) return;
+                disposed = true;
+
+                const names = new Set(scope.getCommands());
+                for (const proc of shell.processes.values()) {
+                    const uses = proc.names ?? [proc.command.toLowerCase()];
+                    if (proc.state === 'running' && uses.some(name => names.has(name))) {
+                        shell.kill(proc.id);
+                    }
+                }
+
+                names.forEach(release);
+                commands.clear();
+                this.scopes.delete(key);
+            }
+        };
+
+        this.scopes.set(key, scope);
+        return scope;
+    },
+
+    /**
+     * Internal: Describes who owns a command name, or null if it is free.
+     * @private
+     */
+    _owner(name) {
+        const shell = window.mythetech.shell;
+        if (!shell.commands.has(name)) return null;
+        if (shell.policy.protected.has(name)) return 'built-in';
+        return this.owners.get(name) ?? 'global';
+    }
+};
+
+// Register built-in commands
+(function() {
+    const shell = window.mythetech.shell;
+
+    // Runs an operation per operand, collecting errors as "<command>: <message>"
+    const eachOperand = (name, operands, operation) => {
+        const output = [];
+        const errors = [];
+        for (const operand of operands) {
+            try {
+                const result = operation(operand);
+                if (result !== undefined) output.push(result);
+            } catch (e) {
+                errors.push(`${name}: ${e.message}`);
+            }
+        }
+        return {
+            exitCode: errors.length ? 1 : 0,
+            stdout: output.join('\n'),
+            stderr: errors.join('\n')
+        };
+    };
+
+    // echo - prints arguments
+    shell.registerCommand('echo', {
+        description: 'Print arguments separated by spaces',
+        args: [{ name: 'text', variadic: true }],
+        rawArgs: true,
+        handler: (args) => ({
+            exitCode: 0,
+            stdout: args.join(' ')
+        })
+    });
+
+    // env - prints environment variables
+    shell.registerCommand('env', {
+        description: 'Print environment variables',
+        args: [],
+        handler: (args, env) => ({
+            exitCode: 0,
+            stdout: Object.entries(env)
+                .map(([k, v]) => `${k}=${v}`)
+                .join('\n'),
+            records: Object.entries(env).map(([name, value]) => ({ name, value }))
+        })
+    });
+
+    // help - lists available commands, or shows help for one command
+    shell.registerCommand('help', {
+        description: 'List available commands or show help for a command',
+        args: [{ name: 'command', description: 'Command to show help for' }],
+        handler: ([command]) => {
+            if (command) {
+                const help = shell.getHelp(command);
+                return help === null
+                    ? { exitCode: 1, stderr: `help: no such command: ${command}` }
+                    : { exitCode: 0, stdout: help };
+            }
+
+            const names = shell.getCommands();
+            const width = Math.max(...names.map(name => name.length)) + 2;
+            return {
+                exitCode: 0,
+                stdout: 'Available commands:\n' + names
+                    .map(name => `  ${name.padEnd(width)}${shell.descriptors.get(name)?.description ?? ''}`.trimEnd())
+                    .join('\n'),
+                records: names.map(name => ({ name, description: shell.descriptors.get(name)?.description ?? '' }))
+            };
+        }
+    });
+
+    // true / false - succeed or fail, for script conditions
+    shell.registerCommand('true', {
+        description: 'Do nothing, successfully',
+        rawArgs: true,
+        handler: () => ({ exitCode: 0 })
+    });
+
+    shell.registerCommand('false', {
+        description: 'Do nothing, unsuccessfully',
+        rawArgs: true,
+        handler: () => ({ exitCode: 1 })
+    });
+
+    // Evaluates a test expression: ! ( ) -a -o, -z -n -e -f -d -s, = != and -eq -ne -lt -le -gt -ge
+    const evaluateTest = (args) => {
+        const unary = ['-z', '-n', '-e', '-f', '-d', '-s'];
+        const binary = ['=', '==', '!=', '-eq', '-ne', '-lt', '-le', '-gt', '-ge'];
+        let pos = 0;
+
+        const integer = (value) => {
+            if (!/^\s*[-+]?\d+\s*$/.test(value)) throw new Error(`${value}: integer expression expected`);
+            return Number(value);
+        };
+
+        const primary = () => {
+            const arg = args[pos];
+            if (arg === undefined) throw new Error('argument expected');
+
+            if (arg === '(' && pos + 1 < args.length) {
+                pos++;
+                const value = or();
+                if (args[pos] !== ')') throw new Error(`')' expected`);
+                pos++;
+                return value;
+            }
+
+            if (binary.includes(args[pos + 1]) && pos + 2 < args.length) {
+                const [left, op, right] = args.slice(pos, pos + 3);
+                pos += 3;
+                switch (op) {
+                    case '=':
+                    case '==': return left === right;
+                    case '!=': return left !== right;
+                    case '-eq': return integer(left) === integer(right);
+                    case '-ne': return integer(left) !== integer(right);
+                    case '-lt': return integer(left) < integer(right);
+                    case '-le': return integer(left) <= integer(right);
+                    case '-gt': return integer(left) > integer(right);
+                    case '-ge': return integer(left) >= integer(right);
+                }
+            }
+
+            if (unary.includes(arg) && pos + 1 < args.length) {
+                const operand = args[pos + 1];
+                pos += 2;
+                switch (arg) {
+                    case '-z': return operand.length === 0;
+                    case '-n': return operand.length > 0;
+                    case '-e': return shell.fs.exists(operand);
+                    case '-f': return shell.fs.stat(operand)?.type === 'file';
+                    case '-d': return shell.fs.stat(operand)?.type === 'dir';
+                    case '-s': return (shell.fs.stat(operand)?.size ?? 0) > 0;
+                }
+            }
+
+            pos++;
+            return arg.length > 0;
+        };
+
+        const not = () => {
+            if (args[pos] === '!' && pos + 1 < args.length) {
+                pos++;
+                return !not();
+            }
+            return primary();
+        };
+
+        const and = () => {
+            let value = not();
+            while (args[pos] === '-a') {
+                pos++;
+                value = not() && value;
+            }
+            return value;
+        };
+
+        const or = () => {
+            let value = and();
+            while (args[pos] === '-o') {
+                pos++;
+                value = and() || value;
+            }
+            return value;
+        };
+
+        if (args.length === 0) return false;
+        const value = or();
+        if (pos < args.length) throw new Error(`${args[pos]}: unexpected argument`);
+        return value;
+    };
+
+    const testCommand = (name, args) => {
+        try {
+            return { exitCode: evaluateTest(args) ? 0 : 1 };
+        } catch (e) {
+            return { exitCode: 2, stderr: `${name}: ${e.message}` };
+        }
+    };
+
+    // test / [ - evaluate a conditional expression, for script conditions
+    shell.registerCommand('test', {
+        description: 'Evaluate a conditional expression',
+        usage: 'test expression',
+        rawArgs: true,
+        handler: (args) => testCommand('test', args)
+    });
+
+    shell.registerCommand('[', {
+        description: 'Evaluate a conditional expression',
+        usage: '[ expression ]',
+        rawArgs: true,
+        handler: (args) => args[args.length - 1] === ']'
+            ? testCommand('[', args.slice(0, -1))
+            : { exitCode: 2, stderr: "[: missing ']'" }
+    });
+
+    // source - runs a script from the virtual filesystem; inside scripts it shares the script's scope
+    shell.registerCommand('source', {
+        description: 'Run a script from the virtual filesystem',
+        args: [
+            { name: 'script', required: true, description: 'Path of the script' },
+            { name: 'args', variadic: true, description: 'Positional arguments for the script' }
+        ],
+        rawArgs: true,
+        handler: (args, env, context) => shell.script.source(shell.script.createScope(env, []), args, context)
+    });
+
+    // clear - clears the console (no-op in terms of output)
+    shell.registerCommand('clear', {
+        description: 'Clear the console',
+        args: [],
+        handler: () => ({
+            exitCode: 0,
+            stdout: ''
+        })
+    });
+
+    // version - prints shell version
+    shell.registerCommand('version', {
+        description: 'Print the shell version',
+        args: [],
+        handler: () => ({
+            exitCode: 0,
+            stdout: 'Mythetech WebAssembly Shell v1.0.0'
+        })
+    });
+
+    // pwd - prints the working directory
+    shell.registerCommand('pwd', {
+        description: 'Print the working directory',
+        args: [],
+        handler: (args, env, { fs }) => ({
+            exitCode: 0,
+            stdout: fs.cwd
+        })
+    });
+
+    // cd - changes the working directory
+    shell.registerCommand('cd', {
+        description: 'Change the working directory',
+        args: [{ name: 'directory', description: 'Target directory (defaults to $HOME or /)' }],
+        handler: ([directory], env, { fs }) =>
+            eachOperand('cd', [directory || env.HOME || '/'], dir => { fs.chdir(dir); })
+    });
+
+    // ls - lists directory contents
+    shell.registerCommand('ls', {
+        description: 'List directory contents',
+        args: [{ name: 'path', description: 'Files or directories to list', variadic: true }],
+        options: [
+            { name: 'all', alias: 'a', description: 'Include entries starting with .' },
+            { name: 'long', alias: 'l', description: 'Use a long listing format' }
+        ],
+        handler: (args, env, { fs, options }) => {
+            const targets = args.length ? args : ['.'];
+
+            const format = (entry) => options.long
+                ? `${entry.type === 'dir' ? 'd' : '-'} ${String(entry.size).padStart(8)} ${new Date(entry.modified).toISOString()} ${entry.name}`
+                : entry.name;
+
+            return eachOperand('ls', targets, target => {
+                const stat = fs.stat(target);
+                if (!stat) throw new Error(`${target}: No such file or directory`);
+                if (stat.type === 'file') return format(stat);
+
+                const listing = fs.readdir(target)
+                    .filter(entry => options.all || !entry.name.startsWith('.'))
+                    .map(format)
+                    .join('\n');
+                return targets.length > 1 ? `${target}:\n${listing}` : listing;
+            });
+        }
+    });
+
+    // cat - concatenates files, or stdin when no files are given
+    shell.registerCommand('cat', {
+        description: 'Concatenate files, or stdin when no files are given',
+        args: [{ name: 'file', variadic: true }],
+        handler: (args, env, { stdin, fs }) => {
+            if (!args.length) {
+                return { exitCode: 0, stdout: stdin ?? '' };
+            }
+            return eachOperand('cat', args, file => fs.readFile(file));
+        }
+    });
+
+    // mkdir - creates directories
+    shell.registerCommand('mkdir', {
+        description: 'Create directories',
+        args: [{ name: 'directory', required: true, variadic: true }],
+        options: [
+            { name: 'parents', alias: 'p', description: 'Create parent directories as needed' }
+        ],
+        handler: (args, env, { fs, options }) =>
+            eachOperand('mkdir', args, dir => { fs.mkdir(dir, { recursive: options.parents }); })
+    });
+
+    // touch - creates empty files or updates their modified time
+    shell.registerCommand('touch', {
+        description: 'Create empty files or update their modified time',
+        args: [{ name: 'file', required: true, variadic: true }],
+        handler: (args, env, { fs }) =>
+            eachOperand('touch', args, file => { fs.writeFile(file, '', { append: true }); })
+    });
+
+    // rm - removes files and directories
+    shell.registerCommand('rm', {
+        description: 'Remove files and directories',
+        args: [{ name: 'path', required: true, variadic: true }],
+        options: [
+            { name: 'recursive', alias: ['r', 'R'], description: 'Remove directories and their contents' },
+            { name: 'force', alias: 'f', description: 'Ignore missing files' }
+        ],
+        handler: (args, env, { fs, options }) =>
+            eachOperand('rm', args, path => {
+                if (options.force && !fs.exists(path)) return;
+                fs.remove(path, { recursive: options.recursive });
+            })
+    });
+
+    // mv - moves or renames files
+    shell.registerCommand('mv', {
+        description: 'Move or rename files',
+        args: [
+            { name: 'source', required: true, variadic: true },
+            { name: 'destination', required: true }
+        ],
+        handler: (args, env, { fs }) => {
+            const destination = args[args.length - 1];
+            return eachOperand('mv', args.slice(0, -1), source => { fs.move(source, destination); });
+        }
+    });
+
+    // cp - copies files
+    shell.registerCommand('cp', {
+        description: 'Copy files and directories',
+        args: [
+            { name: 'source', required: true, variadic: true },
+            { name: 'destination', required: true }
+        ],
+        options: [
+            { name: 'recursive', alias: ['r', 'R'], description: 'Copy directories recursively' }
+        ],
+        handler: (args, env, { fs, options }) => {
+            const destination = args[args.length - 1];
+            return eachOperand('cp', args.slice(0, -1), source => {
+                fs.copy(source, destination, { recursive: options.recursive });
+            });
+        }
+    });
+
+    // Reads the named files, or stdin when none (or `-`) are given
+    const readInputs = (name, files, { stdin, fs }) => {
+        const inputs = [];
+        const errors = [];
+        for (const file of files.length ? files : ['-']) {
+            try {
+                inputs.push({ name: file, text: file === '-' ? (stdin ?? '') : fs.readFile(file) });
+            } catch (e) {
+                errors.push(`${name}: ${e.message}`);
+            }
+        }
+        return { inputs, errors };
+    };
+
+    // Splits text into lines, ignoring the empty line after a trailing newline
+    const splitLines = (text) => {
+        if (!text) return [];
+        const lines = text.split('\n');
+        if (lines[lines.length - 1] === '') lines.pop();
+        return lines;
+    };
+
+    const textResult = (output, errors, exitCode) => ({
+        exitCode: exitCode ?? (errors.length ? 1 : 0),
+        stdout: output.join('\n'),
+        stderr: errors.join('\n')
+    });
+
+    // Parses a cut list such as 1,3-5,-2,7- into 1-based inclusive ranges
+    const parseRanges = (list) => list.split(',').map(part => {
+        const match = /^(\d*)(-?)(\d*)$/.exec(part);
+        const from = match?.[1] ? Number(match[1]) : 1;
+        const to = match?.[3] ? Number(match[3]) : (match?.[2] ? Infinity : from);
+        if (!match || (!match[1] && !match[3]) || from < 1 || to < from) {
+            throw new Error(`invalid list: ${list}`);
+        }
+        return { from, to };
+    });
+
+    // Expands a tr set: escapes (\n, \t, \\) and ranges (a-z)
+    const expandSet = (set) => {
+        const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\' };
+        const chars = [];
+        for (let i = 0; i < set.length; i++) {
+            let c = set[i];
+            if (c === '\\' && i + 1 < set.length) {
+                c = escapes[set[++i]] ?? set[i];
+            }
+            if (set[i + 1] === '-' && i + 2 < set.length) {
+                const end = set[i + 2];
+                if (end.charCodeAt(0) < c.charCodeAt(0)) {
+                    throw new Error(`range-endpoints of '${c}-${end}' are in reverse collating sequence order`);
+                }
+                for (let code = c.charCodeAt(0); code <= end.charCodeAt(0); code++) {
+                    chars.push(String.fromCharCode(code));
+                }
+                i += 2;
+            } else {
+                chars.push(c);
+            }
+        }
+        return chars;
+    };
+
+    const toBase64 = (text) => {
+        let binary = '';
+        for (const byte of new TextEncoder().encode(text)) binary += String.fromCharCode(byte);
+        return btoa(binary);
+    };
+
+    const fromBase64 = (text) => {
+        const binary = atob(text.replace(/\s+/g, ''));
+        return new TextDecoder('utf-8', { fatal: true }).decode(Uint8Array.from(binary, c => c.charCodeAt(0)));
+    };
+
+    // grep - prints lines matching a regular expression
+    shell.registerCommand('grep', {
+        description: 'Print lines matching a regular expression',
+        args: [
+            { name: 'pattern', required: true, description: 'JavaScript regular expression' },
+            { name: 'file', variadic: true }
+        ],
+        options: [
+            { name: 'ignore-case', alias: 'i', description: 'Match case-insensitively' },
+            { name: 'invert-match', alias: 'v', description: 'Print lines that do not match' },
+            { name: 'line-number', alias: 'n', description: 'Prefix lines with their line number' }
+        ],
+        handler: ([pattern, ...files], env, context) => {
+            const { options } = context;
+            let regex;
+            try {
+                regex = new RegExp(pattern, options['ignore-case'] ? 'i' : '');
+            } catch (e) {
+                return { exitCode: 2, stderr: `grep: ${e.message}` };
+            }
+
+            const { inputs, errors } = readInputs('grep', files, context);
+            const output = [];
+            for (const { name, text } of inputs) {
+                splitLines(text).forEach((line, i) => {
+                    if (regex.test(line) === options['invert-match']) return;
+                    const prefix = (files.length > 1 ? `${name}:` : '') + (options['line-number'] ? `${i + 1}:` : '');
+                    output.push(prefix + line);
+                });
+            }
+
+            // Like grep: 0 when something matched, 1 when nothing did, 2 on errors
+            return textResult(output, errors, errors.length ? 2 : (output.length ? 0 : 1));
+        }
+    });
+
+    // head / tail - print the first or last lines
+    for (const [name, description, pick] of [
+        ['head', 'Print the first lines of files or stdin', (lines, n) => lines.slice(0, n)],
+        ['tail', 'Print the last lines of files or stdin', (lines, n) => n > 0 ? lines.slice(-n) : []]
+    ]) {
+        shell.registerCommand(name, {
+            description,
+            args: [{ name: 'file', variadic: true }],
+            options: [
+                { name: 'lines', alias: 'n', type: 'number', valueName: 'N', default: 10, description: 'Number of lines (default 10)' }
+            ],
+            handler: (files, env, context) => {
+                const { inputs, errors } = readInputs(name, files, context);
+                const output = [];
+                inputs.forEach(({ name: file, text }, i) => {
+                    if (inputs.length > 1) output.push(`${i ? '\n' : ''}==> ${file} <==`);
+                    output.push(...pick(splitLines(text), Math.max(0, context.options.lines)));
+                });
+                return textResult(output, errors);
+            }
+        });
+    }
+
+    // wc - counts lines, words and bytes
+    shell.registerCommand('wc', {
+        description: 'Count lines, words and bytes',
+        args: [{ name: 'file', variadic: true }],
+        options: [
+            { name: 'lines', alias: 'l', description: 'Print the line count' },
+            { name: 'words', alias: 'w', description: 'Print the word count' },
+            { name: 'bytes', alias: 'c', description: 'Print the byte count' }
+        ],
+        handler: (files, env, context) => {
+            const { options } = context;
+            const all = !options.lines && !options.words && !options.bytes;
+            const { inputs, errors } = readInputs('wc', files, context);
+            const total = [0, 0, 0];
+
+            const rows = inputs.map(({ name, text }) => {
+                const counts = [
+                    (text.match(/\n/g) ?? []).length,
+                    text.split(/\s+/).filter(Boolean).length,
+                    new TextEncoder().encode(text).length
+                ];
+                counts.forEach((count, i) => total[i] += count);
+                return { name: files.length ? name : '', counts };
+            });
+            if (rows.length > 1) rows.push({ name: 'total', counts: total });
+
+            const selected = [all || options.lines, all || options.words, all || options.bytes];
+            const output = rows.map(({ name, counts }) => [
+                ...counts.filter((_, i) => selected[i]).map(count => String(count).padStart(7)),
+                name
+            ].join(' ').trimEnd());
+
+            return textResult(output, errors);
+        }
+    });
+
+    // sort - sorts lines
+    shell.registerCommand('sort', {
+        description: 'Sort lines of files or stdin',
+        args: [{ name: 'file', variadic: true }],
+        options: [
+            { name: 'reverse', alias: 'r', description: 'Reverse the order' },
+            { name: 'numeric-sort', alias: 'n', description: 'Compare by leading numeric value' },
+            { name: 'ignore-case', alias: 'f', description: 'Compare case-insensitively' },
+            { name: 'unique', alias: 'u', description: 'Output only the first of equal lines' }
+        ],
+        handler: (files, env, context) => {
+            const { options } = context;
+            const { inputs, errors } = readInputs('sort', files, context);
+            const key = (line) => options['ignore-case'] ? line.toLowerCase() : line;
+            const compare = (a, b) => {
+                if (options['numeric-sort']) {
+                    const difference = (parseFloat(a) || 0) - (parseFloat(b) || 0);
+                    if (difference) return difference;
+                }
+                return key(a) < key(b) ? -1 : key(a) > key(b) ? 1 : 0;
+            };
+
+            let lines = inputs.flatMap(({ text }) => splitLines(text)).sort(compare);
+            if (options.unique) lines = lines.filter((line, i) => i === 0 || compare(lines[i - 1], line) !== 0);
+            if (options.reverse) lines.reverse();
+
+            return textResult(lines, errors);
+        }
+    });
+
+    // uniq - collapses adjacent duplicate lines
+    shell.registerCommand('uniq', {
+        description: 'Collapse adjacent duplicate lines',
+        args: [{ name: 'file' }],
+        options: [
+            { name: 'count', alias: 'c', description: 'Prefix lines with their number of occurrences' },
+            { name: 'repeated', alias: 'd', description: 'Only print duplicated lines' },
+            { name: 'ignore-case', alias: 'i', description: 'Compare case-insensitively' }
+        ],
+        handler: (files, env, context) => {
+            const { options } = context;
+            const { inputs, errors } = readInputs('uniq', files, context);
+            const key = (line) => options['ignore-case'] ? line.toLowerCase() : line;
+            const groups = [];
+
+            for (const line of splitLines(inputs[0]?.text ?? '')) {
+                const last = groups[groups.length - 1];
+                if (last && key(last.line) === key(line)) {
+                    last.count++;
+                } else {
+                    groups.push({ line, count: 1 });
+                }
+            }
+
+            const output = groups
+                .filter(group => !options.repeated || group.count > 1)
+                .map(group => options.count ? `${String(group.count).padStart(7)} ${group.line}` : group.line);
+            return textResult(output, errors);
+        }
+    });
+
+    // cut - prints selected fields or characters of each line
+    shell.registerCommand('cut', {
+        description: 'Print selected fields or characters of each line',
+        args: [{ name: 'file', variadic: true }],
+        options: [
+            { name: 'fields', alias: 'f', type: 'string', valueName: 'LIST', description: 'Fields to print, e.g. 1,3-5' },
+            { name: 'characters', alias: 'c', type: 'string', valueName: 'LIST', description: 'Characters to print' },
+            { name: 'delimiter', alias: 'd', type: 'string', valueName: 'DELIM', default: '\t', description: 'Field delimiter (default tab)' }
+        ],
+        handler: (files, env, context) => {
+            const { options } = context;
+            if (!options.fields === !options.characters) {
+                return { exitCode: 2, stderr: 'cut: specify exactly one of --fields or --characters' };
+            }
+            if (options.fields && options.delimiter.length !== 1) {
+                return { exitCode: 2, stderr: 'cut: the delimiter must be a single character' };
+            }
+
+            let ranges;
+            try {
+                ranges = parseRanges(options.fields ?? options.characters);
+            } catch (e) {
+                return { exitCode: 2, stderr: `cut: ${e.message}` };
+            }
+
+            const select = (items) => items.filter((_, i) => ranges.some(range => i + 1 >= range.from && i + 1 <= range.to));
+            const { inputs, errors } = readInputs('cut', files, context);
+            const output = inputs.flatMap(({ text }) => splitLines(text)).map(line => {
+                if (options.characters) return select([...line]).join('');
+                // Lines without the delimiter are printed unchanged, as in POSIX cut
+                if (!line.includes(options.delimiter)) return line;
+                return select(line.split(options.delimiter)).join(options.delimiter);
+            });
+
+            return textResult(output, errors);
+        }
+    });
+
+    // tr - translates, deletes or squeezes characters from stdin
+    shell.registerCommand('tr', {
+        description: 'Translate, delete or squeeze characters from stdin',
+        args: [
+            { name: 'set1', required: true, description: 'Characters to match; supports ranges (a-z) and \\n, \\t' },
+            { name: 'set2', description: 'Replacement characters' }
+        ],
+        options: [
+            { name: 'delete', alias: 'd', description: 'Delete characters in set1' },
+            { name: 'squeeze-repeats', alias: 's', description: 'Squeeze repeated characters of the last set into one' }
+        ],
+        handler: ([set1, set2], env, { stdin, options }) => {
+            if (set2 === undefined && !options.delete && !options['squeeze-repeats']) {
+                return { exitCode: 2, stderr: 'tr: missing operand after set1' };
+            }
+
+            let from;
+            let to;
+            try {
+                from = expandSet(set1);
+                to = set2 === undefined ? [] : expandSet(set2);
+            } catch (e) {
+                return { exitCode: 1, stderr: `tr: ${e.message}` };
+            }
+
+            let output = '';
+            for (const c of stdin ?? '') {
+                const index = from.indexOf(c);
+                if (index < 0) {
+                    output += c;
+                } else if (!options.delete) {
+                    // Like tr, a shorter set2 is padded with its last character
+                    output += to.length ? to[Math.min(index, to.length - 1)] : c;
+                }
+            }
+
+            if (options['squeeze-repeats']) {
+                const squeeze = new Set(to.length ? to : from);
+                output = [...output].filter((c, i, chars) => !(i > 0 && c === chars[i - 1] && squeeze.has(c))).join('');
+            }
+
+            return { exitCode: 0, stdout: output };
+        }
+    });
+
+    // base64 - encodes or decodes UTF-8 text
+    shell.registerCommand('base64', {
+        description: 'Base64 encode or decode files or stdin',
+        args: [{ name: 'file' }],
+        options: [
+            { name: 'decode', alias: 'd', description: 'Decode instead of encode' },
+            { name: 'wrap', alias: 'w', type: 'number', valueName: 'COLS', default: 76, description: 'Wrap encoded lines after COLS characters (0 disables)' }
+        ],
+        handler: (files, env, context) => {
+            const { options } = context;
+            const { inputs, errors } = readInputs('base64', files, context);
+            if (errors.length) return textResult([], errors);
+
+            const text = inputs[0].text;
+            if (options.decode) {
+                try {
+                    return { exitCode: 0, stdout: fromBase64(text) };
+                } catch {
+                    return { exitCode: 1, stderr: 'base64: invalid input' };
+                }
+            }
+
+            const encoded = toBase64(text);
+            const wrap = options.wrap > 0 ? new RegExp(`.{1,${options.wrap}}`, 'g') : null;
+            return { exitCode: 0, stdout: wrap ? (encoded.match(wrap) ?? []).join('\n') : encoded };
+        }
+    });
+
+    // sha256sum - prints SHA-256 digests using WebCrypto
+    shell.registerCommand('sha256sum', {
+        description: 'Print SHA-256 checksums of files or stdin',
+        args: [{ name: 'file', variadic: true }],
+        handler: async (files, env, context) => {
+            if (!globalThis.crypto?.subtle) {
+                return { exitCode: 1, stderr: 'sha256sum: WebCrypto is not available (requires a secure context)' };
+            }
+
+            const { inputs, errors } = readInputs('sha256sum', files, context);
+            const output = [];
+            for (const { name, text } of inputs) {
+                const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+                const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+                output.push(`${hex}  ${name}`);
+            }
+            return textResult(output, errors);
+        }
+    });
+
+    // json - applies a jq-style filter to JSON input
+    shell.registerCommand('json', {
+        description: 'Filter JSON from files or stdin with a jq-style expression',
+        usage: 'json [options] [filter] [file...]',
+        args: [
+            { name: 'filter', description: "Paths (.a.b, .[0], .[], .[1:3], .\"key\", ?), pipes (|), and keys, length, type" },
+            { name: 'file', variadic: true }
+        ],
+        options: [
+            { name: 'raw-output', alias: 'r', description: 'Print strings without quotes' },
+            { name: 'compact-output', alias: 'c', description: 'Print each result on one line' }
+        ],
+        handler: ([filter = '.', ...files], env, context) => {
+            const { options } = context;
+            const { inputs, errors } = readInputs('json', files, context);
+            const output = [];
+
+            for (const { name, text } of inputs) {
+                let results;
+                try {
+                    const value = JSON.parse(text);
+                    results = shell.json.evaluate(filter, value);
+                } catch (e) {
+                    errors.push(`json: ${files.length ? `${name}: ` : ''}${e.message}`);
+                    continue;
+                }
+
+                for (const result of results) {
+                    output.push(options['raw-output'] && typeof result === 'string'
+                        ? result
+                        : JSON.stringify(result, null, options['compact-output'] ? 0 : 2) ?? 'null');
+                }
+            }
+
+            return textResult(output, errors);
+        }
+    });
+
+    // Resolves a job operand (`3` or `%3`), defaulting to the most recent background job
+    const findJob = (name, operand) => {
+        const jobs = Array.from(shell.processes.values()).filter(proc => proc.background);
+        if (operand === undefined) {
+            const job = jobs[jobs.length - 1];
+            if (!job) throw new Error(`${name}: no current job`);
+            return job;
+        }
+
+        const id = Number(String(operand).replace(/^%/, ''));
+        const job = shell.processes.get(id);
+        if (!Number.isInteger(id) || !job) throw new Error(`${name}: ${operand}: no such job`);
+        return job;
+    };
+
+    const formatJob = (proc) => {
+        const state = proc.state === 'exited' ? `Done (${proc.exitCode})` : proc.state[0].toUpperCase() + proc.state.slice(1);
+        return `[${proc.id}]  ${state.padEnd(12)}${proc.command}`;
+    };
+
+    // jobs - lists background jobs; finished jobs are reported once and then removed
+    shell.registerCommand('jobs', {
+        description: 'List background jobs',
+        args: [],
+        handler: () => {
+            const jobs = Array.from(shell.processes.values()).filter(proc => proc.background);
+            for (const job of jobs) {
+                if (job.state !== 'running') shell.processes.delete(job.id);
+            }
+            return { exitCode: 0, stdout: jobs.map(formatJob).join('\n') };
+        }
+    });
+
+    // ps - lists all processes, including interactive ones started from .NET
+    shell.registerCommand('ps', {
+        description: 'List processes',
+        args: [],
+        handler: () => ({
+            exitCode: 0,
+            records: Array.from(shell.processes.values()).map(proc => ({
+                id: proc.id,
+                started: new Date(proc.startTime).toTimeString().slice(0, 8),
+                state: proc.state,
+                command: proc.command
+            })),
+            schema: {
+                columns: [
+                    { name: 'id', title: 'ID', type: 'number' },
+                    { name: 'started', title: 'STARTED' },
+                    { name: 'state', title: 'STATE' },
+                    { name: 'command', title: 'COMMAND' }
+                ]
+            }
+        })
+    });
+
+    // fg - brings a background job to the foreground and waits for it
+    shell.registerCommand('fg', {
+        description: 'Bring a background job to the foreground',
+        args: [{ name: 'job', description: 'Job ID (defaults to the most recent job)' }],
+        handler: async ([operand], env, context) => {
+            let job;
+            try {
+                job = findJob('fg', operand);
+            } catch (e) {
+                return { exitCode: 1, stderr: e.message };
+            }
+
+            context.write(job.command);
+            return { exitCode: await shell._foregroundJob(job, context) };
+        }
+    });
+
+    // Signal names and numbers kill accepts; TERM terminates like KILL, since processes here cannot trap it
+    const killSignals = { INT: 'INT', 2: 'INT', KILL: 'KILL', 9: 'KILL', TERM: 'KILL', 15: 'KILL' };
+
+    // kill - signals a process through the same paths the .NET process API uses
+    shell.registerCommand('kill', {
+        description: 'Interrupt or kill a process',
+        usage: 'kill [-s SIGNAL | -SIGNAL] id...',
+        args: [{ name: 'id', required: true, variadic: true, description: 'Process or job ID (3 or %3)' }],
+        options: [
+            { name: 'signal', alias: 's', type: 'string', valueName: 'SIGNAL', default: 'KILL', description: 'INT (2) to interrupt, KILL (9) or TERM (15) to terminate' }
+        ],
+        // `-9` and `-INT` are signals, not options or negative IDs, so the arguments are parsed here
+        rawArgs: true,
+        handler: (args) => {
+            let name = 'KILL';
+            let i = 0;
+
+            for (; i < args.length && args[i].startsWith('-') && args[i] !== '-'; i++) {
+                const arg = args[i];
+                if (arg === '--') {
+                    i++;
+                    break;
+                }
+                if (arg === '--help') return { exitCode: 0, stdout: shell.getHelp('kill') };
+
+                if (arg === '-s' || arg === '--signal') {
+                    if (i + 1 >= args.length) return { exitCode: 2, stderr: `kill: option ${arg} requires a value` };
+                    name = args[++i];
+                } else if (arg.startsWith('--signal=')) {
+                    name = arg.substring('--signal='.length);
+                } else {
+                    name = arg.substring(1);
+                }
+            }
+
+            const signal = killSignals[name.toUpperCase().replace(/^SIG/, '')];
+            if (!signal) {
+                return { exitCode: 2, stderr: `kill: ${name}: invalid signal specification` };
+            }
+
+            const operands = args.slice(i);
+            if (operands.length === 0) {
+                return { exitCode: 2, stderr: `kill: missing required argument <id>\n${shell._formatUsage('kill', shell.descriptors.get('kill'))}` };
+            }
+
+            return eachOperand('kill', operands, operand => {
+                const id = Number(operand.replace(/^%/, ''));
+                if (!Number.isInteger(id) || !shell.processes.has(id)) {
+                    throw new Error(`${operand}: no such process`);
+                }
+
+                if (signal === 'INT') {
+                    shell.interrupt(id);
+                } else {
+                    shell.kill(id);
+                }
+            });
+        }
+    });
+
+    // Built-ins cannot be replaced by commands registered later
+    shell.policy.protect(shell.getCommands());
 })();
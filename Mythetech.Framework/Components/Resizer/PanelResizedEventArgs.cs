@@ -0,0 +1,8 @@
+namespace Mythetech.Framework.Components.Resizer;
+
+/// <summary>
+/// The size of a panel after a resize by drag, keyboard or double-click ended.
+/// </summary>
+/// <param name="Size">The size in pixels; the collapsed size while collapsed.</param>
+/// <param name="Collapsed">Whether the panel snapped to collapsed.</param>
+public sealed record PanelResizedEventArgs(double Size, bool Collapsed);
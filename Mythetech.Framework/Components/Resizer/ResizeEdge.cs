@@ -0,0 +1,20 @@
+namespace Mythetech.Framework.Components.Resizer;
+
+/// <summary>
+/// The edge of a panel that a <see cref="MtResizeHandle"/> sits on.
+/// Dragging the handle away from the panel grows it.
+/// </summary>
+public enum ResizeEdge
+{
+    /// <summary>The right edge, e.g. of a left drawer. Resizes the width.</summary>
+    Right,
+
+    /// <summary>The left edge, e.g. of a right drawer. Resizes the width.</summary>
+    Left,
+
+    /// <summary>The bottom edge, e.g. of a top pane. Resizes the height.</summary>
+    Bottom,
+
+    /// <summary>The top edge, e.g. of a bottom panel. Resizes the height.</summary>
+    Top
+}
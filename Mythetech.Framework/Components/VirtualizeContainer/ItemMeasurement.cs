@@ -0,0 +1,9 @@
+namespace Mythetech.Framework.Components.VirtualizeContainer;
+
+/// <summary>
+/// The rendered size of a virtualized item, reported from JavaScript.
+/// </summary>
+/// <param name="Index">The item index.</param>
+/// <param name="Width">The rendered width in pixels.</param>
+/// <param name="Height">The rendered height in pixels.</param>
+public sealed record ItemMeasurement(int Index, double Width, double Height);
@@ -0,0 +1,193 @@
+using System.Numerics;
+
+namespace Mythetech.Framework.Components.VirtualizeContainer;
+
+/// <summary>
+/// Tracks measured item sizes along one axis for virtualization.
+/// Items that have not been measured yet are assumed to have the estimated size.
+/// </summary>
+/// <remarks>
+/// Measured sizes and counts are kept in Fenwick trees indexed by item, so offsets and
+/// offset lookups take O(log n) however many items have been measured.
+/// </remarks>
+internal sealed class ItemSizeCache
+{
+    private const int MinCapacity = 16;
+
+    private readonly Dictionary<int, double> _measured = new();
+
+    // 1-based Fenwick trees over items [0, capacity): node j sums the (j & -j) items ending at item j - 1
+    private double[] _sizeTree = [0];
+    private int[] _countTree = [0];
+
+    public ItemSizeCache(double estimatedSize)
+    {
+        EstimatedSize = estimatedSize;
+    }
+
+    /// <summary>
+    /// The size assumed for items that have not been measured.
+    /// </summary>
+    public double EstimatedSize { get; set; }
+
+    /// <summary>
+    /// The number of measured items.
+    /// </summary>
+    public int MeasuredCount => _measured.Count;
+
+    private int Capacity => _sizeTree.Length - 1;
+
+    /// <summary>
+    /// Gets the measured size of an item, or the estimate if it has not been measured.
+    /// </summary>
+    public double GetSize(int index) => _measured.TryGetValue(index, out var size) ? size : EstimatedSize;
+
+    /// <summary>
+    /// Records the measured size of an item. Sizes of zero or less (hidden items) are ignored.
+    /// </summary>
+    /// <returns>True if the size differs from what was known before.</returns>
+    public bool SetSize(int index, double size)
+    {
+        if (index < 0 || size <= 0 || Math.Abs(GetSize(index) - size) < 0.5)
+            return false;
+
+        if (index >= Capacity)
+            Rebuild(index + 1);
+
+        if (_measured.TryGetValue(index, out var previous))
+            Update(index, size - previous, 0);
+        else
+            Update(index, size, 1);
+
+        _measured[index] = size;
+        return true;
+    }
+
+    /// <summary>
+    /// Gets the offset of an item's leading edge: the combined size of all items before it.
+    /// </summary>
+    public double GetOffset(int index)
+    {
+        var (size, count) = Prefix(Math.Clamp(index, 0, Capacity));
+        return index * EstimatedSize + size - count * EstimatedSize;
+    }
+
+    /// <summary>
+    /// Gets the index of the item covering an offset, clamped to the items that exist.
+    /// </summary>
+    public int GetIndexAtOffset(double offset, int count)
+    {
+        if (count <= 0)
+            return 0;
+
+        // Walk down the tree to the last item within the tracked range that starts at or before the offset
+        var index = 0;
+        var size = 0.0;
+        var measured = 0;
+
+        for (var step = Capacity; step > 0; step >>= 1)
+        {
+            var next = index + step;
+            if (next > Capacity)
+                continue;
+
+            var nextSize = size + _sizeTree[next];
+            var nextMeasured = measured + _countTree[next];
+            if (next * EstimatedSize + nextSize - nextMeasured * EstimatedSize <= offset)
+            {
+                index = next;
+                size = nextSize;
+                measured = nextMeasured;
+            }
+        }
+
+        // Past the tracked range every item has the estimated size
+        if (index == Capacity)
+        {
+            if (EstimatedSize <= 0)
+                return count - 1;
+
+            var remaining = offset - (index * EstimatedSize + size - measured * EstimatedSize);
+            return (int)Math.Clamp(index + Math.Floor(remaining / EstimatedSize), 0, count - 1);
+        }
+
+        return Math.Min(index, count - 1);
+    }
+
+    /// <summary>
+    /// Moves all measurements by a number of indices, e.g. when items are inserted before them.
+    /// </summary>
+    public void Shift(int count)
+    {
+        if (count == 0 || _measured.Count == 0)
+            return;
+
+        var shifted = _measured.ToList();
+        _measured.Clear();
+
+        foreach (var (index, size) in shifted)
+        {
+            if (index + count >= 0)
+                _measured[index + count] = size;
+        }
+
+        Rebuild(_measured.Count > 0 ? _measured.Keys.Max() + 1 : 0);
+    }
+
+    /// <summary>
+    /// Forgets all measurements.
+    /// </summary>
+    public void Clear()
+    {
+        _measured.Clear();
+        _sizeTree = [0];
+        _countTree = [0];
+    }
+
+    private void Update(int index, double size, int count)
+    {
+        for (var node = index + 1; node <= Capacity; node += node & -node)
+        {
+            _sizeTree[node] += size;
+            _countTree[node] += count;
+        }
+    }
+
+    private (double Size, int Count) Prefix(int end)
+    {
+        var size = 0.0;
+        var count = 0;
+
+        for (var node = end; node > 0; node -= node & -node)
+        {
+            size += _sizeTree[node];
+            count += _countTree[node];
+        }
+
+        return (size, count);
+    }
+
+    // Recreates the trees with room for at least the given number of items, in linear time
+    private void Rebuild(int required)
+    {
+        var capacity = required <= 0 ? 0 : (int)BitOperations.RoundUpToPowerOf2((uint)Math.Max(required, MinCapacity));
+        _sizeTree = new double[capacity + 1];
+        _countTree = new int[capacity + 1];
+
+        foreach (var (index, size) in _measured)
+        {
+            _sizeTree[index + 1] += size;
+            _countTree[index + 1]++;
+        }
+
+        for (var node = 1; node <= capacity; node++)
+        {
+            var parent = node + (node & -node);
+            if (parent <= capacity)
+            {
+                _sizeTree[parent] += _sizeTree[node];
+                _countTree[parent] += _countTree[node];
+            }
+        }
+    }
+}
@@ -0,0 +1,19 @@
+namespace Mythetech.Framework.Components.VirtualizeContainer;
+
+/// <summary>
+/// Raised when the user scrolls near an edge of a virtualized list and more items can be loaded.
+/// </summary>
+public sealed class LoadMoreEventArgs
+{
+    /// <summary>
+    /// The edge the user is scrolling towards. Items for <see cref="VirtualizeEdge.Start"/>
+    /// are prepended and items for <see cref="VirtualizeEdge.End"/> are appended.
+    /// </summary>
+    public required VirtualizeEdge Edge { get; init; }
+
+    /// <summary>
+    /// Set to false when the edge has no more items, so it stops requesting them.
+    /// Defaults to true.
+    /// </summary>
+    public bool HasMore { get; set; } = true;
+}
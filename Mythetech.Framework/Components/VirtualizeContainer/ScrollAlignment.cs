@@ -0,0 +1,16 @@
+namespace Mythetech.Framework.Components.VirtualizeContainer;
+
+/// <summary>
+/// Where an item ends up in the viewport when a virtualized list scrolls to it.
+/// </summary>
+public enum ScrollAlignment
+{
+    /// <summary>Align the item with the start of the viewport.</summary>
+    Start,
+
+    /// <summary>Center the item in the viewport.</summary>
+    Center,
+
+    /// <summary>Align the item with the end of the viewport.</summary>
+    End
+}
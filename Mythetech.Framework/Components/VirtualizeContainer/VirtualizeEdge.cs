@@ -0,0 +1,13 @@
+namespace Mythetech.Framework.Components.VirtualizeContainer;
+
+/// <summary>
+/// An edge of a virtualized list's content.
+/// </summary>
+public enum VirtualizeEdge
+{
+    /// <summary>The first items, at the top (or left) of the content.</summary>
+    Start,
+
+    /// <summary>The last items, at the bottom (or right) of the content.</summary>
+    End
+}
@@ -0,0 +1,45 @@
+using System.Text.Json.Serialization;
+
+namespace Mythetech.Framework.Infrastructure.Clipboard;
+
+/// <summary>
+/// Content for the clipboard, in one or more representations of the same data.
+/// When several are set they are written together, so pasting picks the richest format the target understands.
+/// </summary>
+public record ClipboardContent
+{
+    /// <summary>
+    /// Plain text (text/plain).
+    /// </summary>
+    public string? Text { get; init; }
+
+    /// <summary>
+    /// HTML markup (text/html).
+    /// </summary>
+    public string? Html { get; init; }
+
+    /// <summary>
+    /// An image as a data URL. Copied as image/png; other image types are re-encoded.
+    /// When read from the clipboard, the image in its original type.
+    /// </summary>
+    public string? ImageDataUrl { get; init; }
+
+    /// <summary>
+    /// CSS selector of a canvas element to copy as image/png. Only used when copying.
+    /// </summary>
+    [JsonPropertyName("canvas")]
+    public string? CanvasSelector { get; init; }
+
+    /// <summary>
+    /// Whether any representation is set.
+    /// </summary>
+    [JsonIgnore]
+    public bool HasContent =>
+        !string.IsNullOrEmpty(Text) || !string.IsNullOrEmpty(Html) ||
+        !string.IsNullOrEmpty(ImageDataUrl) || !string.IsNullOrEmpty(CanvasSelector);
+
+    /// <summary>
+    /// Creates plain text content.
+    /// </summary>
+    public static ClipboardContent FromText(string text) => new() { Text = text };
+}
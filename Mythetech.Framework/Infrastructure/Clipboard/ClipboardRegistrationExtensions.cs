@@ -0,0 +1,19 @@
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.DependencyInjection.Extensions;
+
+namespace Mythetech.Framework.Infrastructure.Clipboard;
+
+/// <summary>
+/// Extension methods for registering clipboard services.
+/// </summary>
+public static class ClipboardRegistrationExtensions
+{
+    /// <summary>
+    /// Adds the browser clipboard service for copying rich content and reading the clipboard.
+    /// </summary>
+    public static IServiceCollection AddClipboard(this IServiceCollection services)
+    {
+        services.TryAddScoped<IClipboardService, JsClipboardService>();
+        return services;
+    }
+}
@@ -0,0 +1,84 @@
+namespace Mythetech.Framework.Infrastructure.Clipboard;
+
+/// <summary>
+/// The result of a clipboard operation.
+/// </summary>
+public class ClipboardResult
+{
+    /// <summary>
+    /// Whether the operation completed successfully
+    /// </summary>
+    public bool Success { get; init; }
+
+    /// <summary>
+    /// Error message if the operation failed, suitable for showing to the user
+    /// </summary>
+    public string? ErrorMessage { get; init; }
+
+    /// <summary>
+    /// Category of error if the operation failed
+    /// </summary>
+    public ClipboardErrorKind? ErrorKind { get; init; }
+
+    /// <summary>
+    /// Creates a successful result
+    /// </summary>
+    public static ClipboardResult Ok() => new() { Success = true };
+
+    /// <summary>
+    /// Creates a failed result with an error message and kind
+    /// </summary>
+    public static ClipboardResult Fail(string message, ClipboardErrorKind kind) =>
+        new() { Success = false, ErrorMessage = message, ErrorKind = kind };
+}
+
+/// <summary>
+/// The result of reading the clipboard.
+/// </summary>
+public class ClipboardReadResult : ClipboardResult
+{
+    /// <summary>
+    /// The formats read from the clipboard if the operation was successful
+    /// </summary>
+    public ClipboardContent? Content { get; init; }
+
+    /// <summary>
+    /// The MIME types available on the clipboard, including ones not read into <see cref="Content"/>
+    /// </summary>
+    public IReadOnlyList<string> Types { get; init; } = [];
+
+    /// <summary>
+    /// Creates a successful result with the content read
+    /// </summary>
+    public static ClipboardReadResult Ok(ClipboardContent content, IReadOnlyList<string> types) =>
+        new() { Success = true, Content = content, Types = types };
+
+    /// <summary>
+    /// Creates a failed result with an error message and kind
+    /// </summary>
+    public static new ClipboardReadResult Fail(string message, ClipboardErrorKind kind) =>
+        new() { Success = false, ErrorMessage = message, ErrorKind = kind };
+}
+
+/// <summary>
+/// Categories of errors that can occur during clipboard operations
+/// </summary>
+public enum ClipboardErrorKind
+{
+    /// <summary>
+    /// The browser denied access, e.g. the user refused the permission, the page was not focused,
+    /// or a copy was not made in response to a user action
+    /// </summary>
+    PermissionDenied,
+
+    /// <summary>
+    /// The browser cannot perform the operation, e.g. reading on an insecure (http) origin
+    /// or copying images without the async Clipboard API
+    /// </summary>
+    NotSupported,
+
+    /// <summary>
+    /// The operation failed for another reason
+    /// </summary>
+    Failed
+}
@@ -0,0 +1,22 @@
+namespace Mythetech.Framework.Infrastructure.Clipboard;
+
+/// <summary>
+/// Copies rich content to and reads it from the browser clipboard.
+/// For plain text on any host, see <see cref="ICopyToClipboard"/>.
+/// </summary>
+public interface IClipboardService
+{
+    /// <summary>
+    /// Writes content to the clipboard. Browsers generally require this to happen shortly after a
+    /// user action such as a click; <c>MtCopyButton</c> copies within the click itself.
+    /// </summary>
+    /// <param name="content">The content to copy.</param>
+    Task<ClipboardResult> CopyAsync(ClipboardContent content);
+
+    /// <summary>
+    /// Reads plain text, HTML and an image from the clipboard. Requires a secure context and,
+    /// in most browsers, the user's permission; a refusal is reported as
+    /// <see cref="ClipboardErrorKind.PermissionDenied"/>.
+    /// </summary>
+    Task<ClipboardReadResult> ReadAsync();
+}
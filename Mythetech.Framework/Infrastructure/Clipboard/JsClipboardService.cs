@@ -0,0 +1,93 @@
+using Microsoft.Extensions.Logging;
+using Microsoft.JSInterop;
+
+namespace Mythetech.Framework.Infrastructure.Clipboard;
+
+/// <inheritdoc cref="IClipboardService" />
+public class JsClipboardService : IClipboardService, IAsyncDisposable
+{
+    private const string JsModulePath = "./_content/Mythetech.Framework/mythetech.js";
+
+    private readonly IJSRuntime _js;
+    private readonly ILogger<JsClipboardService>? _logger;
+    private IJSObjectReference? _module;
+
+    /// <summary>
+    /// Creates a new instance of <see cref="JsClipboardService"/>.
+    /// </summary>
+    public JsClipboardService(IJSRuntime js, ILogger<JsClipboardService>? logger = null)
+    {
+        _js = js;
+        _logger = logger;
+    }
+
+    /// <inheritdoc />
+    public async Task<ClipboardResult> CopyAsync(ClipboardContent content)
+    {
+        ArgumentNullException.ThrowIfNull(content);
+
+        var module = await GetModuleAsync();
+        var result = await module.InvokeAsync<JsClipboardResult>("copyToClipboard", content);
+
+        if (result.Success)
+            return ClipboardResult.Ok();
+
+        _logger?.LogWarning("Clipboard copy failed ({ErrorKind}): {ErrorMessage}", result.ErrorKind, result.ErrorMessage);
+        return ClipboardResult.Fail(result.ErrorMessage ?? "Copy failed", ParseErrorKind(result.ErrorKind));
+    }
+
+    /// <inheritdoc />
+    public async Task<ClipboardReadResult> ReadAsync()
+    {
+        var module = await GetModuleAsync();
+        var result = await module.InvokeAsync<JsClipboardResult>("readClipboard");
+
+        if (result.Success)
+        {
+            var content = new ClipboardContent
+            {
+                Text = result.Text,
+                Html = result.Html,
+                ImageDataUrl = result.ImageDataUrl
+            };
+            return ClipboardReadResult.Ok(content, result.Types ?? []);
+        }
+
+        _logger?.LogWarning("Clipboard read failed ({ErrorKind}): {ErrorMessage}", result.ErrorKind, result.ErrorMessage);
+        return ClipboardReadResult.Fail(result.ErrorMessage ?? "Paste failed", ParseErrorKind(result.ErrorKind));
+    }
+
+    private async Task<IJSObjectReference> GetModuleAsync() =>
+        _module ??= await _js.InvokeAsync<IJSObjectReference>("import", JsModulePath);
+
+    private static ClipboardErrorKind ParseErrorKind(string? kind) =>
+        Enum.TryParse<ClipboardErrorKind>(kind, out var parsed) ? parsed : ClipboardErrorKind.Failed;
+
+    /// <inheritdoc />
+    public async ValueTask DisposeAsync()
+    {
+        if (_module != null)
+        {
+            try
+            {
+                await _module.DisposeAsync();
+            }
+            catch (JSDisconnectedException)
+            {
+            }
+        }
+
+        GC.SuppressFinalize(this);
+    }
+
+    internal sealed record JsClipboardResult
+    {
+        public bool Success { get; init; }
+        public string? Text { get; init; }
+        public string? Html { get; init; }
+        public string? ImageDataUrl { get; init; }
+        public string[]? Types { get; init; }
+        public string? ErrorKind { get; init; }
+        public string? ErrorMessage { get; init; }
+    }
+}
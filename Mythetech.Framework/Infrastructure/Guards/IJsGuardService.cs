@@ -4,7 +4,8 @@ namespace Mythetech.Framework.Infrastructure.Guards;
 
 /// <summary>
 /// Provides a mechanism to gate rendering until a named JavaScript dependency is available.
-/// Guards are registered client-side via <c>registerJsGuard(name, checkFn)</c> in js-guard.js.
+/// Guards are registered client-side via <c>registerJsGuard(name, checkFn, options)</c> in js-guard.js,
+/// and can be settled explicitly with <c>markJsGuardReady(name)</c> or <c>failJsGuard(name, reason)</c>.
 /// </summary>
 public interface IJsGuardService
 {
@@ -24,6 +25,23 @@ public interface IJsGuardService
     /// <param name="timeout">Overall timeout for both registration and readiness. Defaults to 15 seconds.</param>
     Task<bool> WaitForReadyAsync(IJSRuntime js, string name, TimeSpan? timeout = null);
 
+    /// <summary>
+    /// Loads the dependency's scripts and stylesheets through <c>loadJsDependency</c>, registering
+    /// a guard under <paramref name="name"/>, and returns true once the assets have loaded and its
+    /// ready check passes. Concurrent and repeated calls for the same name share one load.
+    /// </summary>
+    /// <remarks>
+    /// Has a default implementation, shared with <see cref="JsGuardService"/>, that starts the load and defers to
+    /// <see cref="WaitForReadyAsync"/>, so implementations written before this member was
+    /// added keep compiling.
+    /// </remarks>
+    /// <param name="js">The JS runtime to load through.</param>
+    /// <param name="name">Guard name to register for the dependency.</param>
+    /// <param name="dependency">The assets to load.</param>
+    /// <param name="timeout">Used as the guard timeout when the dependency does not set one.</param>
+    Task<bool> LoadDependencyAsync(IJSRuntime js, string name, JsDependency dependency, TimeSpan? timeout = null) =>
+        JsGuardService.LoadDependencyAsync(this, js, name, dependency, timeout);
+
     /// <summary>
     /// Clears any cached state for the named guard on both the C# and JavaScript side,
     /// so a subsequent WaitForReadyAsync call starts fresh. Used by the retry path.
@@ -31,4 +49,29 @@ public interface IJsGuardService
     /// <param name="js">The JS runtime to invoke the clear through.</param>
     /// <param name="name">Guard name to reset.</param>
     Task ResetAsync(IJSRuntime js, string name);
+
+    /// <summary>
+    /// Reports the named guard's state, elapsed time and failure reason from the JavaScript side.
+    /// Returns null if the status could not be read.
+    /// </summary>
+    /// <remarks>
+    /// Has a default implementation, shared with <see cref="JsGuardService"/>, so implementations
+    /// written before this member was added keep compiling.
+    /// </remarks>
+    /// <param name="js">The JS runtime to query through.</param>
+    /// <param name="name">Guard name to report on.</param>
+    Task<JsGuardStatus?> GetStatusAsync(IJSRuntime js, string name) =>
+        JsGuardService.GetStatusAsync(js, name, logger: null);
+
+    /// <summary>
+    /// Reports every guard known to the JavaScript side, including names that are being
+    /// waited on but were never registered.
+    /// </summary>
+    /// <remarks>
+    /// Has a default implementation, shared with <see cref="JsGuardService"/>, so implementations
+    /// written before this member was added keep compiling.
+    /// </remarks>
+    /// <param name="js">The JS runtime to query through.</param>
+    Task<IReadOnlyList<JsGuardStatus>> GetStatusesAsync(IJSRuntime js) =>
+        JsGuardService.GetStatusesAsync(js, logger: null);
 }
@@ -0,0 +1,72 @@
+namespace Mythetech.Framework.Infrastructure.Guards;
+
+/// <summary>
+/// Scripts and stylesheets to load on demand with <c>loadJsDependency</c>, instead of
+/// adding them to index.html up front.
+/// </summary>
+public sealed record JsDependency
+{
+    /// <summary>
+    /// Script URLs, loaded in order
+    /// </summary>
+    public IReadOnlyList<string> Scripts { get; init; } = [];
+
+    /// <summary>
+    /// Stylesheet URLs, loaded in parallel with the scripts
+    /// </summary>
+    public IReadOnlyList<string> Styles { get; init; } = [];
+
+    /// <summary>
+    /// Subresource integrity hashes keyed by asset URL
+    /// </summary>
+    public IReadOnlyDictionary<string, string>? Integrity { get; init; }
+
+    /// <summary>
+    /// The crossorigin attribute for the assets. Defaults to anonymous for assets with an integrity hash.
+    /// </summary>
+    public string? CrossOrigin { get; init; }
+
+    /// <summary>
+    /// Whether the scripts are classic scripts or ES modules
+    /// </summary>
+    public JsDependencyType Type { get; init; } = JsDependencyType.Classic;
+
+    /// <summary>
+    /// Optional global path that must be defined once the assets load, such as <c>monaco.editor</c>
+    /// </summary>
+    public string? ReadyCheck { get; init; }
+
+    /// <summary>
+    /// Guards that must be ready before these assets load
+    /// </summary>
+    public IReadOnlyList<string> DependsOn { get; init; } = [];
+
+    /// <summary>
+    /// How long the guard waits for loading and the ready check. Defaults to the guard's own timeout.
+    /// </summary>
+    public TimeSpan? Timeout { get; init; }
+
+    /// <summary>
+    /// Creates a dependency on a single script.
+    /// </summary>
+    /// <param name="url">The script URL.</param>
+    /// <param name="readyCheck">Optional global path that must be defined once the script loads.</param>
+    public static JsDependency Script(string url, string? readyCheck = null) =>
+        new() { Scripts = [url], ReadyCheck = readyCheck };
+}
+
+/// <summary>
+/// How dependency scripts are loaded.
+/// </summary>
+public enum JsDependencyType
+{
+    /// <summary>
+    /// Classic scripts that run in the global scope
+    /// </summary>
+    Classic,
+
+    /// <summary>
+    /// ES module scripts
+    /// </summary>
+    Module
+}
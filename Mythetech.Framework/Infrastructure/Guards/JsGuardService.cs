@@ -39,16 +39,111 @@ public class JsGuardService : IJsGuardService
         }
         else
         {
-            _logger.LogWarning("JS guard '{GuardName}' timed out — dependency may not be available", name);
+            var status = await GetStatusAsync(js, name);
+            _logger.LogWarning(
+                "JS guard '{GuardName}' did not become ready ({GuardState}) — {Reason}",
+                name,
+                status?.State.ToString() ?? "TimedOut",
+                status?.Describe() ?? "dependency may not be available");
         }
 
         return ready;
     }
 
+    /// <inheritdoc />
+    public Task<bool> LoadDependencyAsync(IJSRuntime js, string name, JsDependency dependency, TimeSpan? timeout = null) =>
+        LoadDependencyAsync(this, js, name, dependency, timeout);
+
     /// <inheritdoc />
     public async Task ResetAsync(IJSRuntime js, string name)
     {
         _readyState.TryRemove(name, out _);
         await js.InvokeVoidAsync("clearJsGuard", name);
     }
+
+    /// <inheritdoc />
+    public Task<JsGuardStatus?> GetStatusAsync(IJSRuntime js, string name) =>
+        GetStatusAsync(js, name, _logger);
+
+    /// <inheritdoc />
+    public Task<IReadOnlyList<JsGuardStatus>> GetStatusesAsync(IJSRuntime js) =>
+        GetStatusesAsync(js, _logger);
+
+    // The implementations below are shared with the default members of IJsGuardService.
+
+    internal static async Task<bool> LoadDependencyAsync(
+        IJsGuardService guards, IJSRuntime js, string name, JsDependency dependency, TimeSpan? timeout)
+    {
+        ArgumentNullException.ThrowIfNull(dependency);
+
+        if (guards.IsReady(name))
+            return true;
+
+        var guardTimeout = dependency.Timeout ?? timeout;
+        await js.InvokeAsync<bool>("loadJsDependency", new
+        {
+            name,
+            scripts = dependency.Scripts,
+            styles = dependency.Styles,
+            integrity = dependency.Integrity,
+            crossOrigin = dependency.CrossOrigin,
+            type = dependency.Type == JsDependencyType.Module ? "module" : "classic",
+            check = dependency.ReadyCheck,
+            dependsOn = dependency.DependsOn,
+            timeout = guardTimeout.HasValue ? (int?)guardTimeout.Value.TotalMilliseconds : null
+        });
+
+        // The load has settled by now; waiting caches success and logs the reason on failure.
+        return await guards.WaitForReadyAsync(js, name, timeout);
+    }
+
+    internal static async Task<JsGuardStatus?> GetStatusAsync(IJSRuntime js, string name, ILogger? logger)
+    {
+        try
+        {
+            var result = await js.InvokeAsync<JsGuardStatusResult?>("getJsGuardStatus", name);
+            return result?.ToStatus();
+        }
+        catch (JSException ex)
+        {
+            logger?.LogDebug(ex, "Could not read status for JS guard '{GuardName}'", name);
+            return null;
+        }
+    }
+
+    internal static async Task<IReadOnlyList<JsGuardStatus>> GetStatusesAsync(IJSRuntime js, ILogger? logger)
+    {
+        try
+        {
+            var results = await js.InvokeAsync<JsGuardStatusResult[]?>("getJsGuardStatus");
+            return results?.Select(r => r.ToStatus()).ToList() ?? [];
+        }
+        catch (JSException ex)
+        {
+            logger?.LogDebug(ex, "Could not read JS guard statuses");
+            return [];
+        }
+    }
+
+    internal sealed record JsGuardStatusResult
+    {
+        public string Name { get; init; } = "";
+        public string? State { get; init; }
+        public double ElapsedMs { get; init; }
+        public string? Reason { get; init; }
+        public string[]? DependsOn { get; init; }
+        public string[]? WaitingFor { get; init; }
+        public int Checks { get; init; }
+
+        public JsGuardStatus ToStatus() => new()
+        {
+            Name = Name,
+            State = Enum.TryParse<JsGuardState>(State, ignoreCase: true, out var state) ? state : JsGuardState.Unregistered,
+            Elapsed = TimeSpan.FromMilliseconds(ElapsedMs),
+            Reason = Reason,
+            DependsOn = DependsOn ?? [],
+            WaitingFor = WaitingFor ?? [],
+            Checks = Checks
+        };
+    }
 }
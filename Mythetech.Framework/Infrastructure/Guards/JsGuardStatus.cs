@@ -0,0 +1,107 @@
+namespace Mythetech.Framework.Infrastructure.Guards;
+
+/// <summary>
+/// A snapshot of where a JS guard is in its lifecycle, as reported by <c>getJsGuardStatus(name)</c>.
+/// </summary>
+public sealed record JsGuardStatus
+{
+    /// <summary>
+    /// The guard name
+    /// </summary>
+    public required string Name { get; init; }
+
+    /// <summary>
+    /// The guard's current state
+    /// </summary>
+    public JsGuardState State { get; init; }
+
+    /// <summary>
+    /// Time since the guard was registered, or since something started waiting on an
+    /// unregistered name. Stops counting once the guard settles.
+    /// </summary>
+    public TimeSpan Elapsed { get; init; }
+
+    /// <summary>
+    /// Why the guard failed or timed out, or the last error thrown by its check function
+    /// </summary>
+    public string? Reason { get; init; }
+
+    /// <summary>
+    /// Guards that must be ready before this one is checked
+    /// </summary>
+    public IReadOnlyList<string> DependsOn { get; init; } = [];
+
+    /// <summary>
+    /// Dependencies that are not ready yet, or assets still loading
+    /// </summary>
+    public IReadOnlyList<string> WaitingFor { get; init; } = [];
+
+    /// <summary>
+    /// How many times the check function has run
+    /// </summary>
+    public int Checks { get; init; }
+
+    /// <summary>
+    /// Whether the guard has finished, successfully or not
+    /// </summary>
+    public bool IsSettled => State is JsGuardState.Ready or JsGuardState.Failed or JsGuardState.TimedOut;
+
+    /// <summary>
+    /// A one-line description for logs and fallback UI.
+    /// </summary>
+    public string Describe() => State switch
+    {
+        JsGuardState.Waiting when WaitingFor.Count > 0 =>
+            $"Waiting for {string.Join(", ", WaitingFor)} after {Elapsed.TotalSeconds:0.#}s",
+        JsGuardState.Loading when WaitingFor.Count > 0 =>
+            $"Loading {string.Join(", ", WaitingFor)} after {Elapsed.TotalSeconds:0.#}s",
+        _ when !string.IsNullOrEmpty(Reason) => Reason,
+        _ => $"{State} after {Elapsed.TotalSeconds:0.#}s"
+    };
+}
+
+/// <summary>
+/// Lifecycle states of a JS guard.
+/// </summary>
+public enum JsGuardState
+{
+    /// <summary>
+    /// Something is waiting on the name but registerJsGuard() has not been called
+    /// </summary>
+    Unregistered,
+
+    /// <summary>
+    /// Registered and waiting for its dependencies to become ready
+    /// </summary>
+    Waiting,
+
+    /// <summary>
+    /// Loading its scripts and stylesheets through loadJsDependency()
+    /// </summary>
+    Loading,
+
+    /// <summary>
+    /// Registered without a check function and waiting for markJsGuardReady()
+    /// </summary>
+    Pending,
+
+    /// <summary>
+    /// Polling its check function
+    /// </summary>
+    Checking,
+
+    /// <summary>
+    /// The dependency is available
+    /// </summary>
+    Ready,
+
+    /// <summary>
+    /// Failed explicitly via failJsGuard(), or because a dependency failed
+    /// </summary>
+    Failed,
+
+    /// <summary>
+    /// Gave up after its timeout
+    /// </summary>
+    TimedOut
+}
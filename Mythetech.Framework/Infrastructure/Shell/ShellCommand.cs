@@ -43,6 +43,12 @@ public record ShellCommand
     /// </summary>
     public TimeSpan? Timeout { get; init; }
 
+    /// <summary>
+    /// Text written to the command's standard input, which is then closed.
+    /// When null, standard input is not redirected.
+    /// </summary>
+    public string? StandardInput { get; init; }
+
     /// <summary>
     /// Creates a new command with the specified arguments.
     /// </summary>
@@ -64,6 +70,11 @@ public record ShellCommand
     /// </summary>
     public ShellCommand WithTimeout(TimeSpan timeout) => this with { Timeout = timeout };
 
+    /// <summary>
+    /// Creates a new command with the specified standard input.
+    /// </summary>
+    public ShellCommand WithStandardInput(string input) => this with { StandardInput = input };
+
     /// <summary>
     /// Creates a new command with shell wrapping disabled.
     /// Use when the command is already a full path or shell features aren't needed.
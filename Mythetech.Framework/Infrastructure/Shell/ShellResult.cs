@@ -25,6 +25,11 @@ public record ShellResult
     /// </summary>
     public string StandardError { get; init; } = string.Empty;
 
+    /// <summary>
+    /// Structured records produced by the command, or null when it only produced text.
+    /// </summary>
+    public ShellStructuredOutput? StructuredOutput { get; init; }
+
     /// <summary>
     /// How long the command took to execute.
     /// </summary>
@@ -0,0 +1,57 @@
+using System.Text.Json;
+
+namespace Mythetech.Framework.Infrastructure.Shell;
+
+/// <summary>
+/// Structured records produced by a command, alongside its text output.
+/// </summary>
+public record ShellStructuredOutput
+{
+    /// <summary>
+    /// The columns of the records, declared by the command or inferred from the records' keys.
+    /// </summary>
+    public IReadOnlyList<ShellColumn> Columns { get; init; } = [];
+
+    /// <summary>
+    /// The records, as raw JSON objects.
+    /// </summary>
+    public IReadOnlyList<JsonElement> Records { get; init; } = [];
+
+    /// <summary>
+    /// Deserializes the records into a typed list.
+    /// </summary>
+    /// <typeparam name="T">The record type.</typeparam>
+    /// <param name="options">Serializer options. Defaults to web (camelCase, case-insensitive) options.</param>
+    /// <returns>The deserialized records. Records that deserialize to null are skipped.</returns>
+    public IReadOnlyList<T> Deserialize<T>(JsonSerializerOptions? options = null)
+    {
+        options ??= new JsonSerializerOptions(JsonSerializerDefaults.Web);
+
+        return Records
+            .Select(record => record.Deserialize<T>(options))
+            .Where(record => record is not null)
+            .Select(record => record!)
+            .ToList();
+    }
+}
+
+/// <summary>
+/// A column of <see cref="ShellStructuredOutput"/>.
+/// </summary>
+public record ShellColumn
+{
+    /// <summary>
+    /// The record key the column reads.
+    /// </summary>
+    public string Name { get; init; } = string.Empty;
+
+    /// <summary>
+    /// The column header shown in the text fallback.
+    /// </summary>
+    public string? Title { get; init; }
+
+    /// <summary>
+    /// The value type: <c>string</c>, <c>number</c>, <c>boolean</c> or <c>json</c>.
+    /// </summary>
+    public string? Type { get; init; }
+}
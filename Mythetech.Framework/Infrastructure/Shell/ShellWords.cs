@@ -0,0 +1,393 @@
+using System.Globalization;
+using System.Text;
+
+namespace Mythetech.Framework.Infrastructure.Shell;
+
+/// <summary>
+/// POSIX-like word splitting and expansion for command argument strings.
+/// The inverse of <see cref="ShellQuoting"/>, and mirrored by the WebAssembly
+/// shell's JavaScript parser so both produce identical results for the same input.
+/// </summary>
+/// <remarks>
+/// Escaping model:
+/// <list type="bullet">
+/// <item>Unquoted: <c>\x</c> yields a literal x; <c>$NAME</c>, <c>${NAME}</c> and <c>${NAME:-default}</c>
+/// expand from the environment; <c>$((expression))</c> expands to the value of an integer expression;
+/// <c>~</c> at the start of a word expands to <c>HOME</c>.</item>
+/// <item>Single quotes: everything is literal up to the closing quote.</item>
+/// <item>Double quotes: variables expand; <c>\</c> only escapes <c>$</c>, <c>`</c>, <c>"</c> and <c>\</c>.</item>
+/// <item>Adjacent quoted and unquoted parts join into one word; <c>""</c> is an empty word.</item>
+/// <item>Unset variables expand to nothing, and an unquoted word that expands to nothing is dropped.
+/// Expanded values are never split into several words.</item>
+/// </list>
+/// </remarks>
+public static class ShellWords
+{
+    /// <summary>
+    /// Splits an argument string into words, applying quote removal, escapes and variable expansion.
+    /// </summary>
+    /// <param name="input">The argument string.</param>
+    /// <param name="environment">Variables available for expansion. Unset names expand to nothing.</param>
+    /// <returns>The expanded words.</returns>
+    /// <exception cref="FormatException">Thrown on an unterminated quote, a bad substitution or an invalid arithmetic expression.</exception>
+    public static string[] Split(string? input, IReadOnlyDictionary<string, string>? environment = null)
+    {
+        if (string.IsNullOrEmpty(input))
+            return [];
+
+        var env = environment ?? new Dictionary<string, string>();
+        var words = new List<string>();
+        var current = new StringBuilder();
+        var hasWord = false;
+
+        void Literal(string text)
+        {
+            current.Append(text);
+            hasWord = true;
+        }
+
+        void PushWord()
+        {
+            if (hasWord)
+                words.Add(current.ToString());
+
+            current.Clear();
+            hasWord = false;
+        }
+
+        for (var i = 0; i < input.Length; i++)
+        {
+            var c = input[i];
+
+            if (char.IsWhiteSpace(c))
+            {
+                PushWord();
+            }
+            else if (c == '\\')
+            {
+                Literal(i + 1 < input.Length ? input[++i].ToString() : "\\");
+            }
+            else if (c == '\'')
+            {
+                var end = input.IndexOf('\'', i + 1);
+                if (end < 0)
+                    throw new FormatException("syntax error: unterminated quote '");
+
+                Literal(input.Substring(i + 1, end - i - 1));
+                i = end;
+            }
+            else if (c == '"')
+            {
+                i = ExpandDoubleQuoted(input, i + 1, env, Literal);
+            }
+            else if (c == '$')
+            {
+                var value = ExpandVariable(input, i, env, out var end);
+                if (value.Length > 0)
+                    Literal(value);
+                i = end;
+            }
+            else if (c == '~' && !hasWord && (i + 1 == input.Length || input[i + 1] == '/' || char.IsWhiteSpace(input[i + 1])))
+            {
+                Literal(Lookup(env, "HOME") ?? "~");
+            }
+            else
+            {
+                Literal(c.ToString());
+            }
+        }
+
+        PushWord();
+        return [.. words];
+    }
+
+    private static int ExpandDoubleQuoted(
+        string input,
+        int start,
+        IReadOnlyDictionary<string, string> env,
+        Action<string> literal)
+    {
+        var text = new StringBuilder();
+
+        for (var i = start; i < input.Length; i++)
+        {
+            var c = input[i];
+
+            if (c == '"')
+            {
+                literal(text.ToString());
+                return i;
+            }
+
+            if (c == '\\' && i + 1 < input.Length && "$`\"\\".Contains(input[i + 1]))
+            {
+                text.Append(input[++i]);
+            }
+            else if (c == '$')
+            {
+                text.Append(ExpandVariable(input, i, env, out var end));
+                i = end;
+            }
+            else
+            {
+                text.Append(c);
+            }
+        }
+
+        throw new FormatException("syntax error: unterminated quote \"");
+    }
+
+    private static string ExpandVariable(
+        string text,
+        int i,
+        IReadOnlyDictionary<string, string> env,
+        out int end)
+    {
+        if (i + 2 < text.Length && text[i + 1] == '(' && text[i + 2] == '(')
+        {
+            end = ArithmeticEnd(text, i);
+            if (end < 0)
+                throw new FormatException($"syntax error: unterminated {text[i..]}");
+
+            return EvaluateArithmetic(text.Substring(i + 3, end - i - 4), env).ToString(CultureInfo.InvariantCulture);
+        }
+
+        if (i + 1 < text.Length && text[i + 1] == '{')
+        {
+            var depth = 1;
+            end = i + 2;
+            for (; end < text.Length; end++)
+            {
+                if (text[end] == '$' && end + 1 < text.Length && text[end + 1] == '{')
+                {
+                    depth++;
+                    end++;
+                }
+                else if (text[end] == '}' && --depth == 0)
+                {
+                    break;
+                }
+            }
+
+            if (end >= text.Length)
+                throw new FormatException($"bad substitution: {text[i..]}");
+
+            var inner = text.Substring(i + 2, end - i - 2);
+            var nameLength = NameLength(inner, 0);
+            var hasDefault = nameLength > 0 && inner[nameLength..].StartsWith(":-", StringComparison.Ordinal);
+
+            if (nameLength == 0 || (nameLength != inner.Length && !hasDefault))
+                throw new FormatException($"bad substitution: ${{{inner}}}");
+
+            var current = Lookup(env, inner[..nameLength]);
+            return hasDefault && string.IsNullOrEmpty(current)
+                ? ExpandString(inner[(nameLength + 2)..], env)
+                : current ?? string.Empty;
+        }
+
+        var length = NameLength(text, i + 1);
+        if (length > 0)
+        {
+            end = i + length;
+            return Lookup(env, text.Substring(i + 1, length)) ?? string.Empty;
+        }
+
+        end = i;
+        return "$";
+    }
+
+    private static int ArithmeticEnd(string text, int i)
+    {
+        var depth = 0;
+        for (var j = i + 3; j < text.Length; j++)
+        {
+            if (text[j] == '(')
+            {
+                depth++;
+            }
+            else if (text[j] == ')')
+            {
+                if (depth == 0)
+                    return j + 1 < text.Length && text[j + 1] == ')' ? j + 1 : -1;
+                depth--;
+            }
+        }
+
+        return -1;
+    }
+
+    private static readonly string[][] ArithmeticLevels =
+    [
+        ["||"], ["&&"], ["==", "!="], ["<", "<=", ">", ">="], ["+", "-"], ["*", "/", "%"]
+    ];
+
+    /// <summary>
+    /// Evaluates the integer expression of a <c>$((...))</c> expansion: <c>( )</c>, unary <c>- + !</c>,
+    /// <c>* / %</c>, <c>+ -</c>, comparisons, <c>== !=</c>, <c>&amp;&amp;</c> and <c>||</c>.
+    /// <c>$NAME</c> references expand first; bare names read variables, and unset or
+    /// non-numeric values count as 0.
+    /// </summary>
+    private static long EvaluateArithmetic(string expression, IReadOnlyDictionary<string, string> env)
+    {
+        var text = ExpandString(expression, env);
+        var tokens = TokenizeArithmetic(text, env);
+        var index = 0;
+
+        FormatException Fail() => new($"arithmetic syntax error: '{text.Trim()}'");
+
+        long Unary()
+        {
+            if (index >= tokens.Count)
+                throw Fail();
+
+            var token = tokens[index++];
+            if (token.Number is { } number)
+                return number;
+
+            switch (token.Op)
+            {
+                case "(":
+                    var value = Binary(0);
+                    if (index >= tokens.Count || tokens[index++].Op != ")")
+                        throw Fail();
+                    return value;
+                case "-":
+                    return -Unary();
+                case "+":
+                    return Unary();
+                case "!":
+                    return Unary() == 0 ? 1 : 0;
+                default:
+                    throw Fail();
+            }
+        }
+
+        long Binary(int level)
+        {
+            if (level == ArithmeticLevels.Length)
+                return Unary();
+
+            var left = Binary(level + 1);
+            while (index < tokens.Count && tokens[index].Op is { } op && ArithmeticLevels[level].Contains(op))
+            {
+                index++;
+                var right = Binary(level + 1);
+                left = op switch
+                {
+                    "||" => left != 0 || right != 0 ? 1 : 0,
+                    "&&" => left != 0 && right != 0 ? 1 : 0,
+                    "==" => left == right ? 1 : 0,
+                    "!=" => left != right ? 1 : 0,
+                    "<" => left < right ? 1 : 0,
+                    "<=" => left <= right ? 1 : 0,
+                    ">" => left > right ? 1 : 0,
+                    ">=" => left >= right ? 1 : 0,
+                    "+" => left + right,
+                    "-" => left - right,
+                    "*" => left * right,
+                    _ when right == 0 => throw new FormatException($"division by 0: '{text.Trim()}'"),
+                    "/" => left / right,
+                    _ => left % right
+                };
+            }
+
+            return left;
+        }
+
+        if (tokens.Count == 0)
+            return 0;
+
+        var result = Binary(0);
+        if (index < tokens.Count)
+            throw Fail();
+
+        return result;
+    }
+
+    private static List<(long? Number, string? Op)> TokenizeArithmetic(string text, IReadOnlyDictionary<string, string> env)
+    {
+        var tokens = new List<(long? Number, string? Op)>();
+        var i = 0;
+
+        while (i < text.Length)
+        {
+            if (char.IsWhiteSpace(text[i]))
+            {
+                i++;
+                continue;
+            }
+
+            if (char.IsAsciiDigit(text[i]))
+            {
+                var start = i;
+                while (i < text.Length && char.IsAsciiDigit(text[i]))
+                    i++;
+                tokens.Add((long.Parse(text[start..i], CultureInfo.InvariantCulture), null));
+                continue;
+            }
+
+            var nameLength = NameLength(text, i);
+            if (nameLength > 0)
+            {
+                var value = Lookup(env, text.Substring(i, nameLength))?.Trim();
+                tokens.Add((long.TryParse(value, NumberStyles.AllowLeadingSign, CultureInfo.InvariantCulture, out var number) ? number : 0, null));
+                i += nameLength;
+                continue;
+            }
+
+            var pair = i + 1 < text.Length ? text.Substring(i, 2) : null;
+            if (pair is "<=" or ">=" or "==" or "!=" or "&&" or "||")
+            {
+                tokens.Add((null, pair));
+                i += 2;
+                continue;
+            }
+
+            if ("-+*/%()<>!".Contains(text[i]))
+            {
+                tokens.Add((null, text[i].ToString()));
+                i++;
+                continue;
+            }
+
+            throw new FormatException($"arithmetic syntax error: '{text.Trim()}'");
+        }
+
+        return tokens;
+    }
+
+    private static string ExpandString(string text, IReadOnlyDictionary<string, string> env)
+    {
+        var result = new StringBuilder();
+
+        for (var i = 0; i < text.Length; i++)
+        {
+            if (text[i] == '$')
+            {
+                result.Append(ExpandVariable(text, i, env, out var end));
+                i = end;
+            }
+            else
+            {
+                result.Append(text[i]);
+            }
+        }
+
+        return result.ToString();
+    }
+
+    private static int NameLength(string text, int start)
+    {
+        if (start >= text.Length || !(char.IsAsciiLetter(text[start]) || text[start] == '_'))
+            return 0;
+
+        var end = start + 1;
+        while (end < text.Length && (char.IsAsciiLetterOrDigit(text[end]) || text[end] == '_'))
+            end++;
+
+        return end - start;
+    }
+
+    private static string? Lookup(IReadOnlyDictionary<string, string> env, string name)
+        => env.TryGetValue(name, out var value) ? value : null;
+}
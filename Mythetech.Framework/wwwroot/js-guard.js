@@ -1,84 +1,607 @@
 window.__jsGuards = window.__jsGuards || {};
+window.__jsGuardWaits = window.__jsGuardWaits || {};
+window.__jsAssets = window.__jsAssets || {};
 
-/**
- * Registers a named guard that polls a check function until it returns truthy
- * or exhausts its internal check budget (~10 seconds).
- *
- * @param {string} name - Unique guard identifier
- * @param {function(): boolean} checkFn - Returns truthy when the dependency is ready
- */
-window.registerJsGuard = function (name, checkFn) {
-    window.__jsGuards[name] = new Promise(function (resolve) {
-        if (checkFn()) {
-            resolve(true);
-            return;
+(function () {
+    var DEFAULT_TIMEOUT = 10000;
+    var DEFAULT_INTERVAL = 50;
+
+    var guards = window.__jsGuards;
+    var waits = window.__jsGuardWaits;
+    var assets = window.__jsAssets;
+
+    function isSettled(guard) {
+        return guard.state === 'ready' || guard.state === 'failed' || guard.state === 'timedout';
+    }
+
+    function toStringList(value) {
+        if (!value) return [];
+        return (Array.isArray(value) ? value : [value]).filter(function (item) {
+            return typeof item === 'string' && item.length > 0;
+        });
+    }
+
+    function toReason(reason, fallback) {
+        if (reason && reason.message) return String(reason.message);
+        return reason ? String(reason) : fallback;
+    }
+
+    function stopTimers(guard) {
+        if (guard.intervalId) clearInterval(guard.intervalId);
+        if (guard.timeoutId) clearTimeout(guard.timeoutId);
+        guard.intervalId = null;
+        guard.timeoutId = null;
+    }
+
+    /**
+     * Calls back once the named guard exists, immediately if it already does.
+     * Pending callbacks are what getJsGuardStatus reports as 'unregistered'.
+     *
+     * @returns {function(): void} - Cancels the callback if it has not run yet
+     */
+    function whenRegistered(name, callback) {
+        if (guards[name]) {
+            callback(guards[name]);
+            return function () { };
         }
-        var checks = 0;
-        var interval = setInterval(function () {
-            if (checkFn()) {
-                clearInterval(interval);
-                resolve(true);
-            } else if (++checks > 200) {
-                clearInterval(interval);
-                resolve(false);
-            }
-        }, 50);
-    });
-};
-
-/**
- * Waits for a named guard to be both registered and ready. If the consumer's
- * registerJsGuard() runs after this wait starts (e.g. a JS module that's still
- * loading), this function picks up the registration on its next poll instead of
- * returning false immediately.
- *
- * @param {string} name - Guard identifier
- * @param {number} [timeoutMs=15000] - Overall timeout covering both registration and readiness
- * @returns {Promise<boolean>} - Resolves true when ready, false on overall timeout
- */
-window.waitForJsGuard = function (name, timeoutMs) {
-    timeoutMs = timeoutMs || 15000;
-    return new Promise(function (resolve) {
-        var start = Date.now();
-        var settled = false;
-        var done = function (value) {
-            if (settled) return;
-            settled = true;
-            resolve(value);
+
+        var wait = waits[name] || (waits[name] = { since: Date.now(), callbacks: [] });
+        wait.callbacks.push(callback);
+
+        return function () {
+            var index = wait.callbacks.indexOf(callback);
+            if (index >= 0) wait.callbacks.splice(index, 1);
+            if (wait.callbacks.length === 0 && waits[name] === wait) delete waits[name];
         };
+    }
+
+    function createGuard(name) {
+        var guard = {
+            name: name,
+            state: 'pending',
+            startedAt: Date.now(),
+            settledAt: null,
+            reason: null,
+            check: null,
+            options: {},
+            dependsOn: [],
+            waitingFor: [],
+            checks: 0,
+            signalled: false,
+            registered: false,
+            generation: 0,
+            intervalId: null,
+            timeoutId: null
+        };
+        guard.promise = new Promise(function (resolve) { guard.resolve = resolve; });
+        guards[name] = guard;
+
+        var wait = waits[name];
+        if (wait) {
+            delete waits[name];
+            wait.callbacks.forEach(function (callback) { callback(guard); });
+        }
+
+        return guard;
+    }
+
+    function settle(guard, state, reason) {
+        if (isSettled(guard)) return false;
+
+        stopTimers(guard);
+        guard.state = state;
+        guard.reason = reason || null;
+        guard.settledAt = Date.now();
+        guard.waitingFor = state === 'ready' ? [] : guard.waitingFor;
+        guard.resolve(state === 'ready');
+        return true;
+    }
 
-        (function poll() {
-            if (settled) return;
-
-            var guard = window.__jsGuards[name];
-            if (guard) {
-                guard.then(done);
-                var remaining = timeoutMs - (Date.now() - start);
-                if (remaining > 0) {
-                    setTimeout(function () { done(false); }, remaining);
-                } else {
-                    done(false);
-                }
-                return;
+    function reaches(from, target, seen) {
+        var guard = guards[from];
+        if (!guard) return false;
+        return guard.dependsOn.some(function (dependency) {
+            if (dependency === target) return true;
+            if (seen[dependency]) return false;
+            seen[dependency] = true;
+            return reaches(dependency, target, seen);
+        });
+    }
+
+    function timeoutReason(guard) {
+        var prefix = 'Timed out after ' + (Date.now() - guard.startedAt) + 'ms';
+        if (guard.state === 'waiting') {
+            return prefix + ' waiting for dependencies: ' + guard.waitingFor.join(', ');
+        }
+        if (guard.state === 'loading') {
+            return prefix + ' loading ' + (guard.waitingFor.length ? guard.waitingFor.join(', ') : 'assets');
+        }
+        if (guard.state === 'pending') {
+            return prefix + ' waiting for markJsGuardReady()';
+        }
+        return prefix + ' (' + guard.checks + ' checks' + (guard.reason ? ', last error: ' + guard.reason : '') + ')';
+    }
+
+    function runCheck(guard) {
+        guard.checks++;
+        try {
+            if (guard.check()) {
+                settle(guard, 'ready');
+                return true;
             }
+        } catch (error) {
+            guard.reason = toReason(error, 'Check threw');
+        }
+        return false;
+    }
+
+    function startChecking(guard) {
+        if (guard.signalled) {
+            settle(guard, 'ready');
+            return;
+        }
+
+        if (!guard.check) {
+            guard.state = 'pending';
+            return;
+        }
+
+        guard.state = 'checking';
+        if (runCheck(guard)) return;
+
+        guard.intervalId = setInterval(function () { runCheck(guard); }, guard.options.interval);
+    }
+
+    function startLoading(guard, generation) {
+        if (!guard.options.load) {
+            startChecking(guard);
+            return;
+        }
+
+        guard.state = 'loading';
+        var loading;
+        try {
+            loading = Promise.resolve(guard.options.load(function (pending) {
+                if (guard.generation === generation && !isSettled(guard)) guard.waitingFor = toStringList(pending);
+            }));
+        } catch (error) {
+            loading = Promise.reject(error);
+        }
+
+        loading.then(function () {
+            if (guard.generation !== generation || isSettled(guard)) return;
+            guard.waitingFor = [];
+            startChecking(guard);
+        }, function (error) {
+            if (guard.generation !== generation) return;
+            settle(guard, 'failed', toReason(error, 'Load failed'));
+        });
+    }
+
+    function waitForDependencies(guard, generation) {
+        guard.waitingFor = guard.dependsOn.slice();
+        if (guard.waitingFor.length === 0) {
+            startLoading(guard, generation);
+            return;
+        }
+
+        guard.state = 'waiting';
+        guard.dependsOn.forEach(function (dependency) {
+            whenRegistered(dependency, function (dependencyGuard) {
+                dependencyGuard.promise.then(function (ready) {
+                    if (guard.generation !== generation || isSettled(guard)) return;
+
+                    if (!ready) {
+                        // A cleared dependency hands its waiters on to its re-registration
+                        var current = guards[dependency] || dependencyGuard;
+                        settle(guard, 'failed', "Dependency '" + dependency + "' " +
+                            (current.state === 'timedout' ? 'timed out' : 'failed') +
+                            (current.reason ? ': ' + current.reason : ''));
+                        return;
+                    }
+
+                    guard.waitingFor = guard.waitingFor.filter(function (name) { return name !== dependency; });
+                    if (guard.waitingFor.length === 0) startLoading(guard, generation);
+                });
+            });
+        });
+    }
+
+    /**
+     * Registers a named guard. With a check function the guard polls it until it
+     * returns truthy; without one it waits for markJsGuardReady() or failJsGuard().
+     * Guards with dependencies start checking only once every dependency is ready,
+     * and fail as soon as any dependency fails or times out. A load function runs
+     * after the dependencies and before the first check; the guard fails if it rejects.
+     *
+     * Registering a name that is already ready is a no-op, and so is registering a
+     * name failed with failJsGuard() before it was ever registered: the failure
+     * stands until clearJsGuard(). Registering a name that is still pending
+     * restarts it with the new check and options, keeping anyone already waiting on it.
+     *
+     * @param {string} name - Unique guard identifier
+     * @param {(function(): boolean)|null} [checkFn] - Returns truthy when the dependency is ready
+     * @param {Object} [options]
+     * @param {number} [options.timeout=10000] - Milliseconds before the guard gives up, including time spent on dependencies
+     * @param {number} [options.interval=50] - Milliseconds between checks
+     * @param {string|string[]} [options.dependsOn] - Guards that must be ready before this one is checked
+     * @param {function(function(string[]): void): Promise} [options.load] - Loads what the check waits for;
+     *   may report what it is still loading through its callback for getJsGuardStatus()
+     * @returns {Promise<boolean>} - Resolves true when ready, false on failure or timeout
+     */
+    window.registerJsGuard = function (name, checkFn, options) {
+        if (!name) {
+            console.warn('registerJsGuard: Missing required parameters');
+            return Promise.resolve(false);
+        }
+
+        options = options || {};
+        var guard = guards[name];
+        if (guard && guard.state === 'ready') return guard.promise;
+        if (guard && guard.state === 'failed' && !guard.registered) return guard.promise;
+        if (!guard || isSettled(guard)) guard = createGuard(name);
+
+        stopTimers(guard);
+        var generation = ++guard.generation;
+        guard.registered = true;
+        guard.check = typeof checkFn === 'function' ? checkFn : null;
+        guard.options = {
+            timeout: options.timeout > 0 ? options.timeout : DEFAULT_TIMEOUT,
+            interval: options.interval > 0 ? options.interval : DEFAULT_INTERVAL,
+            dependsOn: options.dependsOn,
+            load: typeof options.load === 'function' ? options.load : null
+        };
+        guard.dependsOn = toStringList(options.dependsOn);
+        guard.startedAt = Date.now();
+        guard.checks = 0;
+        guard.reason = null;
+
+        var cycle = guard.dependsOn.filter(function (dependency) {
+            return dependency === name || reaches(dependency, name, {});
+        });
+        if (cycle.length > 0) {
+            settle(guard, 'failed', 'Circular dependency through: ' + cycle.join(', '));
+            return guard.promise;
+        }
+
+        guard.timeoutId = setTimeout(function () {
+            if (guard.generation === generation) settle(guard, 'timedout', timeoutReason(guard));
+        }, guard.options.timeout);
 
-            if (Date.now() - start >= timeoutMs) {
-                done(false);
-                return;
+        waitForDependencies(guard, generation);
+        return guard.promise;
+    };
+
+    /**
+     * Marks a guard ready from code that knows exactly when its dependency loaded,
+     * instead of waiting for the next poll. May be called before registerJsGuard();
+     * a guard still waiting on dependencies or loading becomes ready once that finishes.
+     *
+     * @param {string} name - Guard identifier
+     */
+    window.markJsGuardReady = function (name) {
+        if (!name) {
+            console.warn('markJsGuardReady: Missing required parameters');
+            return;
+        }
+
+        var guard = guards[name] || createGuard(name);
+        if (isSettled(guard)) return;
+
+        if (guard.state === 'waiting' || guard.state === 'loading') {
+            guard.signalled = true;
+            return;
+        }
+
+        settle(guard, 'ready');
+    };
+
+    /**
+     * Fails a guard immediately, e.g. from a script's error handler, so waiters
+     * don't sit out the full timeout. May be called before registerJsGuard(), in
+     * which case a later registration keeps the failure until clearJsGuard().
+     *
+     * @param {string} name - Guard identifier
+     * @param {string|Error} [reason] - Why the dependency is unavailable; surfaced in diagnostics
+     */
+    window.failJsGuard = function (name, reason) {
+        if (!name) {
+            console.warn('failJsGuard: Missing required parameters');
+            return;
+        }
+
+        var guard = guards[name] || createGuard(name);
+        settle(guard, 'failed', toReason(reason, 'Failed'));
+    };
+
+    /**
+     * Waits for a named guard to be both registered and ready. If the consumer's
+     * registerJsGuard() runs after this wait starts (e.g. a JS module that's still
+     * loading), this function picks up the registration as soon as it happens
+     * instead of returning false immediately.
+     *
+     * @param {string} name - Guard identifier
+     * @param {number} [timeoutMs=15000] - Overall timeout covering both registration and readiness
+     * @returns {Promise<boolean>} - Resolves true when ready, false on failure or overall timeout
+     */
+    window.waitForJsGuard = function (name, timeoutMs) {
+        timeoutMs = timeoutMs || 15000;
+        return new Promise(function (resolve) {
+            var settled = false;
+            var unsubscribe = null;
+            var done = function (value) {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                if (unsubscribe) unsubscribe();
+                resolve(value);
+            };
+
+            var timer = setTimeout(function () { done(false); }, timeoutMs);
+            unsubscribe = whenRegistered(name, function (guard) {
+                guard.promise.then(done);
+            });
+        });
+    };
+
+    function statusOf(guard) {
+        return {
+            name: guard.name,
+            state: guard.state,
+            elapsedMs: (guard.settledAt || Date.now()) - guard.startedAt,
+            reason: guard.reason,
+            dependsOn: guard.dependsOn.slice(),
+            waitingFor: guard.waitingFor.slice(),
+            checks: guard.checks
+        };
+    }
+
+    function unregisteredStatus(name) {
+        var wait = waits[name];
+        return {
+            name: name,
+            state: 'unregistered',
+            elapsedMs: wait ? Date.now() - wait.since : 0,
+            reason: wait ? 'registerJsGuard() has not been called for this name' : null,
+            dependsOn: [],
+            waitingFor: [],
+            checks: 0
+        };
+    }
+
+    /**
+     * Reports where guards are in their lifecycle, for logging and fallback UI.
+     * Names that something is waiting on but nobody has registered are reported
+     * with state 'unregistered'.
+     *
+     * @param {string} [name] - Guard identifier; omit to report every known guard
+     * @returns {Object|Object[]} - { name, state, elapsedMs, reason, dependsOn, waitingFor, checks },
+     *   where state is 'unregistered', 'waiting', 'loading', 'pending', 'checking', 'ready', 'failed' or 'timedout'
+     */
+    window.getJsGuardStatus = function (name) {
+        if (name) {
+            return guards[name] ? statusOf(guards[name]) : unregisteredStatus(name);
+        }
+
+        var statuses = Object.keys(guards).map(function (key) { return statusOf(guards[key]); });
+        Object.keys(waits).forEach(function (key) {
+            if (!guards[key]) statuses.push(unregisteredStatus(key));
+        });
+        return statuses;
+    };
+
+    /**
+     * Clears the stored state for the given name so the next waitForJsGuard call
+     * starts from a clean slate. Used by the retry path so a previously-failed
+     * guard can't poison subsequent attempts: a guard registered with a check
+     * function, dependencies or a load function is re-registered with the same
+     * options, so a dependency that has since loaded is picked up and failed
+     * assets are requested again; signal-only guards wait for a fresh
+     * registration or signal.
+     *
+     * Anyone still waiting on a guard that had not settled (dependent guards and
+     * waitForJsGuard calls) follows the re-registration; for a signal-only guard
+     * they get false, since nothing is left that could make it ready.
+     *
+     * @param {string} name - Guard identifier to clear
+     */
+    window.clearJsGuard = function (name) {
+        var guard = guards[name];
+        if (!guard) return;
+
+        stopTimers(guard);
+        guard.generation++;
+        delete guards[name];
+
+        if (guard.check || guard.dependsOn.length > 0 || guard.options.load) {
+            var replacement = window.registerJsGuard(name, guard.check, guard.options);
+            if (!isSettled(guard)) guard.resolve(replacement);
+        } else {
+            settle(guard, 'failed', 'Cleared by clearJsGuard()');
+        }
+    };
+
+    function reportAsset(type, asset, error) {
+        window.dispatchEvent(new CustomEvent('mt-dependency-' + type, {
+            detail: {
+                name: asset.name,
+                url: asset.url,
+                kind: asset.kind,
+                error: error ? error.message : null
             }
+        }));
+    }
 
-            setTimeout(poll, 50);
-        })();
-    });
-};
-
-/**
- * Clears any stored guard promise for the given name so the next waitForJsGuard
- * call (or a fresh registerJsGuard) starts from a clean slate. Used by the
- * retry path so a previously-failed promise can't poison subsequent attempts.
- *
- * @param {string} name - Guard identifier to clear
- */
-window.clearJsGuard = function (name) {
-    delete window.__jsGuards[name];
-};
+    function findExistingAsset(kind, url) {
+        var elements = kind === 'style'
+            ? document.querySelectorAll('link[rel="stylesheet"]')
+            : document.querySelectorAll('script[src]');
+        return Array.prototype.some.call(elements, function (element) {
+            return element.getAttribute(kind === 'style' ? 'href' : 'src') === url &&
+                !element.hasAttribute('data-mt-dependency');
+        });
+    }
+
+    /**
+     * Loads one script or stylesheet, sharing the request with anyone else asking
+     * for the same URL. Assets already in the page markup count as loaded. Failed
+     * assets are forgotten and their element removed, so the next request retries.
+     */
+    function loadAsset(name, kind, url, settings) {
+        var key = kind + ':' + url;
+        var asset = assets[key];
+        if (asset && asset.state !== 'failed') return asset.promise;
+
+        asset = assets[key] = { name: name, kind: kind, url: url, state: 'loading', promise: null };
+
+        if (findExistingAsset(kind, url)) {
+            asset.state = 'loaded';
+            asset.promise = Promise.resolve();
+            return asset.promise;
+        }
+
+        var element;
+        if (kind === 'style') {
+            element = document.createElement('link');
+            element.rel = 'stylesheet';
+            element.href = url;
+        } else {
+            element = document.createElement('script');
+            element.src = url;
+            element.async = false;
+            if (settings.type === 'module') element.type = 'module';
+        }
+
+        var integrity = settings.integrity[url];
+        if (integrity) {
+            element.integrity = integrity;
+            element.crossOrigin = settings.crossOrigin || 'anonymous';
+        } else if (settings.crossOrigin) {
+            element.crossOrigin = settings.crossOrigin;
+        }
+        element.setAttribute('data-mt-dependency', name);
+
+        asset.promise = new Promise(function (resolve, reject) {
+            element.addEventListener('load', function () {
+                asset.state = 'loaded';
+                reportAsset('load', asset);
+                resolve();
+            });
+            element.addEventListener('error', function () {
+                var error = new Error('Failed to load ' + (kind === 'style' ? 'stylesheet' : 'script') + ' ' + url);
+                asset.state = 'failed';
+                element.remove();
+                reportAsset('error', asset, error);
+                reject(error);
+            });
+        });
+
+        document.head.appendChild(element);
+        return asset.promise;
+    }
+
+    function toIntegrityMap(integrity, urls) {
+        if (!integrity) return {};
+        if (typeof integrity === 'object') return integrity;
+        if (urls.length === 1) {
+            var map = {};
+            map[urls[0]] = integrity;
+            return map;
+        }
+        console.warn('loadJsDependency: A single integrity hash needs exactly one asset; pass a map of url to hash instead');
+        return {};
+    }
+
+    function toReadyCheck(check) {
+        if (typeof check === 'function') return check;
+        if (typeof check === 'string' && check) {
+            return function () {
+                return !!check.split('.').reduce(function (target, key) {
+                    return target == null ? target : target[key];
+                }, window);
+            };
+        }
+        return function () { return true; };
+    }
+
+    /**
+     * Loads a third-party library on demand and registers a guard for it, so a
+     * JsGuard can pull in heavy editors or charting libraries when first rendered
+     * instead of every app preloading them from index.html.
+     *
+     * Scripts load in order, stylesheets in parallel. The guard becomes ready once
+     * every asset has loaded and the optional readiness check passes, and fails
+     * as soon as any asset errors. Concurrent calls for the same name share one
+     * load; each asset reports 'mt-dependency-load' or 'mt-dependency-error' on
+     * window with detail { name, url, kind, error }.
+     *
+     * @param {Object} options
+     * @param {string} options.name - Guard name to register
+     * @param {string|string[]} [options.scripts] - Script URLs, in execution order
+     * @param {string|string[]} [options.styles] - Stylesheet URLs
+     * @param {string|Object<string, string>} [options.integrity] - SRI hash for a single asset, or a map of URL to hash
+     * @param {string} [options.crossOrigin] - crossorigin attribute; defaults to 'anonymous' for assets with an integrity hash
+     * @param {string} [options.type='classic'] - 'classic' or 'module' scripts
+     * @param {(function(): boolean)|string} [options.check] - Readiness check run after loading, or a global path such as 'monaco.editor'
+     * @param {number} [options.timeout] - Guard timeout in milliseconds, including loading
+     * @param {number} [options.interval] - Milliseconds between readiness checks
+     * @param {string|string[]} [options.dependsOn] - Guards that must be ready before these assets load
+     * @param {function(string): void} [options.onLoad] - Called with each URL once it is available
+     * @param {function(string, Error): void} [options.onError] - Called with each URL that fails to load
+     * @returns {Promise<boolean>} - Resolves true when ready, false on failure or timeout
+     */
+    window.loadJsDependency = function (options) {
+        options = options || {};
+        var name = options.name;
+        var scripts = toStringList(options.scripts);
+        var styles = toStringList(options.styles);
+
+        if (!name || (scripts.length === 0 && styles.length === 0)) {
+            console.warn('loadJsDependency: Missing required parameters');
+            return Promise.resolve(false);
+        }
+
+        var existing = guards[name];
+        if (existing && (existing.state === 'ready' || !isSettled(existing))) return existing.promise;
+
+        var settings = {
+            type: String(options.type || 'classic').toLowerCase(),
+            integrity: toIntegrityMap(options.integrity, scripts.concat(styles)),
+            crossOrigin: options.crossOrigin
+        };
+        var load = function (kind, url) {
+            return loadAsset(name, kind, url, settings).then(function () {
+                if (typeof options.onLoad === 'function') options.onLoad(url);
+            }, function (error) {
+                if (typeof options.onError === 'function') options.onError(url, error);
+                throw error;
+            });
+        };
+
+        return window.registerJsGuard(name, toReadyCheck(options.check), {
+            timeout: options.timeout,
+            interval: options.interval,
+            dependsOn: options.dependsOn,
+            load: function (reportPending) {
+                var pending = scripts.concat(styles);
+                var track = function (url) {
+                    return function () {
+                        pending = pending.filter(function (item) { return item !== url; });
+                        reportPending(pending);
+                    };
+                };
+                reportPending(pending);
+
+                var scriptChain = scripts.reduce(function (previous, url) {
+                    return previous.then(function () {
+                        return load('script', url).then(track(url));
+                    });
+                }, Promise.resolve());
+
+                return Promise.all(styles.map(function (url) {
+                    return load('style', url).then(track(url));
+                }).concat([scriptChain]));
+            }
+        });
+    };
+})();
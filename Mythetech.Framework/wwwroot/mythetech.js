@@ -5,113 +5,445 @@
  * including settings panel scroll-spy behavior.
  */
 
-// Track the current scroll-spy state
-let scrollSpyState = null;
+// Scroll-spy instances syncing location.hash, oldest first. Only the newest one
+// (e.g. a settings dialog opened over a settings page) reads and writes the hash.
+const hashSyncedScrollSpies = [];
+
+// Instance managed by setupScrollSpy/teardownScrollSpy
+let legacyScrollSpy = null;
+
+// Active scroll-spy instances, mapped to { container, scrollTo } for scrollToSection
+const scrollSpies = new Map();
+
+const scrollSpyDefaults = {
+    rootMargin: '-100px 0px -80% 0px',
+    prefix: 'section-',
+    subsectionPrefix: null,
+    initialDelay: 100,
+    hashSync: false,
+    offset: 0
+};
+
+// Options from .NET arrive with nulls for unset values
+function definedOptions(options) {
+    return Object.fromEntries(Object.entries(options ?? {}).filter(([, value]) => value !== null && value !== undefined));
+}
+
+// Finds an element by ID inside a container, so panels rendered more than once on a
+// page each find their own sections
+function findById(container, id) {
+    return id ? container.querySelector(`#${CSS.escape(id)}`) : null;
+}
+
+// The element ID named by location.hash, or null without one. A hash that is not valid
+// percent-encoding (e.g. #%E0%A4) is used as written rather than throwing.
+function hashTargetId() {
+    if (location.hash.length <= 1) return null;
+
+    const id = location.hash.slice(1);
+    try {
+        return decodeURIComponent(id);
+    } catch {
+        return id;
+    }
+}
+
+/**
+ * Finds the element that scrolls a given element: its nearest scrollable ancestor,
+ * or the document's scrolling element.
+ *
+ * @param {HTMLElement} element - The element to scroll into view
+ * @returns {HTMLElement} The scroll container
+ */
+function findScrollContainer(element) {
+    for (let node = element.parentElement; node && node !== document.body; node = node.parentElement) {
+        const { overflowY } = getComputedStyle(node);
+        if ((overflowY === 'auto' || overflowY === 'scroll' || overflowY === 'overlay') && node.scrollHeight > node.clientHeight) {
+            return node;
+        }
+    }
+    return document.scrollingElement ?? document.documentElement;
+}
+
+/**
+ * Resolves once a scroll container stops moving: on scrollend where supported, when it
+ * reaches the target position, when its position has not changed for a few frames, or
+ * after a timeout as a last resort.
+ *
+ * @param {HTMLElement} scroller - The scroll container
+ * @param {number} top - The scrollTop being scrolled to
+ * @param {number} [timeout] - Maximum wait in milliseconds
+ * @returns {Promise<void>}
+ */
+function waitForScrollEnd(scroller, top, timeout = 1500) {
+    return new Promise((resolve) => {
+        const events = scroller === document.scrollingElement ? window : scroller;
+        let last = scroller.scrollTop;
+        let stillFrames = 0;
+        let frame = 0;
+        let timer = 0;
+
+        const done = () => {
+            cancelAnimationFrame(frame);
+            clearTimeout(timer);
+            events.removeEventListener('scrollend', done);
+            resolve();
+        };
+
+        const check = () => {
+            const position = scroller.scrollTop;
+            stillFrames = position === last ? stillFrames + 1 : 0;
+            last = position;
+
+            if (Math.abs(position - top) < 1 || stillFrames >= 5) {
+                done();
+            } else {
+                frame = requestAnimationFrame(check);
+            }
+        };
+
+        events.addEventListener('scrollend', done);
+        timer = setTimeout(done, timeout);
+        frame = requestAnimationFrame(check);
+    });
+}
 
 /**
- * Sets up scroll-spy functionality for the settings panel.
- * Detects which section is currently visible and notifies the Blazor component.
+ * Moves focus to a section's heading (or the section itself) without scrolling,
+ * making it programmatically focusable if needed.
+ *
+ * @param {HTMLElement} section - The section element
+ */
+function focusSection(section) {
+    const heading = section.querySelector('h1, h2, h3, h4, h5, h6, [role="heading"]') ?? section;
+    if (!heading.hasAttribute('tabindex') && !heading.matches('a[href], button, input, select, textarea')) {
+        heading.setAttribute('tabindex', '-1');
+    }
+    heading.focus({ preventScroll: true });
+}
+
+/**
+ * Scrolls an element to the top of its scroll container, below an optional offset for
+ * sticky headers. Smooth scrolling is skipped when the user prefers reduced motion.
+ *
+ * @param {HTMLElement} target - The element to scroll to
+ * @param {object} [options] - { offset?: number, behavior?: 'smooth'|'auto', focus?: boolean }
+ * @returns {Promise<void>} Resolves when scrolling has settled (and focus has moved)
+ */
+async function scrollElementIntoView(target, options) {
+    const scroller = findScrollContainer(target);
+    const isDocument = scroller === document.scrollingElement || scroller === document.documentElement;
+    const reducedMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    const behavior = reducedMotion || options?.behavior === 'auto' ? 'auto' : 'smooth';
+
+    const scrollerTop = isDocument ? 0 : scroller.getBoundingClientRect().top;
+    const maxTop = Math.max(0, scroller.scrollHeight - scroller.clientHeight);
+    const top = Math.min(maxTop, Math.max(0,
+        scroller.scrollTop + target.getBoundingClientRect().top - scrollerTop - (options?.offset ?? 0)));
+
+    scroller.scrollTo({ top, behavior });
+    await waitForScrollEnd(scroller, top);
+
+    if (options?.focus) {
+        focusSection(target);
+    }
+}
+
+/**
+ * Creates a scroll-spy instance that reports which section of a scrollable container
+ * is currently visible. Any number of instances can be active at once.
+ *
+ * Sections are elements with an id of `${prefix}${sectionId}`: the given IDs plus any
+ * other element in the container whose id starts with the prefix. When subsectionPrefix
+ * is set, elements with that id prefix nested inside a section are tracked as well.
+ *
+ * The Blazor component receives UpdateActiveSection(sectionId) when the active section
+ * changes and, with subsections, UpdateActiveSubsection(sectionId, subsectionId) where
+ * subsectionId is null outside any subsection.
  *
  * @param {HTMLElement} containerElement - The scrollable container element
  * @param {DotNetObjectReference} dotNetRef - Reference to the Blazor component
- * @param {string[]} sectionIds - Array of section IDs to observe
+ * @param {string[]} [sectionIds] - Section IDs (without the prefix) to observe
+ * @param {object} [options] - Overrides of the defaults:
+ *   rootMargin ('-100px 0px -80% 0px'), prefix ('section-'), subsectionPrefix (null),
+ *   initialDelay (100ms before the initial section is reported), hashSync (false) and
+ *   offset (0, pixels of sticky header to keep clear when scrolling to a section).
+ *   With hashSync the active section is written to location.hash, and the section named
+ *   by the hash is scrolled to on load and whenever the hash changes.
+ * @returns {{refresh: function, scrollToSection: function, getActiveSection: function,
+ * getActiveSubsection: function, dispose: function}|null}
+ * A handle to the instance, or null if parameters are missing
  */
-export function setupScrollSpy(containerElement, dotNetRef, sectionIds) {
-    // Clean up any existing scroll-spy
-    teardownScrollSpy();
-
-    if (!containerElement || !dotNetRef || !sectionIds?.length) {
-        console.warn('setupScrollSpy: Missing required parameters');
-        return;
+export function createScrollSpy(containerElement, dotNetRef, sectionIds, options) {
+    if (!containerElement || !dotNetRef) {
+        console.warn('createScrollSpy: Missing required parameters');
+        return null;
     }
 
-    // Create intersection observer options
-    const options = {
-        root: containerElement,
-        rootMargin: '-100px 0px -80% 0px',
-        threshold: 0
+    const settings = { ...scrollSpyDefaults, ...definedOptions(options) };
+
+    const visible = new Set();
+    let sections = [];
+    let subsections = [];
+    let activeSection = null;
+    let activeSubsection = null;
+    let initialTimer = null;
+    let suppressed = 0;
+
+    const invoke = (method, ...args) => {
+        dotNetRef.invokeMethodAsync(method, ...args).catch((error) => {
+            // Component may have been disposed
+            console.debug(`Failed to invoke ${method}:`, error);
+        });
+    };
+
+    const byDocumentOrder = (a, b) =>
+        a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+
+    const ownsHash = () => settings.hashSync && hashSyncedScrollSpies[hashSyncedScrollSpies.length - 1] === handle;
+
+    // Reports a section, or a subsection together with its section
+    const activate = (section, subsection) => {
+        const sectionId = section.id.slice(settings.prefix.length);
+        const subsectionId = subsection ? subsection.id.slice(settings.subsectionPrefix.length) : null;
+
+        const sectionChanged = sectionId !== activeSection;
+        if (sectionChanged) {
+            activeSection = sectionId;
+            invoke('UpdateActiveSection', sectionId);
+        }
+
+        if (settings.subsectionPrefix && (sectionChanged || subsectionId !== activeSubsection)) {
+            activeSubsection = subsectionId;
+            invoke('UpdateActiveSubsection', sectionId, subsectionId);
+        }
+
+        if (ownsHash()) {
+            const hash = `#${(subsection ?? section).id}`;
+            if (location.hash !== hash) {
+                history.replaceState(history.state, '', hash);
+            }
+        }
+    };
+
+    // The first visible section wins, and within it the first visible subsection
+    const update = () => {
+        if (suppressed) return;
+
+        const section = sections.find(element => visible.has(element));
+        if (!section) return;
+
+        const subsection = subsections.find(element => visible.has(element) && section.contains(element));
+        activate(section, subsection ?? null);
     };
 
-    // Create observer that detects when sections enter the viewport
     const observer = new IntersectionObserver((entries) => {
         for (const entry of entries) {
             if (entry.isIntersecting) {
-                const sectionId = entry.target.id.replace('section-', '');
-                try {
-                    dotNetRef.invokeMethodAsync('UpdateActiveSection', sectionId);
-                } catch (error) {
-                    // Component may have been disposed
-                    console.debug('Failed to update active section:', error);
-                }
-                break;
+                visible.add(entry.target);
+            } else {
+                visible.delete(entry.target);
             }
         }
-    }, options);
+        update();
+    }, {
+        root: containerElement,
+        rootMargin: settings.rootMargin,
+        threshold: 0
+    });
+
+    const observe = (ids) => {
+        const found = new Set();
+        for (const sectionId of ids ?? []) {
+            const element = findById(containerElement, `${settings.prefix}${sectionId}`);
+            if (element) found.add(element);
+        }
+
+        // Also observe any custom sections in the container
+        for (const element of containerElement.querySelectorAll(`[id^="${settings.prefix}"]`)) {
+            found.add(element);
+        }
+
+        sections = [...found].sort(byDocumentOrder);
+        subsections = settings.subsectionPrefix
+            ? [...containerElement.querySelectorAll(`[id^="${settings.subsectionPrefix}"]`)].sort(byDocumentOrder)
+            : [];
 
-    // Observe all section elements
-    const observedElements = [];
-    for (const sectionId of sectionIds) {
-        const element = document.getElementById(`section-${sectionId}`);
-        if (element) {
+        for (const element of [...sections, ...subsections]) {
             observer.observe(element);
-            observedElements.push(element);
         }
-    }
+    };
 
-    // Also observe any custom sections in the container
-    const allSections = containerElement.querySelectorAll('[id^="section-"]');
-    for (const section of allSections) {
-        if (!observedElements.includes(section)) {
-            observer.observe(section);
-            observedElements.push(section);
+    // Scrolls to one of our sections or subsections, reporting it as active right away
+    // and ignoring the sections scrolled past on the way
+    const scrollTo = async (target, scrollOptions) => {
+        const isSubsection = subsections.includes(target);
+        const section = isSubsection ? sections.filter(element => element.contains(target)).pop() : target;
+        if (section) {
+            activate(section, isSubsection ? target : null);
         }
-    }
 
-    // Store state for cleanup
-    scrollSpyState = {
-        observer,
-        dotNetRef,
-        observedElements
+        suppressed++;
+        try {
+            await scrollElementIntoView(target, { offset: settings.offset, ...definedOptions(scrollOptions) });
+        } finally {
+            suppressed--;
+        }
+    };
+
+    // Finds a section, or subsection, of this instance by ID
+    const findTarget = (id) => {
+        const candidates = [settings.prefix + id];
+        if (settings.subsectionPrefix) candidates.push(settings.subsectionPrefix + id);
+
+        return candidates
+            .map(elementId => findById(containerElement, elementId))
+            .find(element => element) ?? null;
+    };
+
+    // Scrolls to the section or subsection named by location.hash, if it is one of ours
+    const followHash = (behavior) => {
+        const target = findById(containerElement, hashTargetId());
+
+        if (!target || (!sections.includes(target) && !subsections.includes(target))) {
+            return false;
+        }
+
+        scrollTo(target, { behavior });
+        return true;
+    };
+
+    const onHashChange = () => {
+        if (ownsHash()) {
+            followHash('smooth');
+        }
     };
 
-    // Trigger initial check
-    setTimeout(() => {
-        const firstSection = observedElements[0];
-        if (firstSection) {
-            const sectionId = firstSection.id.replace('section-', '');
-            try {
-                dotNetRef.invokeMethodAsync('UpdateActiveSection', sectionId);
-            } catch (error) {
-                console.debug('Failed to set initial section:', error);
+    const handle = {
+        /**
+         * Re-scans the container, e.g. after sections were added or removed.
+         * @param {string[]} [ids] - New section IDs; defaults to the ones given at creation
+         */
+        refresh(ids) {
+            if (ids) sectionIds = ids;
+            observer.disconnect();
+            visible.clear();
+            observe(sectionIds);
+        },
+
+        /**
+         * Scrolls to a section or subsection of this instance. The scroll-spy reports the
+         * target as active immediately and stays quiet until the scroll has settled.
+         * @param {string} sectionId - The section ID, without the prefix
+         * @param {object} [scrollOptions] - { offset?: number (defaults to the instance's offset),
+         *   behavior?: 'smooth'|'auto', focus?: boolean to move focus to the section heading }
+         * @returns {Promise<boolean>} Resolves when scrolling settles; false if the section was not found
+         */
+        async scrollToSection(sectionId, scrollOptions) {
+            const target = findTarget(sectionId);
+            if (!target) return false;
+
+            await scrollTo(target, scrollOptions);
+            return true;
+        },
+
+        /** @returns {string|null} The active section ID */
+        getActiveSection: () => activeSection,
+
+        /** @returns {string|null} The active subsection ID */
+        getActiveSubsection: () => activeSubsection,
+
+        /** Stops observing and releases the hash. */
+        dispose() {
+            clearTimeout(initialTimer);
+            observer.disconnect();
+            window.removeEventListener('hashchange', onHashChange);
+            scrollSpies.delete(handle);
+
+            const index = hashSyncedScrollSpies.indexOf(handle);
+            if (index >= 0) {
+                hashSyncedScrollSpies.splice(index, 1);
             }
         }
-    }, 100);
+    };
+
+    observe(sectionIds);
+    scrollSpies.set(handle, { container: containerElement, scrollTo });
+
+    if (settings.hashSync) {
+        hashSyncedScrollSpies.push(handle);
+        window.addEventListener('hashchange', onHashChange);
+    }
+
+    // Report the initial section once layout has settled
+    initialTimer = setTimeout(() => {
+        if (ownsHash() && followHash('auto')) {
+            return;
+        }
+        if (activeSection === null && sections[0]) {
+            activate(sections[0], null);
+        }
+    }, settings.initialDelay);
+
+    return handle;
 }
 
 /**
- * Smoothly scrolls to a specific section within the settings panel.
+ * Sets up scroll-spy functionality for the settings panel with the default options.
+ * Only one instance is managed this way; prefer createScrollSpy, which returns a handle.
  *
- * @param {string} sectionId - The ID of the section to scroll to (without 'section-' prefix)
+ * @param {HTMLElement} containerElement - The scrollable container element
+ * @param {DotNetObjectReference} dotNetRef - Reference to the Blazor component
+ * @param {string[]} sectionIds - Array of section IDs to observe
  */
-export function scrollToSection(sectionId) {
-    const element = document.getElementById(`section-${sectionId}`);
-    if (element) {
-        element.scrollIntoView({
-            behavior: 'smooth',
-            block: 'start'
-        });
+export function setupScrollSpy(containerElement, dotNetRef, sectionIds) {
+    // Clean up any existing scroll-spy
+    teardownScrollSpy();
+    legacyScrollSpy = createScrollSpy(containerElement, dotNetRef, sectionIds);
+}
+
+/**
+ * Scrolls to a section and resolves once scrolling has settled.
+ * A scroll-spy instance covering the section reports it as active and stays quiet
+ * during the scroll, so sections scrolled past are not reported.
+ *
+ * @param {string} sectionId - The ID of the section to scroll to (without the prefix)
+ * @param {object} [options] - {
+ *   container?: HTMLElement to look for the section in (defaults to the whole document),
+ *   prefix?: string section id prefix ('section-'),
+ *   offset?: number of pixels to keep clear for sticky headers (0),
+ *   behavior?: 'smooth'|'auto' ('smooth', or 'auto' when the user prefers reduced motion),
+ *   focus?: boolean to move focus to the section heading (false) }
+ * @returns {Promise<boolean>} False if the section was not found
+ */
+export async function scrollToSection(sectionId, options) {
+    const settings = definedOptions(options);
+    const target = findById(settings.container ?? document, `${settings.prefix ?? scrollSpyDefaults.prefix}${sectionId}`);
+    if (!target) {
+        return false;
+    }
+
+    // The innermost scroll-spy covering the target handles the scroll
+    const spy = [...scrollSpies.values()]
+        .filter(({ container }) => container.contains(target))
+        .sort((a, b) => a.container.contains(b.container) ? 1 : -1)[0];
+
+    const scrollOptions = { offset: settings.offset, behavior: settings.behavior, focus: settings.focus };
+    if (spy) {
+        await spy.scrollTo(target, scrollOptions);
+    } else {
+        await scrollElementIntoView(target, definedOptions(scrollOptions));
     }
+    return true;
 }
 
 /**
- * Cleans up the scroll-spy observer and releases resources.
+ * Cleans up the scroll-spy created by setupScrollSpy and releases resources.
  */
 export function teardownScrollSpy() {
-    if (scrollSpyState) {
-        if (scrollSpyState.observer) {
-            scrollSpyState.observer.disconnect();
-        }
-        scrollSpyState = null;
+    if (legacyScrollSpy) {
+        legacyScrollSpy.dispose();
+        legacyScrollSpy = null;
     }
 }
 
@@ -247,76 +579,962 @@ export function subscribeToScroll2D(element, dotNetRef) {
     return id;
 }
 
+// Track active size observers
+const sizeObservers = new Map();
+let sizeObserverId = 0;
+
+/**
+ * Observes the viewport size of a scroll container and the rendered sizes of its items,
+ * using ResizeObserver. Items are descendants carrying the index attribute; items rendered
+ * later, or re-rendered with another index, are picked up automatically.
+ *
+ * Changes are batched per animation frame and sent to the Blazor component as:
+ *   OnViewportResized(width, height) - the container's client size, also sent once at start
+ *   OnItemsMeasured([{ index, width, height }]) - border-box sizes of items whose size changed.
+ *     Elements sharing an index (e.g. the cells of a grid row) are measured together and
+ *     report the largest width and height.
+ *
+ * @param {HTMLElement} element - The scrollable container element
+ * @param {DotNetObjectReference} dotNetRef - Reference to the Blazor component
+ * @param {object} [options] - { indexAttribute?: string } (default 'data-mt-index')
+ * @returns {number} Observer ID for cleanup
+ */
+export function observeSizes(element, dotNetRef, options) {
+    if (!element || !dotNetRef) {
+        console.warn('observeSizes: Missing required parameters');
+        return -1;
+    }
+
+    const id = ++sizeObserverId;
+    const attribute = options?.indexAttribute ?? 'data-mt-index';
+    const elementsByIndex = new Map();
+    const indexOf = new Map();
+    const reported = new Map();
+    const dirty = new Set();
+    let viewport = null;
+    let viewportDirty = true;
+    let frame = 0;
+
+    const invoke = (method, ...args) => {
+        dotNetRef.invokeMethodAsync(method, ...args).catch((error) => {
+            console.debug(`Failed to invoke ${method}:`, error);
+        });
+    };
+
+    const flush = () => {
+        frame = 0;
+
+        if (viewportDirty) {
+            viewportDirty = false;
+            const width = element.clientWidth;
+            const height = element.clientHeight;
+            if (!viewport || viewport.width !== width || viewport.height !== height) {
+                viewport = { width, height };
+                invoke('OnViewportResized', width, height);
+            }
+        }
+
+        const measurements = [];
+        for (const index of dirty) {
+            const items = elementsByIndex.get(index);
+            if (!items) continue;
+
+            let width = 0;
+            let height = 0;
+            for (const item of items) {
+                const rect = item.getBoundingClientRect();
+                width = Math.max(width, rect.width);
+                height = Math.max(height, rect.height);
+            }
+
+            const last = reported.get(index);
+            if (!last || Math.abs(last.width - width) > 0.5 || Math.abs(last.height - height) > 0.5) {
+                reported.set(index, { width, height });
+                measurements.push({ index, width, height });
+            }
+        }
+        dirty.clear();
+
+        if (measurements.length) {
+            invoke('OnItemsMeasured', measurements);
+        }
+    };
+
+    const schedule = () => {
+        if (!frame) {
+            frame = requestAnimationFrame(flush);
+        }
+    };
+
+    const resizeObserver = new ResizeObserver((entries) => {
+        for (const entry of entries) {
+            if (entry.target === element) {
+                viewportDirty = true;
+            } else if (indexOf.has(entry.target)) {
+                dirty.add(indexOf.get(entry.target));
+            }
+        }
+        schedule();
+    });
+
+    const untrack = (item) => {
+        const index = indexOf.get(item);
+        if (index === undefined) return;
+
+        indexOf.delete(item);
+        const items = elementsByIndex.get(index);
+        items.delete(item);
+        if (!items.size) {
+            elementsByIndex.delete(index);
+        }
+        resizeObserver.unobserve(item);
+    };
+
+    const track = (item) => {
+        const index = parseInt(item.getAttribute(attribute), 10);
+        if (indexOf.get(item) === index) return;
+
+        untrack(item);
+        if (Number.isNaN(index)) return;
+
+        indexOf.set(item, index);
+        if (!elementsByIndex.has(index)) {
+            elementsByIndex.set(index, new Set());
+        }
+        elementsByIndex.get(index).add(item);
+
+        // Blazor reuses elements, so an item can take another index without changing size
+        resizeObserver.observe(item);
+        dirty.add(index);
+        schedule();
+    };
+
+    const itemsIn = (node) => {
+        if (node.nodeType !== Node.ELEMENT_NODE) return [];
+        const items = [...node.querySelectorAll(`[${attribute}]`)];
+        return node.hasAttribute(attribute) ? [node, ...items] : items;
+    };
+
+    const mutationObserver = new MutationObserver((records) => {
+        for (const record of records) {
+            if (record.type === 'attributes') {
+                track(record.target);
+                continue;
+            }
+            record.removedNodes.forEach(node => itemsIn(node).forEach(untrack));
+            record.addedNodes.forEach(node => itemsIn(node).forEach(track));
+        }
+    });
+
+    resizeObserver.observe(element);
+    itemsIn(element).forEach(track);
+    mutationObserver.observe(element, {
+        childList: true,
+        subtree: true,
+        attributes: true,
+        attributeFilter: [attribute]
+    });
+    schedule();
+
+    sizeObservers.set(id, {
+        remeasure: () => {
+            reported.clear();
+            for (const index of elementsByIndex.keys()) {
+                dirty.add(index);
+            }
+            schedule();
+        },
+        dispose: () => {
+            cancelAnimationFrame(frame);
+            resizeObserver.disconnect();
+            mutationObserver.disconnect();
+        }
+    });
+
+    return id;
+}
+
+/**
+ * Stops observing sizes using the observer ID.
+ *
+ * @param {number} observerId - The ID returned from observeSizes
+ */
+export function unobserveSizes(observerId) {
+    const observer = sizeObservers.get(observerId);
+    if (observer) {
+        observer.dispose();
+        sizeObservers.delete(observerId);
+    }
+}
+
+/**
+ * Forgets the sizes an observer has reported and measures every tracked item again, so they
+ * are all reported on the next frame. Call it after discarding or shifting the sizes cached
+ * in .NET: an item that moved to another index is otherwise only reported if its size changed.
+ *
+ * @param {number} observerId - The ID returned from observeSizes
+ */
+export function remeasureSizes(observerId) {
+    sizeObservers.get(observerId)?.remeasure();
+}
+
+/**
+ * Shifts the scroll position of an element instantly, e.g. to keep the visible items in place
+ * when items before them are measured at a different size than estimated.
+ *
+ * @param {HTMLElement} element - The scrollable element
+ * @param {number} deltaLeft - Pixels to add to scrollLeft
+ * @param {number} deltaTop - Pixels to add to scrollTop
+ */
+export function adjustScrollPosition(element, deltaLeft, deltaTop) {
+    if (!element) return;
+    element.scrollBy({ left: deltaLeft, top: deltaTop, behavior: 'instant' });
+}
+
+/**
+ * Scrolls a container so that an item at a known offset is aligned with the start, center
+ * or end of the viewport. Virtualized components pass the offset they computed themselves,
+ * since the item may not be rendered yet. Smooth scrolling is skipped when the user prefers
+ * reduced motion.
+ *
+ * @param {HTMLElement} element - The scrollable element
+ * @param {number} offset - The item's offset from the top of the content in pixels
+ * @param {number} size - The item's height in pixels
+ * @param {object} [options] - { align?: 'start'|'center'|'end', behavior?: 'smooth'|'auto' }
+ * @returns {Promise<number>} The scrollTop reached once scrolling has settled
+ */
+export async function scrollToOffset(element, offset, size, options) {
+    if (!element) return 0;
+
+    const viewport = element.clientHeight;
+    let top = offset;
+    if (options?.align === 'center') {
+        top = offset - (viewport - size) / 2;
+    } else if (options?.align === 'end') {
+        top = offset + size - viewport;
+    }
+    top = Math.min(Math.max(0, element.scrollHeight - viewport), Math.max(0, top));
+
+    const reducedMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+    if (options?.behavior === 'smooth' && !reducedMotion) {
+        element.scrollTo({ top, behavior: 'smooth' });
+        await waitForScrollEnd(element, top);
+    } else {
+        element.scrollTo({ top, behavior: 'instant' });
+    }
+
+    return element.scrollTop;
+}
+
+// Track active edge observers
+const edgeObservers = new Map();
+let edgeObserverId = 0;
+
+/**
+ * Watches the edges of a scroll container's content and asks the Blazor component for more
+ * items when the user scrolls near either one (infinite loading).
+ *
+ * Edges are sentinel elements rendered by the component with data-mt-sentinel="start" or
+ * "end"; sentinels rendered later are picked up automatically. An edge is near once its
+ * sentinel is within the threshold of the viewport, and the component is then called as
+ * LoadMoreAsync(edge), returning whether that edge may have more items. An edge that
+ * returns false is not loaded again until resetEdges is called. Only one load runs per edge
+ * at a time, and the edge is checked again after each load, so content that does not fill
+ * the viewport keeps loading.
+ *
+ * @param {HTMLElement} element - The scrollable container element
+ * @param {DotNetObjectReference} dotNetRef - Reference to the Blazor component
+ * @param {object} [options] - { threshold?: number } distance in pixels (default 200)
+ * @returns {number} Observer ID for cleanup
+ */
+export function observeEdges(element, dotNetRef, options) {
+    if (!element || !dotNetRef) {
+        console.warn('observeEdges: Missing required parameters');
+        return -1;
+    }
+
+    const id = ++edgeObserverId;
+    const threshold = Math.max(0, options?.threshold ?? 200);
+    const edges = new Map([
+        ['start', { sentinel: null, loading: false, exhausted: false }],
+        ['end', { sentinel: null, loading: false, exhausted: false }]
+    ]);
+    let disposed = false;
+
+    const isNear = (sentinel) => {
+        if (!sentinel?.isConnected) return false;
+        const root = element.getBoundingClientRect();
+        const rect = sentinel.getBoundingClientRect();
+        return rect.bottom >= root.top - threshold && rect.top <= root.bottom + threshold;
+    };
+
+    const load = async (edge) => {
+        const state = edges.get(edge);
+        if (disposed || state.loading || state.exhausted || !isNear(state.sentinel)) return;
+
+        state.loading = true;
+        try {
+            const hasMore = await dotNetRef.invokeMethodAsync('LoadMoreAsync', edge);
+            state.exhausted = hasMore === false;
+        } catch (error) {
+            // Stop on failure rather than retrying in a loop; resetEdges starts again
+            console.debug('Failed to invoke load more callback:', error);
+            state.exhausted = true;
+        } finally {
+            state.loading = false;
+        }
+
+        // Check again once the new items have rendered
+        requestAnimationFrame(() => requestAnimationFrame(() => load(edge)));
+    };
+
+    const intersectionObserver = new IntersectionObserver((entries) => {
+        for (const entry of entries) {
+            const edge = entry.target.getAttribute('data-mt-sentinel');
+            if (entry.isIntersecting && edges.has(edge)) {
+                load(edge);
+            }
+        }
+    }, { root: element, rootMargin: `${threshold}px` });
+
+    const refresh = () => {
+        for (const [edge, state] of edges) {
+            const sentinel = element.querySelector(`[data-mt-sentinel="${edge}"]`);
+            if (sentinel === state.sentinel) continue;
+
+            if (state.sentinel) intersectionObserver.unobserve(state.sentinel);
+            state.sentinel = sentinel;
+            if (sentinel) intersectionObserver.observe(sentinel);
+        }
+    };
+
+    const mutationObserver = new MutationObserver(refresh);
+    mutationObserver.observe(element, { childList: true, subtree: true });
+    refresh();
+
+    edgeObservers.set(id, {
+        reset: (edge) => {
+            for (const [name, state] of edges) {
+                if (edge && edge !== name) continue;
+                state.exhausted = false;
+                load(name);
+            }
+        },
+        dispose: () => {
+            disposed = true;
+            intersectionObserver.disconnect();
+            mutationObserver.disconnect();
+        }
+    });
+
+    return id;
+}
+
+/**
+ * Allows an edge to load again after LoadMoreAsync reported it had no more items,
+ * e.g. after the list was replaced. Loads immediately if the edge is near.
+ *
+ * @param {number} observerId - The ID returned from observeEdges
+ * @param {string} [edge] - 'start' or 'end'; both when omitted
+ */
+export function resetEdges(observerId, edge) {
+    edgeObservers.get(observerId)?.reset(edge);
+}
+
+/**
+ * Stops watching edges using the observer ID.
+ *
+ * @param {number} observerId - The ID returned from observeEdges
+ */
+export function unobserveEdges(observerId) {
+    const observer = edgeObservers.get(observerId);
+    if (observer) {
+        observer.dispose();
+        edgeObservers.delete(observerId);
+    }
+}
+
 // ============================================================================
-// Drawer Resizer Support
+// Scroll Restoration
 // ============================================================================
 
-// Track active resizer state
-let drawerResizerState = null;
+const scrollStoragePrefix = 'mythetech:scroll:';
+
+function readScrollState(key) {
+    try {
+        const value = sessionStorage.getItem(scrollStoragePrefix + key);
+        return value ? JSON.parse(value) : null;
+    } catch {
+        return null;
+    }
+}
+
+function writeScrollState(key, state) {
+    try {
+        sessionStorage.setItem(scrollStoragePrefix + key, JSON.stringify(state));
+    } catch (error) {
+        console.debug('Failed to save scroll position:', error);
+    }
+}
+
+// The innermost scroll-spy handle sharing content with a scroll container
+function findScrollSpyFor(element) {
+    return [...scrollSpies.entries()]
+        .filter(([, { container }]) => element.contains(container) || container.contains(element))
+        .sort(([, a], [, b]) => a.container.contains(b.container) ? 1 : -1)[0]?.[0] ?? null;
+}
 
 /**
- * Initializes the drawer resizer functionality.
- * Allows users to drag the resizer handle to adjust drawer width.
+ * Gets the scroll position saved under a key.
  *
- * @param {string} resizerSelector - CSS selector for the resizer element
- * @param {string} drawerSelector - CSS selector for the drawer element
- * @param {number} minWidth - Minimum width in pixels
- * @param {number} maxWidth - Maximum width in pixels
+ * @param {string} key - The restoration key
+ * @returns {{ left: number, top: number, section: string|null }|null} The saved state, or null
  */
-export function initializeDrawerResizer(resizerSelector, drawerSelector, minWidth, maxWidth) {
-    teardownDrawerResizer();
+export function getSavedScrollPosition(key) {
+    return key ? readScrollState(key) : null;
+}
 
-    const resizer = document.querySelector(resizerSelector);
-    const drawer = document.querySelector(drawerSelector);
-    const root = document.documentElement;
+/**
+ * Removes the scroll position saved under a key.
+ *
+ * @param {string} key - The restoration key
+ */
+export function clearSavedScrollPosition(key) {
+    try {
+        sessionStorage.removeItem(scrollStoragePrefix + key);
+    } catch {
+        // Storage unavailable; nothing to clear
+    }
+}
 
-    if (!resizer || !drawer) {
-        console.debug('initializeDrawerResizer: Could not find resizer or drawer elements');
-        return;
+/**
+ * Saves and restores the scroll position of a container under a key in sessionStorage,
+ * so it survives navigating away from a page and back within the same tab. The active
+ * section of a scroll-spy covering the container is saved with it.
+ *
+ * The position is saved when scrolling ends, before navigation (history changes and
+ * page hide) and on dispose while the container is still attached.
+ *
+ * Restoring waits until the content is large enough to reach the saved offset, since
+ * components often render their items after the container. If it never gets there
+ * before the timeout, the saved section is scrolled to instead, or as far as possible.
+ * Restoring is abandoned if the user starts scrolling, and skipped when location.hash
+ * names an element in the container.
+ *
+ * @param {HTMLElement} element - The scrollable container element
+ * @param {string} key - Identifies the container; must be unique across the app
+ * @param {object} [options] - { restore?: boolean to restore immediately (true),
+ *   timeout?: number of milliseconds to wait for content (3000) }
+ * @returns {{save: function, restore: function, clear: function, dispose: function}|null}
+ * A handle to the instance, or null if parameters are missing
+ */
+export function createScrollRestoration(element, key, options) {
+    if (!element || !key) {
+        console.warn('createScrollRestoration: Missing required parameters');
+        return null;
     }
 
-    const onMouseDown = (e) => {
-        e.preventDefault();
+    const settings = { restore: true, timeout: 3000, ...definedOptions(options) };
+    let restoring = null;
+    let cancelRestore = null;
+    let saveTimer = 0;
 
-        const onMouseMove = (e) => {
-            const drawerRect = drawer.getBoundingClientRect();
-            let newWidth = e.clientX - drawerRect.left;
+    const save = () => {
+        // Saving mid-restore (or once detached) would overwrite the position being restored
+        if (restoring || !element.isConnected) return;
 
-            // Clamp to min/max bounds
-            newWidth = Math.max(minWidth, Math.min(maxWidth, newWidth));
+        const spy = findScrollSpyFor(element);
+        writeScrollState(key, {
+            left: element.scrollLeft,
+            top: element.scrollTop,
+            section: spy?.getActiveSection() ?? null
+        });
+    };
 
-            root.style.setProperty('--mud-drawer-width-left', `${newWidth}px`);
-        };
+    const onScroll = () => {
+        clearTimeout(saveTimer);
+        saveTimer = setTimeout(save, 150);
+    };
+
+    const onScrollEnd = () => {
+        clearTimeout(saveTimer);
+        save();
+    };
+
+    const restore = () => {
+        if (restoring) return restoring;
+
+        const state = readScrollState(key);
+        if (!state || findById(element, hashTargetId())) {
+            return Promise.resolve(false);
+        }
+
+        restoring = new Promise((resolve) => {
+            const started = performance.now();
+            let frame = 0;
+
+            const interactions = ['wheel', 'touchstart', 'pointerdown', 'keydown'];
+            const finish = (restored) => {
+                cancelAnimationFrame(frame);
+                interactions.forEach(type => element.removeEventListener(type, cancel));
+                cancelRestore = null;
+                restoring = null;
+                resolve(restored);
+            };
+            const cancel = () => finish(false);
+            cancelRestore = cancel;
+
+            const reachable = () =>
+                element.scrollHeight - element.clientHeight >= state.top - 1 &&
+                element.scrollWidth - element.clientWidth >= state.left - 1;
+
+            const attempt = async () => {
+                if (!element.isConnected) {
+                    finish(false);
+                } else if (reachable()) {
+                    element.scrollTo({ left: state.left, top: state.top, behavior: 'instant' });
+                    finish(true);
+                } else if (performance.now() - started >= settings.timeout) {
+                    const spy = state.section ? findScrollSpyFor(element) : null;
+                    if (!spy || !(await spy.scrollToSection(state.section, { behavior: 'auto' }))) {
+                        element.scrollTo({ left: state.left, top: state.top, behavior: 'instant' });
+                    }
+                    finish(true);
+                } else {
+                    frame = requestAnimationFrame(attempt);
+                }
+            };
+
+            interactions.forEach(type => element.addEventListener(type, cancel, { passive: true }));
+            attempt();
+        });
+
+        return restoring;
+    };
+
+    element.addEventListener('scroll', onScroll, { passive: true });
+    element.addEventListener('scrollend', onScrollEnd);
+    window.addEventListener('pagehide', save);
+    window.addEventListener('popstate', save);
+    window.navigation?.addEventListener('navigate', save);
+
+    if (settings.restore) {
+        restore();
+    }
+
+    return {
+        /** Saves the current position now. */
+        save,
+
+        /**
+         * Restores the saved position once the content is large enough.
+         * @returns {Promise<boolean>} False if nothing was saved or restoring was abandoned
+         */
+        restore,
+
+        /** Removes the saved position. */
+        clear: () => clearSavedScrollPosition(key),
+
+        /** Saves the position (if still attached) and stops tracking. */
+        dispose() {
+            cancelRestore?.();
+            clearTimeout(saveTimer);
+            save();
+            element.removeEventListener('scroll', onScroll);
+            element.removeEventListener('scrollend', onScrollEnd);
+            window.removeEventListener('pagehide', save);
+            window.removeEventListener('popstate', save);
+            window.navigation?.removeEventListener('navigate', save);
+        }
+    };
+}
+
+// ============================================================================
+// Resizer Support
+// ============================================================================
+
+const resizerStoragePrefix = 'mythetech:resizer:';
+
+const resizerDefaults = {
+    edge: 'right',
+    target: null,
+    cssVariable: null,
+    variableElement: null,
+    min: 0,
+    max: Infinity,
+    defaultSize: null,
+    step: 10,
+    largeStep: 50,
+    collapseThreshold: null,
+    collapsedSize: 0,
+    storageKey: null,
+    label: 'Resize panel',
+    activeClass: 'mt-resize-handle--active',
+    dotNetRef: null,
+    onResized: null
+};
+
+/**
+ * Reads a CSS custom property as a length in pixels. Values in other units (rem, vw, calc(), ...)
+ * are resolved by laying out a hidden probe element.
+ *
+ * @param {string} variable - The custom property name, e.g. '--mud-drawer-width-left'
+ * @param {HTMLElement} element - The element the property is read from
+ * @returns {number|null} The length in pixels, or null if the property is not set
+ */
+function readCssLength(variable, element) {
+    const value = getComputedStyle(element).getPropertyValue(variable).trim();
+    if (!value) return null;
+    if (/^-?\d*\.?\d+px$/.test(value)) return parseFloat(value);
+
+    const probe = document.createElement('div');
+    probe.style.cssText = `position:absolute;visibility:hidden;pointer-events:none;width:var(${variable})`;
+    (element === document.documentElement ? document.body : element).appendChild(probe);
+    const width = probe.getBoundingClientRect().width;
+    probe.remove();
+    return width;
+}
+
+/**
+ * Makes an element a resize handle for a panel: a drawer on either side, a bottom panel,
+ * or one side of a (nested) split pane. Any number of resizers can be active at once.
+ *
+ * The panel's size is written to a CSS custom property when `cssVariable` is set, otherwise
+ * to the target element's width or height. The handle can be dragged with a mouse, touch or
+ * pen (Pointer Events with pointer capture) and is exposed to assistive technology as a
+ * focusable separator whose value is the size.
+ *
+ * Keyboard: arrow keys move the handle by `step` (Shift for `largeStep`), PageUp/PageDown
+ * grow or shrink by `largeStep`, Home and End jump to the minimum and maximum, and Enter
+ * collapses or expands a collapsible panel. Double-clicking resets to `defaultSize`.
+ *
+ * With a collapseThreshold, dragging below it snaps the panel to `collapsedSize`, and the
+ * target gets a data-mt-collapsed attribute. With a storageKey, the size and collapsed state
+ * are kept in localStorage and restored on creation, so they survive reloads.
+ *
+ * When a drag or key adjustment ends with a new size, it is reported to `onResized(size, collapsed)`
+ * and to .NET as OnPanelResized(size, collapsed).
+ *
+ * @param {HTMLElement} handleElement - The resize handle
+ * @param {object} options - {
+ *   edge?: 'right'|'left'|'bottom'|'top' - the edge of the panel the handle sits on ('right'),
+ *   target?: HTMLElement|string - the panel, or a selector for it (required without cssVariable),
+ *   cssVariable?: string - custom property receiving the size, e.g. '--mud-drawer-width-right',
+ *   variableElement?: HTMLElement - where the custom property is set (document.documentElement),
+ *   min?: number (0), max?: number (Infinity), defaultSize?: number (the size at creation),
+ *   step?: number (10), largeStep?: number (50),
+ *   collapseThreshold?: number - size below which a drag collapses the panel (not collapsible),
+ *   collapsedSize?: number (0), storageKey?: string - persists the size per layout,
+ *   label?: string - accessible name ('Resize panel'), activeClass?: string - set while dragging,
+ *   dotNetRef?: DotNetObjectReference, onResized?: function }
+ * @returns {{getSize: function, isCollapsed: function, setSize: function, collapse: function,
+ * expand: function, toggle: function, reset: function, dispose: function}|null}
+ * A handle to the instance, or null if parameters are missing
+ */
+export function createResizer(handleElement, options) {
+    const settings = { ...resizerDefaults, ...definedOptions(options) };
+    const target = typeof settings.target === 'string'
+        ? document.querySelector(settings.target)
+        : settings.target;
+
+    if (!handleElement || (!target && !settings.cssVariable)) {
+        console.warn('createResizer: Missing required parameters');
+        return null;
+    }
+
+    const horizontal = settings.edge === 'left' || settings.edge === 'right';
+    const dimension = horizontal ? 'width' : 'height';
+    // Dragging towards the handle's edge grows the panel
+    const sign = settings.edge === 'right' || settings.edge === 'bottom' ? 1 : -1;
+    const variableElement = settings.variableElement ?? document.documentElement;
+    const collapsible = typeof settings.collapseThreshold === 'number';
+    const storageKey = settings.storageKey ? resizerStoragePrefix + settings.storageKey : null;
+
+    const clamp = (value) => Math.round(Math.max(settings.min, Math.min(settings.max, value)));
+
+    const measure = () => {
+        const fromVariable = settings.cssVariable ? readCssLength(settings.cssVariable, variableElement) : null;
+        return fromVariable ?? target?.getBoundingClientRect()[dimension] ?? settings.min;
+    };
+
+    const readStored = () => {
+        try {
+            return storageKey ? JSON.parse(localStorage.getItem(storageKey)) : null;
+        } catch {
+            return null;
+        }
+    };
+
+    const initialSize = clamp(measure());
+    const defaultSize = clamp(settings.defaultSize ?? initialSize);
+    const stored = readStored();
+
+    // The expanded size; the panel is collapsedSize while collapsed
+    let size = typeof stored?.size === 'number' ? clamp(stored.size) : initialSize;
+    let collapsed = collapsible && stored?.collapsed === true;
+
+    const current = () => collapsed ? settings.collapsedSize : size;
+    let reported = { size: current(), collapsed };
+
+    const render = () => {
+        const value = `${current()}px`;
+        if (settings.cssVariable) {
+            variableElement.style.setProperty(settings.cssVariable, value);
+        } else {
+            target.style[dimension] = value;
+        }
+        target?.toggleAttribute('data-mt-collapsed', collapsed);
+        handleElement.setAttribute('aria-valuenow', String(current()));
+    };
+
+    const persist = () => {
+        reported = { size: current(), collapsed };
+        if (!storageKey) return;
+        try {
+            localStorage.setItem(storageKey, JSON.stringify({ size, collapsed }));
+        } catch (error) {
+            console.debug('Failed to save resizer size:', error);
+        }
+    };
+
+    const commit = () => {
+        if (reported.size === current() && reported.collapsed === collapsed) return;
+        persist();
+
+        settings.onResized?.(current(), collapsed);
+        settings.dotNetRef?.invokeMethodAsync('OnPanelResized', current(), collapsed).catch((error) => {
+            console.debug('Failed to invoke resize callback:', error);
+        });
+    };
+
+    const resize = (value) => {
+        collapsed = collapsible && value < settings.collapseThreshold;
+        if (!collapsed) {
+            size = clamp(value);
+        }
+        render();
+    };
+
+    handleElement.setAttribute('role', 'separator');
+    handleElement.setAttribute('aria-orientation', horizontal ? 'vertical' : 'horizontal');
+    handleElement.setAttribute('aria-valuemin', String(collapsible ? settings.collapsedSize : settings.min));
+    if (Number.isFinite(settings.max)) {
+        handleElement.setAttribute('aria-valuemax', String(settings.max));
+    }
+    if (!handleElement.hasAttribute('aria-label')) {
+        handleElement.setAttribute('aria-label', settings.label);
+    }
+    if (target?.id) {
+        handleElement.setAttribute('aria-controls', target.id);
+    }
+    if (!handleElement.hasAttribute('tabindex')) {
+        handleElement.setAttribute('tabindex', '0');
+    }
+
+    // Only take over the layout when there is a saved size to apply
+    if (stored) {
+        render();
+    } else {
+        handleElement.setAttribute('aria-valuenow', String(current()));
+    }
 
-        const onMouseUp = () => {
-            window.removeEventListener('mousemove', onMouseMove);
-            window.removeEventListener('mouseup', onMouseUp);
+    const onPointerDown = (e) => {
+        if (!e.isPrimary || e.button !== 0) return;
+        e.preventDefault();
+
+        const start = horizontal ? e.clientX : e.clientY;
+        const startSize = current();
+
+        const onPointerMove = (e) => resize(startSize + sign * ((horizontal ? e.clientX : e.clientY) - start));
+
+        // Fires after pointerup and pointercancel alike, once capture is released
+        const onLostCapture = () => {
+            handleElement.removeEventListener('pointermove', onPointerMove);
+            handleElement.removeEventListener('lostpointercapture', onLostCapture);
+            handleElement.classList.remove(settings.activeClass);
             document.body.style.cursor = '';
             document.body.style.userSelect = '';
+            commit();
         };
 
-        document.body.style.cursor = 'ew-resize';
+        handleElement.setPointerCapture(e.pointerId);
+        handleElement.classList.add(settings.activeClass);
+        document.body.style.cursor = horizontal ? 'ew-resize' : 'ns-resize';
         document.body.style.userSelect = 'none';
 
-        window.addEventListener('mousemove', onMouseMove);
-        window.addEventListener('mouseup', onMouseUp);
+        handleElement.addEventListener('pointermove', onPointerMove);
+        handleElement.addEventListener('lostpointercapture', onLostCapture);
     };
 
-    resizer.addEventListener('mousedown', onMouseDown);
+    // Arrows along the resize axis move the handle; the others grow (up/right) or shrink
+    const keyDelta = (e) => {
+        const step = e.shiftKey ? settings.largeStep : settings.step;
+        switch (e.key) {
+            case 'ArrowRight': return horizontal ? sign * step : step;
+            case 'ArrowLeft': return horizontal ? -sign * step : -step;
+            case 'ArrowDown': return horizontal ? -step : sign * step;
+            case 'ArrowUp': return horizontal ? step : -sign * step;
+            case 'PageUp': return settings.largeStep;
+            case 'PageDown': return -settings.largeStep;
+            case 'Home': return settings.min - current();
+            case 'End': return Number.isFinite(settings.max) ? settings.max - current() : null;
+            default: return null;
+        }
+    };
+
+    const onKeyDown = (e) => {
+        if (e.key === 'Enter' && collapsible) {
+            e.preventDefault();
+            handle.toggle();
+            return;
+        }
+
+        const delta = keyDelta(e);
+        if (delta === null) return;
+        e.preventDefault();
+
+        if (collapsed && delta > 0) {
+            collapsed = false;
+            render();
+        } else {
+            resize(current() + delta);
+        }
+    };
 
-    drawerResizerState = {
-        resizer,
-        handler: onMouseDown
+    const onKeyUp = (e) => {
+        if (keyDelta(e) !== null) commit();
     };
+
+    const onDoubleClick = () => handle.reset();
+
+    handleElement.addEventListener('pointerdown', onPointerDown);
+    handleElement.addEventListener('keydown', onKeyDown);
+    handleElement.addEventListener('keyup', onKeyUp);
+    handleElement.addEventListener('dblclick', onDoubleClick);
+
+    const handle = {
+        /** @returns {number} The current size in pixels (collapsedSize while collapsed) */
+        getSize: current,
+
+        /** @returns {boolean} Whether the panel is collapsed */
+        isCollapsed: () => collapsed,
+
+        /**
+         * Sets the size programmatically, expanding the panel. Saved, but not reported.
+         * @param {number} value - Size in pixels, clamped to min/max
+         */
+        setSize(value) {
+            collapsed = false;
+            size = clamp(value);
+            render();
+            persist();
+        },
+
+        /** Collapses a collapsible panel, keeping its size for expand. */
+        collapse() {
+            if (!collapsible || collapsed) return;
+            collapsed = true;
+            render();
+            commit();
+        },
+
+        /** Expands a collapsed panel to its previous size. */
+        expand() {
+            if (!collapsed) return;
+            collapsed = false;
+            render();
+            commit();
+        },
+
+        /** Collapses or expands a collapsible panel. */
+        toggle() {
+            if (collapsed) handle.expand();
+            else handle.collapse();
+        },
+
+        /** Restores the default size. */
+        reset() {
+            collapsed = false;
+            size = defaultSize;
+            render();
+            commit();
+        },
+
+        /** Removes the event listeners. The size and ARIA attributes are left in place. */
+        dispose() {
+            handleElement.removeEventListener('pointerdown', onPointerDown);
+            handleElement.removeEventListener('keydown', onKeyDown);
+            handleElement.removeEventListener('keyup', onKeyUp);
+            handleElement.removeEventListener('dblclick', onDoubleClick);
+        }
+    };
+
+    return handle;
+}
+
+// ============================================================================
+// Drawer Resizer Support
+// ============================================================================
+
+const drawerWidthVariable = '--mud-drawer-width-left';
+
+// Instance managed by initializeDrawerResizer/teardownDrawerResizer
+let drawerResizer = null;
+
+/**
+ * Initializes the drawer resizer for the left drawer, whose width is --mud-drawer-width-left.
+ * Only one instance is managed this way; use createResizer for other panels or several at once.
+ * The final width of each resize is reported to .NET as OnDrawerResized(width).
+ *
+ * @param {string} resizerSelector - CSS selector for the resizer element
+ * @param {string} drawerSelector - CSS selector for the drawer element
+ * @param {number} minWidth - Minimum width in pixels
+ * @param {number} maxWidth - Maximum width in pixels
+ * @param {object} [options] - {
+ *   step?: number of pixels per arrow key press (10),
+ *   largeStep?: number of pixels per Shift+arrow or PageUp/PageDown press (50),
+ *   defaultWidth?: number restored on double-click (the width at initialization),
+ *   storageKey?: string to keep the width in localStorage across reloads,
+ *   label?: string accessible name for the handle ('Resize panel'),
+ *   dotNetRef?: DotNetObjectReference to report the final width to }
+ */
+export function initializeDrawerResizer(resizerSelector, drawerSelector, minWidth, maxWidth, options) {
+    teardownDrawerResizer();
+
+    const resizer = document.querySelector(resizerSelector);
+    const drawer = document.querySelector(drawerSelector);
+
+    if (!resizer || !drawer) {
+        console.debug('initializeDrawerResizer: Could not find resizer or drawer elements');
+        return;
+    }
+
+    const { dotNetRef, defaultWidth, ...settings } = definedOptions(options);
+
+    drawerResizer = createResizer(resizer, {
+        ...settings,
+        edge: 'right',
+        target: drawer,
+        cssVariable: drawerWidthVariable,
+        min: minWidth,
+        max: maxWidth,
+        defaultSize: defaultWidth,
+        activeClass: 'app-context-resizer--active',
+        onResized: dotNetRef && ((width) => {
+            dotNetRef.invokeMethodAsync('OnDrawerResized', width).catch((error) => {
+                console.debug('Failed to invoke drawer resize callback:', error);
+            });
+        })
+    });
 }
 
 /**
  * Cleans up drawer resizer event listeners.
  */
 export function teardownDrawerResizer() {
-    if (drawerResizerState) {
-        drawerResizerState.resizer.removeEventListener('mousedown', drawerResizerState.handler);
-        drawerResizerState = null;
+    if (drawerResizer) {
+        drawerResizer.dispose();
+        drawerResizer = null;
     }
 }
 
@@ -326,36 +1544,191 @@ export function teardownDrawerResizer() {
  * @param {number} width - Width in pixels
  */
 export function setDrawerWidth(width) {
-    document.documentElement.style.setProperty('--mud-drawer-width-left', `${width}px`);
+    if (drawerResizer) {
+        drawerResizer.setSize(width);
+    } else {
+        document.documentElement.style.setProperty(drawerWidthVariable, `${width}px`);
+    }
 }
 
 /**
- * Gets the current drawer width.
+ * Gets the current drawer width from --mud-drawer-width-left, resolving units other than px.
  *
- * @returns {number} Current width in pixels
+ * @returns {number|null} Current width in pixels, or null if the variable is not set
  */
 export function getDrawerWidth() {
-    const value = getComputedStyle(document.documentElement).getPropertyValue('--mud-drawer-width-left');
-    return parseInt(value, 10) || 300;
+    return readCssLength(drawerWidthVariable, document.documentElement);
 }
 
 // ============================================================================
 // Clipboard Support
 // ============================================================================
 
-// Registry mapping element IDs to { text, dotNetRef } entries
+// Registry mapping element IDs to { content, dotNetRef } entries
 const clipboardRegistry = new Map();
 
 /**
- * Registers text to be copied when an element with the given ID is clicked.
+ * Normalizes clipboard content: a string is plain text, an object may carry several
+ * representations of the same data.
+ *
+ * @param {string|object} content - Text, or { text?, html?, imageDataUrl?, canvas? }
+ * @returns {{text: string|null, html: string|null, imageDataUrl: string|null, canvas: HTMLCanvasElement|null}}
+ */
+function normalizeClipboardContent(content) {
+    if (typeof content === 'string' || content === null || content === undefined) {
+        return { text: content ?? '', html: null, imageDataUrl: null, canvas: null };
+    }
+
+    const canvas = typeof content.canvas === 'string' ? document.querySelector(content.canvas) : content.canvas;
+    return {
+        text: content.text ?? null,
+        html: content.html ?? null,
+        imageDataUrl: content.imageDataUrl ?? null,
+        canvas: canvas instanceof HTMLCanvasElement ? canvas : null
+    };
+}
+
+function canvasToPng(canvas) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The canvas could not be encoded as PNG')), 'image/png');
+    });
+}
+
+// Browsers only accept image/png on the clipboard, so other image types are re-encoded
+async function dataUrlToPng(dataUrl) {
+    const blob = await (await fetch(dataUrl)).blob();
+    if (blob.type === 'image/png') return blob;
+
+    const bitmap = await createImageBitmap(blob);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    return canvasToPng(canvas);
+}
+
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Describes a clipboard failure for .NET, telling permission problems apart from
+ * missing browser support.
+ *
+ * @param {Error} error - The error thrown by the Clipboard API
+ * @param {string} action - 'write' or 'read'
+ * @returns {{kind: string, message: string}}
+ */
+function describeClipboardError(error, action) {
+    if (error?.name === 'NotAllowedError' || error?.name === 'SecurityError') {
+        return {
+            kind: 'PermissionDenied',
+            message: `Clipboard ${action} was denied by the browser. ` + (action === 'read'
+                ? 'Allow clipboard access for this site, and read from a focused page in response to a user action.'
+                : 'Copy in response to a user action, such as a click, while the page is focused.')
+        };
+    }
+    if (error?.name === 'NotSupportedError' || error?.name === 'NotSupported') {
+        return { kind: 'NotSupported', message: error.message };
+    }
+    return { kind: 'Failed', message: error?.message ?? String(error) };
+}
+
+function clipboardUnsupported(message) {
+    const error = new Error(message);
+    error.name = 'NotSupported';
+    return error;
+}
+
+// Copies text and HTML through a copy event, for insecure contexts and older browsers
+function copyWithExecCommand({ text, html }) {
+    if (text === null && html === null) {
+        throw clipboardUnsupported('Copying images requires the async Clipboard API, which is only available in secure contexts (https or localhost).');
+    }
+
+    const onCopy = (e) => {
+        e.preventDefault();
+        if (text !== null) e.clipboardData.setData('text/plain', text);
+        if (html !== null) e.clipboardData.setData('text/html', html);
+    };
+
+    // Some browsers only fire the copy event when there is a selection
+    const focused = document.activeElement;
+    const textarea = document.createElement('textarea');
+    textarea.value = text ?? '';
+    textarea.setAttribute('readonly', '');
+    textarea.style.cssText = 'position:fixed;top:0;left:0;opacity:0;pointer-events:none';
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    document.addEventListener('copy', onCopy, true);
+    try {
+        if (!document.execCommand('copy')) {
+            throw clipboardUnsupported('The browser rejected the copy command.');
+        }
+    } finally {
+        document.removeEventListener('copy', onCopy, true);
+        textarea.remove();
+        focused?.focus?.({ preventScroll: true });
+    }
+}
+
+/**
+ * Writes content to the clipboard. Several representations are written together as one
+ * ClipboardItem, so pasting picks the richest format the target understands. Without the
+ * async Clipboard API (e.g. on http origins) text and HTML fall back to execCommand('copy').
+ *
+ * Must be called during a user activation (e.g. a click) in most browsers. The clipboard
+ * call is made synchronously so the activation is not lost; images are encoded meanwhile.
+ *
+ * @param {string|object} content - Text, or { text?, html?, imageDataUrl?, canvas? } where
+ *   imageDataUrl is an image data URL and canvas a canvas element or selector to copy as PNG
+ * @returns {Promise<void>}
+ */
+function writeClipboard(content) {
+    const entry = normalizeClipboardContent(content);
+    const clipboard = window.isSecureContext ? navigator.clipboard : undefined;
+    const image = entry.canvas ? canvasToPng(entry.canvas)
+        : entry.imageDataUrl ? dataUrlToPng(entry.imageDataUrl)
+        : null;
+
+    if (clipboard?.write && typeof ClipboardItem !== 'undefined' && (entry.html !== null || image)) {
+        const items = {};
+        if (entry.text !== null) items['text/plain'] = new Blob([entry.text], { type: 'text/plain' });
+        if (entry.html !== null) items['text/html'] = new Blob([entry.html], { type: 'text/html' });
+        if (image) items['image/png'] = image;
+        return clipboard.write([new ClipboardItem(items)]);
+    }
+
+    image?.catch(() => { });
+    if (clipboard?.writeText && entry.text !== null && entry.html === null) {
+        return clipboard.writeText(entry.text);
+    }
+
+    try {
+        copyWithExecCommand(entry);
+        return Promise.resolve();
+    } catch (error) {
+        return Promise.reject(error);
+    }
+}
+
+/**
+ * Registers content to be copied when an element with the given ID is clicked.
  * The element must have a `data-mt-clipboard` attribute.
  *
  * @param {string} elementId - The id attribute of the clipboard button element
- * @param {string} text - The text to copy to the clipboard when clicked
+ * @param {string|object} content - The text to copy, or { text?, html?, imageDataUrl?, canvas? }
+ *   to copy several formats at once (see copyToClipboard)
  * @param {object} dotNetRef - A DotNetObjectReference to invoke on copy result
  */
-export function registerClipboard(elementId, text, dotNetRef) {
-    clipboardRegistry.set(elementId, { text, dotNetRef });
+export function registerClipboard(elementId, content, dotNetRef) {
+    clipboardRegistry.set(elementId, { content, dotNetRef });
 }
 
 /**
@@ -367,8 +1740,70 @@ export function unregisterClipboard(elementId) {
     clipboardRegistry.delete(elementId);
 }
 
+/**
+ * Copies content to the clipboard. Browsers require a recent user action for this, so it
+ * is best called from a click handler; registerClipboard copies within the click itself.
+ *
+ * @param {string|object} content - Text, or { text?, html?, imageDataUrl?, canvas? }
+ * @returns {Promise<{success: boolean, errorKind: string|null, errorMessage: string|null}>}
+ */
+export async function copyToClipboard(content) {
+    try {
+        await writeClipboard(content);
+        return { success: true, errorKind: null, errorMessage: null };
+    } catch (error) {
+        const { kind, message } = describeClipboardError(error, 'write');
+        console.warn('[Mythetech] Clipboard write failed:', error);
+        return { success: false, errorKind: kind, errorMessage: message };
+    }
+}
+
+/**
+ * Reads the clipboard: plain text, HTML and the first image (as a data URL), plus the list
+ * of available types. Requires the async Clipboard API (a secure context) and, in most
+ * browsers, the user's permission; a denied permission is reported as 'PermissionDenied'.
+ *
+ * @returns {Promise<{success: boolean, text: string|null, html: string|null, imageDataUrl: string|null,
+ * types: string[], errorKind: string|null, errorMessage: string|null}>}
+ */
+export async function readClipboard() {
+    const result = { success: false, text: null, html: null, imageDataUrl: null, types: [], errorKind: null, errorMessage: null };
+    const clipboard = window.isSecureContext ? navigator.clipboard : undefined;
+
+    try {
+        if (clipboard?.read) {
+            for (const item of await clipboard.read()) {
+                for (const type of item.types) {
+                    if (!result.types.includes(type)) result.types.push(type);
+
+                    if (type === 'text/plain' && result.text === null) {
+                        result.text = await (await item.getType(type)).text();
+                    } else if (type === 'text/html' && result.html === null) {
+                        result.html = await (await item.getType(type)).text();
+                    } else if (type.startsWith('image/') && result.imageDataUrl === null) {
+                        result.imageDataUrl = await blobToDataUrl(await item.getType(type));
+                    }
+                }
+            }
+        } else if (clipboard?.readText) {
+            result.text = await clipboard.readText();
+            result.types.push('text/plain');
+        } else {
+            throw clipboardUnsupported('Reading the clipboard requires the async Clipboard API, which is only available in secure contexts (https or localhost).');
+        }
+
+        result.success = true;
+    } catch (error) {
+        const { kind, message } = describeClipboardError(error, 'read');
+        result.errorKind = kind;
+        result.errorMessage = message;
+    }
+
+    return result;
+}
+
 // Delegated click handler: runs within the user activation context so
-// navigator.clipboard.writeText succeeds on Safari (no SignalR round-trip).
+// the clipboard write succeeds on Safari (no SignalR round-trip).
 document.addEventListener('click', (e) => {
     const button = e.target.closest('[data-mt-clipboard]');
     if (!button) return;
@@ -377,7 +1812,7 @@ document.addEventListener('click', (e) => {
     const entry = clipboardRegistry.get(id);
     if (!entry) return;
 
-    navigator.clipboard.writeText(entry.text).then(
+    writeClipboard(entry.content).then(
         () => entry.dotNetRef.invokeMethodAsync('OnCopyResult', true),
         (err) => {
             console.warn('[Mythetech] Clipboard write failed:', err);